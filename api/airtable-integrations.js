@@ -1,78 +1,103 @@
-const Airtable = require('airtable');
+const { FORM_FIELDS } = require('../lib/form-fields');
+const airtableFields = require('../lib/airtable-fields');
+const airtableClient = require('../lib/airtable-client');
 
+// Records in the batch shape POST /api/process-batch takes. Query: `view`,
+// `filterByFormula`, `maxRecords`. Uses the server's Airtable settings.
 async function readFromAirtable(req, res) {
   try {
-    const { apiKey, baseId, tableName } = req.body;
-    
-    const base = new Airtable({ apiKey }).base(baseId);
-    const records = [];
-    
-    await base(tableName).select({}).eachPage((pageRecords, fetchNextPage) => {
-      pageRecords.forEach(record => {
-        const galleryString = record.fields["Upload up to 4 images for your photo gallery:"] || '';
-        const galleryUrls = galleryString 
-          ? galleryString.split(',').map(url => url.trim()).filter(Boolean) 
-          : [];
+    const settings = airtableFields.settingsFromEnv();
+    if (!settings) {
+      return res.status(400).json({ success: false, error: 'Airtable not configured' });
+    }
+
+    const records = await airtableClient.listRecords(settings, {
+      view: req.query.view || undefined,
+      filterByFormula: req.query.filterByFormula || undefined,
+      maxRecords: parseInt(req.query.maxRecords, 10) || undefined
+    });
+    const match = airtableFields.mapping.match;
 
-        records.push({
-          name: record.fields["What's the name of your club/community/group?"] || '',
-          heroUrl: record.fields["Upload a hero image:"] || '',
-          logoUrl: record.fields["Upload your community's logo:"] || '',
-          galleryUrls: galleryUrls,
+    res.json({
+      success: true,
+      records: records.map(record => {
+        const galleryString = airtableClient.cellText(record.fields[FORM_FIELDS.gallery]);
+        return {
+          name: airtableClient.cellText(record.fields[FORM_FIELDS.name]),
+          heroUrl: airtableClient.cellText(record.fields[FORM_FIELDS.hero]),
+          logoUrl: airtableClient.cellText(record.fields[FORM_FIELDS.logo]),
+          galleryUrls: galleryString ? galleryString.split(',').map(url => url.trim()).filter(Boolean) : [],
+          submissionId: match.submissionId ? airtableClient.cellText(record.fields[match.submissionId]) : '',
+          email: match.email ? airtableClient.cellText(record.fields[match.email]) : '',
           airtableId: record.id,
           originalFields: record.fields
-        });
-      });
-      fetchNextPage();
+        };
+      })
     });
-
-    res.json({ success: true, records });
   } catch (error) {
     console.error('Airtable read error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error instanceof airtableClient.AirtableError ? 502 : 500).json({ success: false, error: error.message });
   }
 }
 
+// Processed images ({ type, url, altText, filename } as every endpoint
+// reports them) for one update. The older { hero, logo, gallery: [] } shape
+// with `processedUrl` is still accepted.
+function imagesFromUpdate(processedImages) {
+  if (Array.isArray(processedImages)) return processedImages;
+
+  const images = [];
+  const add = (type, image) => {
+    if (image) images.push({ type, url: image.url || image.processedUrl, altText: image.altText, filename: image.filename });
+  };
+
+  add('hero', processedImages.hero);
+  add('logo', processedImages.logo);
+  (processedImages.gallery || []).forEach((image, index) => add(`gallery-${index + 1}`, image));
+  return images;
+}
+
+// Write processed images to specific records: { updates: [{ airtableId,
+// processedImages }] }, ten records per request through the shared client
 async function writeToAirtable(req, res) {
   try {
-    const { apiKey, baseId, tableName, updates } = req.body;
-    
-    const base = new Airtable({ apiKey }).base(baseId);
-    const results = [];
+    const settings = airtableFields.settingsFromEnv();
+    if (!settings) {
+      return res.status(400).json({ success: false, error: 'Airtable not configured' });
+    }
 
-    for (const update of updates) {
-      try {
-        const updateFields = {};
-        
-        if (update.processedImages.hero) {
-          updateFields['Hero Image Processed URL'] = update.processedImages.hero.processedUrl;
-          updateFields['Hero Image Alt Text'] = update.processedImages.hero.altText;
-        }
-        
-        if (update.processedImages.logo) {
-          updateFields['Logo Image Processed URL'] = update.processedImages.logo.processedUrl;
-          updateFields['Logo Image Alt Text'] = update.processedImages.logo.altText;
-        }
-        
-        if (update.processedImages.gallery.length > 0) {
-          update.processedImages.gallery.forEach((img, index) => {
-            updateFields[`Gallery Image ${index + 1} Processed URL`] = img.processedUrl;
-            updateFields[`Gallery Image ${index + 1} Alt Text`] = img.altText;
-          });
-        }
+    const updates = Array.isArray(req.body.updates) ? req.body.updates : [];
+    if (updates.some(update => !update || !update.airtableId || !update.processedImages)) {
+      return res.status(400).json({ success: false, error: 'Each update needs an airtableId and processedImages' });
+    }
 
-        const updatedRecord = await base(tableName).update(update.airtableId, updateFields);
-        results.push({ success: true, recordId: updatedRecord.id });
-      } catch (error) {
-        results.push({ success: false, error: error.message, recordId: update.airtableId });
-      }
+    const validation = await airtableFields.ensureValidMapping(settings);
+    if (!validation.valid) {
+      return res.status(422).json({
+        success: false,
+        error: airtableFields.describeValidation(validation),
+        airtableFields: validation
+      });
     }
 
-    res.json({ success: true, results });
+    const outcomes = await airtableClient.syncRecords(settings, updates.map(update => ({
+      recordId: update.airtableId,
+      fields: airtableFields.buildFieldUpdates(imagesFromUpdate(update.processedImages))
+    })), airtableFields.mapping.match);
+
+    res.json({
+      success: true,
+      results: outcomes.map(outcome => ({
+        success: outcome.success,
+        recordId: outcome.recordId,
+        fieldsUpdated: outcome.fieldsUpdated,
+        error: outcome.error
+      }))
+    });
   } catch (error) {
     console.error('Airtable write error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 }
 
-module.exports = { readFromAirtable, writeToAirtable };
\ No newline at end of file
+module.exports = { readFromAirtable, writeToAirtable };
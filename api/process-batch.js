@@ -1,94 +1,89 @@
-const fetch = require('node-fetch');
+const jobQueue = require('../lib/job-queue');
+const auth = require('../lib/auth');
+const { isValidUrl, cleanClubName, UNFETCHABLE_URL_MESSAGE } = require('../lib/pipeline');
+const { normalizeDetails, normalizeCaptions } = require('../lib/alt-text');
 
-async function processBatch(req, res) {
-  try {
-    const { clubs, config } = req.body;
-    const results = [];
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
-
-    for (const club of clubs) {
-      const clubResult = {
-        clubName: club.name,
-        rowIndex: club.rowIndex,
-        processedImages: {
-          hero: null,
-          logo: null,
-          gallery: []
-        },
-        status: 'processing'
-      };
+// A club in the batch shape ({ name, heroUrl, logoUrl, galleryUrls,
+// airtableId, submissionId, email, focalPoints, category, neighborhood,
+// description, captions }, as returned by GET /api/airtable/records) in the
+// shape the pipeline works on
+function clubFromBatch(club) {
+  return {
+    name: cleanClubName(club.name),
+    originalName: club.name,
+    submissionId: club.submissionId || '',
+    email: club.email || '',
+    recordId: club.airtableId || null,
+    heroImage: club.heroUrl || null,
+    logoImage: club.logoUrl || null,
+    galleryImages: galleryUrlsOf(club),
+    focalPoints: club.focalPoints && typeof club.focalPoints === 'object' ? club.focalPoints : {},
+    details: normalizeDetails(club),
+    captions: normalizeCaptions(club.captions)
+  };
+}
 
-      try {
-        // Process hero image
-        if (club.heroUrl) {
-          const response = await fetch(`${baseUrl}/api/process-images`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              imageUrl: club.heroUrl,
-              type: 'hero',
-              clubName: club.name,
-              config
-            })
-          });
-          
-          if (response.ok) {
-            const data = await response.json();
-            clubResult.processedImages.hero = data.result;
-          }
-        }
+function galleryUrlsOf(club) {
+  return Array.isArray(club.galleryUrls)
+    ? club.galleryUrls
+    : String(club.galleryUrls || '').split(',').map(url => url.trim()).filter(Boolean);
+}
 
-        // Process logo image
-        if (club.logoUrl) {
-          const response = await fetch(`${baseUrl}/api/process-images`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              imageUrl: club.logoUrl,
-              type: 'logo',
-              clubName: club.name,
-              config
-            })
-          });
-          
-          if (response.ok) {
-            const data = await response.json();
-            clubResult.processedImages.logo = data.result;
-          }
-        }
+// One problem per image source of a batch club that isn't a public URL,
+// naming its field
+function sourceProblems(club) {
+  const sources = [['heroUrl', club.heroUrl], ['logoUrl', club.logoUrl]];
+  galleryUrlsOf(club).forEach((url, index) => sources.push([`galleryUrls[${index}]`, url]));
+  return sources
+    .filter(([, url]) => url && !isValidUrl(url))
+    .map(([field]) => `${field}: ${UNFETCHABLE_URL_MESSAGE}`);
+}
 
-        // Process gallery images
-        if (club.galleryUrls && club.galleryUrls.length > 0) {
-          for (let i = 0; i < Math.min(club.galleryUrls.length, 4); i++) {
-            const response = await fetch(`${baseUrl}/api/process-images`, {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({
-                imageUrl: club.galleryUrls[i],
-                type: 'gallery',
-                clubName: club.name,
-                config,
-                index: i
-              })
-            });
-            
-            if (response.ok) {
-              const data = await response.json();
-              clubResult.processedImages.gallery.push(data.result);
-            }
-          }
-        }
+// Queue a batch of clubs posted as JSON: { clubs: [...] }. They run through
+// the same job queue and pipeline as a CSV upload, so progress and results
+// come from GET /api/jobs/:id and Airtable is written back the same way.
+// Clubs with a source that isn't a public URL are left out and reported in
+// the row report.
+async function processBatch(req, res) {
+  try {
+    const { clubs } = req.body;
+    if (!Array.isArray(clubs) || clubs.length === 0) {
+      return res.status(400).json({ success: false, error: 'No clubs provided' });
+    }
 
-        clubResult.status = 'completed';
-      } catch (error) {
-        clubResult.status = 'error';
-        clubResult.error = error.message;
+    const queued = [];
+    const rowReport = [];
+    clubs.forEach((club, index) => {
+      if (!club || typeof club.name !== 'string' || !club.name.trim()) {
+        rowReport.push({ row: index + 1, problems: ['Missing club name'] });
+        return;
       }
+      if (!club.heroUrl && !club.logoUrl && !(club.galleryUrls && club.galleryUrls.length)) {
+        rowReport.push({ row: index + 1, name: club.name, problems: ['No image URLs'] });
+        return;
+      }
+      const problems = sourceProblems(club);
+      if (problems.length > 0) {
+        rowReport.push({ row: index + 1, name: club.name, problems });
+        return;
+      }
+      queued.push(clubFromBatch(club));
+    });
 
-      results.push(clubResult);
+    if (queued.length === 0) {
+      return res.status(400).json({ success: false, error: 'No clubs with a name and images', rowReport });
     }
 
-    res.json({ success: true, results });
+    const job = await jobQueue.enqueue('batch', { clubs: queued, rowReport }, queued.map(club => club.originalName),
+      { triggeredBy: auth.describeCaller(req) });
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      clubsQueued: queued.length,
+      rowReport
+    });
 
   } catch (error) {
     console.error('Batch processing error:', error);
@@ -96,4 +91,4 @@ async function processBatch(req, res) {
   }
 }
 
-module.exports = { processBatch };
\ No newline at end of file
+module.exports = { processBatch };
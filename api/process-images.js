@@ -1,96 +1,83 @@
-const sharp = require('sharp');
-const fetch = require('node-fetch');
-const { v2: cloudinary } = require('cloudinary');
+const { isValidUrl, cleanClubName, imageTypeFor, processClub, clubPayload, UNFETCHABLE_URL_MESSAGE } = require('../lib/pipeline');
+const { normalizeDetails } = require('../lib/alt-text');
+const auth = require('../lib/auth');
+const runHistory = require('../lib/run-history');
 
+// Process one image posted as JSON:
+//   { imageUrl, type, clubName, index, focalPoint, submissionId, email,
+//     caption, category, neighborhood, description }
+// `type` is 'hero', 'logo', 'gallery-N', or 'gallery' with a zero-based
+// `index`. The image goes through the same pipeline as a CSV row, so the
+// slug, alt text and result match what a full submission would produce.
 async function processImage(req, res) {
   try {
-    const { imageUrl, type, clubName, config, index = 0 } = req.body;
-    
-    console.log(`Processing ${type} image for ${clubName}`);
-    
-    // Download the image
-    const response = await fetch(imageUrl);
-    if (!response.ok) {
-      throw new Error(`Failed to download image: ${response.statusText}`);
+    const { imageUrl, clubName, focalPoint, submissionId, email, caption } = req.body;
+    const imageType = imageTypeFor(req.body.type, req.body.index);
+
+    if (!imageUrl || !clubName) {
+      return res.status(400).json({ success: false, error: 'imageUrl and clubName are required' });
+    }
+    if (typeof clubName !== 'string' || !clubName.trim()) {
+      return res.status(400).json({ success: false, error: 'clubName must be a non-empty string' });
+    }
+    if (!isValidUrl(imageUrl)) {
+      return res.status(400).json({ success: false, error: `imageUrl: ${UNFETCHABLE_URL_MESSAGE}` });
+    }
+    if (!imageType) {
+      return res.status(400).json({ success: false, error: `Unknown image type: ${req.body.type}` });
     }
-    
-    const buffer = await response.buffer();
-    
-    // Generate filename
-    const slug = clubName
-      .toLowerCase()
-      .replace(/[^a-z0-9\s-]/g, '')
-      .replace(/\s+/g, '-')
-      .replace(/-+/g, '-')
-      .trim()
-      .substring(0, 50);
-    
-    const filename = `${slug}-${type}${index ? `-${index}` : ''}.webp`;
 
-    // Process image based on type
-    let processedBuffer;
-    
-    switch (type) {
-      case 'hero':
-        processedBuffer = await sharp(buffer)
-          .resize(config.heroMaxWidth || 1600, null, { 
-            fit: 'inside', 
-            withoutEnlargement: true 
-          })
-          .webp({ 
-            quality: config.quality || 80,
-            progressive: true 
-          })
-          .toBuffer();
-        break;
-        
-      case 'logo':
-        processedBuffer = await sharp(buffer)
-          .resize(config.logoMaxWidth || 400, config.logoMaxWidth || 400, { 
-            fit: 'inside', 
-            withoutEnlargement: true 
-          })
-          .webp({ quality: config.quality || 90 })
-          .toBuffer();
-        break;
-        
-      case 'gallery':
-        processedBuffer = await sharp(buffer)
-          .resize(config.galleryMaxWidth || 1200, config.galleryMaxWidth || 1200, { 
-            fit: 'inside', 
-            withoutEnlargement: true 
-          })
-          .webp({ 
-            quality: config.quality || 80,
-            progressive: true 
-          })
-          .toBuffer();
-        break;
-        
-      default:
-        throw new Error(`Unknown image type: ${type}`);
+    console.log(`Processing ${imageType} image for ${clubName}`);
+
+    const galleryImages = [];
+    if (imageType.startsWith('gallery-')) {
+      galleryImages[parseInt(imageType.split('-')[1], 10) - 1] = imageUrl;
+    }
+    const startedAt = new Date().toISOString();
+    const clubResult = await processClub({
+      name: cleanClubName(clubName),
+      originalName: clubName,
+      submissionId: submissionId || '',
+      email: email || '',
+      heroImage: imageType === 'hero' ? imageUrl : null,
+      logoImage: imageType === 'logo' ? imageUrl : null,
+      galleryImages,
+      focalPoints: focalPoint ? { [imageType]: focalPoint } : {},
+      details: normalizeDetails(req.body),
+      captions: typeof caption === 'string' && caption.trim() ? { [imageType]: caption.trim() } : {}
+    });
+
+    const runId = runHistory.recordRequestRun({
+      source: 'image',
+      triggeredBy: auth.describeCaller(req),
+      input: { imageUrl, imageType },
+      startedAt,
+      clubResults: [clubResult]
+    });
+
+    const payload = clubPayload(clubResult);
+    const image = payload.processedImages[0];
+    if (image) {
+      return res.json({
+        success: true,
+        runId,
+        image,
+        warnings: payload.warnings,
+        duplicates: payload.duplicates
+      });
     }
 
-    // Upload to Cloudinary
-    const uploadedUrl = await uploadToCloudinary(processedBuffer, filename);
-    
-    // Generate alt text
-    const altText = generateAltText(type, clubName);
-    
-    // Get dimensions
-    const metadata = await sharp(processedBuffer).metadata();
-    
-    res.json({
-      success: true,
-      result: {
-        originalUrl: imageUrl,
-        processedUrl: uploadedUrl,
-        filename,
-        altText,
-        size: processedBuffer.length,
-        dimensions: `${metadata.width}x${metadata.height}`,
-        type
-      }
+    // Rejected by validation (422), skipped as a duplicate (409) or failed
+    const rejection = payload.rejections[0];
+    const status = rejection ? 422 : payload.duplicates.length > 0 ? 409 : 500;
+    res.status(status).json({
+      success: false,
+      runId,
+      error: payload.errors[0] || 'Image skipped as a duplicate',
+      code: rejection ? rejection.code : undefined,
+      details: rejection ? rejection.details : undefined,
+      failure: payload.failures[0],
+      duplicates: payload.duplicates
     });
 
   } catch (error) {
@@ -102,36 +89,4 @@ async function processImage(req, res) {
   }
 }
 
-async function uploadToCloudinary(buffer, filename) {
-  if (!process.env.CLOUDINARY_URL) {
-    // Return mock URL for testing
-    return `https://mock-cdn.com/${filename}`;
-  }
-  
-  return new Promise((resolve, reject) => {
-    cloudinary.uploader.upload_stream(
-      {
-        resource_type: 'image',
-        public_id: filename.replace(/\.[^/.]+$/, ''),
-        folder: 'processed-club-images',
-        overwrite: true
-      },
-      (error, result) => {
-        if (error) reject(error);
-        else resolve(result.secure_url);
-      }
-    ).end(buffer);
-  });
-}
-
-function generateAltText(type, clubName) {
-  const altTexts = {
-    hero: `${clubName} hero image`,
-    logo: `${clubName} logo`,
-    gallery: `${clubName} group photo`
-  };
-  
-  return altTexts[type] || `${clubName} image`;
-}
-
-module.exports = { processImage };
\ No newline at end of file
+module.exports = { processImage };
@@ -0,0 +1,211 @@
+const fs = require('fs').promises;
+const multer = require('multer');
+const jobQueue = require('../lib/job-queue');
+const auth = require('../lib/auth');
+const uploads = require('../lib/uploads');
+const cropping = require('../lib/cropping');
+const { normalizeDetails } = require('../lib/alt-text');
+const { cleanClubName, imageTypeFor, imageLabel, MAX_GALLERY_IMAGES } = require('../lib/pipeline');
+
+// Image files, ZIPs and the manifest are written to disk by multer and
+// removed once the request has been handled
+const upload = multer({
+  dest: 'uploads/',
+  limits: { fileSize: uploads.MAX_TOTAL_BYTES }
+}).fields([
+  { name: 'files', maxCount: uploads.MAX_FILES },
+  { name: 'manifest', maxCount: 1 }
+]);
+
+function requestTooLarge() {
+  return new uploads.UploadError('UPLOAD_TOO_LARGE', `Upload requests are limited to ${uploads.MAX_REQUEST_BYTES} bytes`,
+    { maxBytes: uploads.MAX_REQUEST_BYTES });
+}
+
+// multer with its errors reported as JSON. multer only limits each file and
+// the number of files, so the request as a whole is capped here: up front by
+// Content-Length, and by counting for requests sent without one. Going over
+// fails the request the way a dropped connection would, and multer removes
+// the files it has written.
+function uploadFiles(req, res, next) {
+  if (parseInt(req.headers['content-length'], 10) > uploads.MAX_REQUEST_BYTES) {
+    const error = requestTooLarge();
+    return res.status(413).set('Connection', 'close').json({ success: false, error: error.message, code: error.code, details: error.details });
+  }
+
+  let received = 0;
+  const countBytes = chunk => {
+    received += chunk.length;
+    if (received > uploads.MAX_REQUEST_BYTES) {
+      req.off('data', countBytes);
+      req.emit('error', requestTooLarge());
+    }
+  };
+  req.on('data', countBytes);
+
+  upload(req, res, error => {
+    req.off('data', countBytes);
+    if (!error) return next();
+    if (error instanceof uploads.UploadError) {
+      return res.status(413).set('Connection', 'close').json({ success: false, error: error.message, code: error.code, details: error.details });
+    }
+    res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ success: false, error: error.message, code: error.code });
+  });
+}
+
+// Group manifest rows into clubs in the pipeline's shape. Each row names a
+// club, a role (hero, logo, gallery-N, or 'gallery' for the next free slot)
+// and a file; problems are reported per row the way CSV uploads are.
+function clubsFromManifest(rows, images) {
+  const clubs = new Map();
+  const rowReport = [];
+  const usedFiles = new Set();
+
+  for (const row of rows) {
+    const report = { row: row.row, name: row.club || '', file: row.file || '', status: 'included', problems: [] };
+    rowReport.push(report);
+
+    const slug = row.club ? cleanClubName(row.club) : '';
+    if (!slug) report.problems.push('Missing club name');
+    if (!row.file) report.problems.push('Missing file name');
+
+    const image = row.file ? images.get(uploads.fileKey(row.file)) : null;
+    if (row.file && !image) report.problems.push(`${row.file} was not uploaded`);
+
+    let club = slug ? clubs.get(slug) : null;
+    let imageType = null;
+    const role = String(row.role || '').trim().toLowerCase();
+    if (role === 'gallery' && slug) {
+      const gallery = club ? club.galleryImages : [];
+      const free = Array.from({ length: MAX_GALLERY_IMAGES }, (_, index) => index).find(index => !gallery[index]);
+      imageType = free === undefined ? null : imageTypeFor('gallery', free);
+      if (!imageType) report.problems.push(`No more than ${MAX_GALLERY_IMAGES} gallery images per club`);
+    } else {
+      imageType = imageTypeFor(role);
+      if (!imageType) report.problems.push(role ? `Unknown role "${row.role}"` : 'Missing role');
+    }
+
+    if (report.problems.length > 0) {
+      report.status = 'skipped';
+      continue;
+    }
+
+    if (!club) {
+      club = {
+        name: slug,
+        originalName: row.club,
+        submissionId: '',
+        email: '',
+        recordId: null,
+        heroImage: null,
+        logoImage: null,
+        galleryImages: [],
+        focalPoints: {},
+        details: normalizeDetails({}),
+        captions: {}
+      };
+      clubs.set(slug, club);
+    }
+
+    const slot = imageType === 'hero' ? 'heroImage' : imageType === 'logo' ? 'logoImage' : null;
+    const galleryIndex = slot ? null : parseInt(imageType.split('-')[1], 10) - 1;
+    if (slot ? club[slot] : club.galleryImages[galleryIndex]) {
+      report.status = 'skipped';
+      report.problems.push(`${imageLabel(imageType)} is already set for ${row.club}`);
+      continue;
+    }
+
+    if (slot) {
+      club[slot] = image.name;
+    } else {
+      club.galleryImages[galleryIndex] = image.name;
+    }
+    usedFiles.add(uploads.fileKey(image.name));
+
+    club.submissionId = club.submissionId || row.submissionId || '';
+    club.email = club.email || row.email || '';
+    club.recordId = club.recordId || row.recordId || null;
+    for (const key of ['category', 'neighborhood', 'description']) {
+      club.details[key] = club.details[key] || row[key] || '';
+    }
+    if (row.caption) {
+      club.captions[imageType] = row.caption;
+    }
+    if (row.focalPoint) {
+      const focalPoint = cropping.parseFocalPoint(row.focalPoint);
+      if (focalPoint) {
+        club.focalPoints[imageType] = focalPoint;
+      } else {
+        report.problems.push(`Ignoring invalid focal point "${row.focalPoint}" (expected "x,y" between 0 and 1)`);
+      }
+    }
+  }
+
+  const unusedFiles = [...images.values()].filter(image => !usedFiles.has(uploads.fileKey(image.name))).map(image => image.name);
+  return { clubs: [...clubs.values()], rowReport, unusedFiles };
+}
+
+// Queue images uploaded as files instead of URLs: multipart `files` (images
+// and/or ZIPs) plus a `manifest` (CSV or JSON with club, role and file
+// columns; a ZIP may carry its own manifest.csv or manifest.json). The clubs
+// run as an 'upload' job through the same pipeline and Airtable update as a
+// CSV upload; poll GET /api/jobs/:id for progress and results.
+async function processUploads(req, res) {
+  const received = [...((req.files && req.files.files) || []), ...((req.files && req.files.manifest) || [])];
+
+  try {
+    const manifestFile = req.files && req.files.manifest ? req.files.manifest[0] : null;
+    const { images, manifest, skipped } = await uploads.collectFiles((req.files && req.files.files) || [], manifestFile);
+
+    if (images.size === 0) {
+      return res.status(400).json({ success: false, error: 'No image files uploaded', skippedFiles: skipped });
+    }
+    if (!manifest) {
+      return res.status(400).json({ success: false, error: 'A manifest (CSV or JSON) mapping files to clubs is required' });
+    }
+
+    const { clubs, rowReport, unusedFiles } = clubsFromManifest(uploads.parseManifest(manifest), images);
+    if (clubs.length === 0) {
+      return res.status(400).json({ success: false, error: 'No manifest rows could be used', rowReport, unusedFiles });
+    }
+
+    // Only the files the manifest uses are staged
+    const used = [...images.values()].filter(image => !unusedFiles.includes(image.name));
+    const { batchId, sourceFor } = await uploads.stageBatch(used);
+    for (const club of clubs) {
+      club.heroImage = club.heroImage && sourceFor(club.heroImage);
+      club.logoImage = club.logoImage && sourceFor(club.logoImage);
+      club.galleryImages = Array.from(club.galleryImages, name => name && sourceFor(name));
+    }
+
+    const job = await jobQueue.enqueue(
+      'upload',
+      { clubs, batchId, rowReport, unusedFiles, skippedFiles: skipped, review: req.body.review === 'true' },
+      clubs.map(club => club.originalName),
+      { triggeredBy: auth.describeCaller(req) }
+    );
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      clubsQueued: clubs.length,
+      imagesQueued: used.length,
+      rowReport,
+      unusedFiles,
+      skippedFiles: skipped
+    });
+
+  } catch (error) {
+    if (error instanceof uploads.UploadError) {
+      return res.status(error.code === 'UPLOAD_TOO_LARGE' || error.code === 'FILE_TOO_LARGE' ? 413 : 400)
+        .json({ success: false, error: error.message, code: error.code, details: error.details });
+    }
+    console.error('Upload processing error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  } finally {
+    await Promise.all(received.map(file => fs.unlink(file.path).catch(() => {})));
+  }
+}
+
+module.exports = { uploadFiles, processUploads };
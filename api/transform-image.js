@@ -0,0 +1,102 @@
+const path = require('path');
+const multer = require('multer');
+const transform = require('../lib/transform');
+const { ImageValidationError, config: validationConfig } = require('../lib/image-validation');
+const { FetchError } = require('../lib/safe-fetch');
+const { isValidUrl, cleanClubName, downloadSource, UNFETCHABLE_URL_MESSAGE } = require('../lib/pipeline');
+
+// Uploaded images are held in memory (they are decoded straight away) and
+// capped at the same size as downloaded ones
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: validationConfig.maxBytes, files: 1 }
+}).single('image');
+
+// multer with its errors reported as JSON
+function imageUpload(req, res, next) {
+  upload(req, res, error => {
+    if (!error) return next();
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+    res.status(tooLarge ? 413 : 400).json({
+      success: false,
+      error: tooLarge ? `Image is larger than the ${validationConfig.maxBytes} byte limit` : error.message,
+      code: tooLarge ? 'FILE_TOO_LARGE' : error.code
+    });
+  });
+}
+
+// Transform one image outside the club pipeline. Takes a multipart upload
+// (`image` file) or `imageUrl`, plus options: width, height, fit, format,
+// quality, cropRatio, cropStrategy, focalPoint, background, stripMetadata.
+// With `output: 'image'` the transformed file is sent back; otherwise it is
+// stored and { success, image: { url, ... } } returned.
+async function transformImage(req, res) {
+  try {
+    const { imageUrl } = req.body;
+    const output = req.body.output || 'url';
+
+    if (!req.file && !imageUrl) {
+      return res.status(400).json({ success: false, error: 'Upload an image file or provide imageUrl' });
+    }
+    if (!req.file && !isValidUrl(imageUrl)) {
+      return res.status(400).json({ success: false, error: UNFETCHABLE_URL_MESSAGE });
+    }
+    if (output !== 'url' && output !== 'image') {
+      return res.status(400).json({ success: false, error: 'output must be "url" or "image"' });
+    }
+    if (req.body.name !== undefined && req.body.name !== null && typeof req.body.name !== 'string') {
+      return res.status(400).json({ success: false, error: 'name must be a string' });
+    }
+
+    const options = transform.parseOptions(req.body);
+    const source = req.file
+      ? { buffer: req.file.buffer, contentType: req.file.mimetype }
+      : await downloadSource(imageUrl);
+
+    const result = await transform.transformImage(source.buffer, options, { contentType: source.contentType });
+
+    if (output === 'image') {
+      return res
+        .type(result.mimeType)
+        .set({
+          'Content-Disposition': 'inline',
+          'X-Image-Width': String(result.width),
+          'X-Image-Height': String(result.height)
+        })
+        .send(result.buffer);
+    }
+
+    const sourceName = req.body.name || (req.file ? path.parse(req.file.originalname).name : path.parse(new URL(imageUrl).pathname).name);
+    const stored = await transform.storeTransformed(result, cleanClubName(sourceName) || 'image');
+
+    res.json({
+      success: true,
+      image: {
+        ...stored,
+        format: result.format,
+        width: result.width,
+        height: result.height,
+        bytes: result.bytes,
+        crop: result.crop,
+        source: result.source
+      },
+      options,
+      warnings: result.warnings
+    });
+
+  } catch (error) {
+    if (error instanceof transform.TransformError) {
+      return res.status(400).json({ success: false, error: error.message, code: error.code, details: error.details });
+    }
+    if (error instanceof ImageValidationError) {
+      return res.status(422).json({ success: false, error: error.message, code: error.code, details: error.details });
+    }
+    if (error instanceof FetchError) {
+      return res.status(502).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('Image transform error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+module.exports = { imageUpload, transformImage };
@@ -0,0 +1,318 @@
+// Airtable REST client. Each base gets a token bucket that keeps requests
+// under Airtable's limit of 5 per second; 429 and 5xx responses are retried
+// with exponential backoff, long enough overall to sit out the 30 second
+// lockout Airtable applies after a 429. Updates go out ten records per
+// request, with the records found by one OR() formula query per batch and
+// matched as described in lib/record-matching.js.
+// AIRTABLE_API_URL (or `apiUrl` in the settings) points the client at
+// another server, e.g. a local mock.
+const fetch = require('node-fetch');
+const recordMatching = require('./record-matching');
+
+const API_URL = (process.env.AIRTABLE_API_URL || 'https://api.airtable.com/v0').replace(/\/+$/, '');
+const REQUESTS_PER_SECOND = parseFloat(process.env.AIRTABLE_REQUESTS_PER_SECOND) || 5;
+// A bucket that starts full lets `BURST` extra requests into the first
+// second, so the default stays at 1 to keep any one-second window at 5
+const BURST = parseInt(process.env.AIRTABLE_BURST, 10) || 1;
+const MAX_RETRIES = parseInt(process.env.AIRTABLE_MAX_RETRIES, 10) || 5;
+const BACKOFF_MS = parseInt(process.env.AIRTABLE_BACKOFF_MS, 10) || 1000;
+const MAX_BACKOFF_MS = 30000;
+const PAGE_SIZE = 100;
+// Airtable's limit on records per create/update request
+const BATCH_SIZE = 10;
+
+class AirtableError extends Error {
+    constructor(message, status, body) {
+        super(message);
+        this.name = 'AirtableError';
+        this.status = status;
+        this.body = body;
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Token bucket: up to `capacity` requests at once, refilled at `rate` per
+// second. Callers are served in order.
+function createTokenBucket(rate, capacity) {
+    let tokens = capacity;
+    let updatedAt = Date.now();
+    let queue = Promise.resolve();
+
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(capacity, tokens + ((now - updatedAt) / 1000) * rate);
+        updatedAt = now;
+    };
+
+    return function take() {
+        const turn = queue.then(async () => {
+            refill();
+            if (tokens < 1) {
+                await sleep(((1 - tokens) / rate) * 1000);
+                refill();
+            }
+            tokens -= 1;
+        });
+        queue = turn;
+        return turn;
+    };
+}
+
+const buckets = new Map();
+
+function bucketFor(baseId) {
+    if (!buckets.has(baseId)) {
+        buckets.set(baseId, createTokenBucket(REQUESTS_PER_SECOND, BURST));
+    }
+    return buckets.get(baseId);
+}
+
+// Exponential backoff with jitter; a Retry-After header wins when longer
+function backoffDelay(attempt, retryAfter) {
+    const exponential = Math.min(MAX_BACKOFF_MS, BACKOFF_MS * 2 ** attempt);
+    const jitter = Math.random() * BACKOFF_MS * 0.5;
+    const requested = parseFloat(retryAfter) * 1000 || 0;
+    return Math.max(exponential + jitter, requested);
+}
+
+function apiUrl(settings) {
+    return settings.apiUrl ? settings.apiUrl.replace(/\/+$/, '') : API_URL;
+}
+
+function tableUrl(settings) {
+    return `${apiUrl(settings)}/${settings.baseId}/${encodeURIComponent(settings.tableName)}`;
+}
+
+// Escape a value for use inside a double-quoted formula string
+function formulaString(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Airtable cell values as the text a CSV export would contain: attachment
+// lists become comma-separated URLs
+function cellText(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) {
+        return value.map(item => (item && typeof item === 'object' ? item.url || '' : String(item))).filter(Boolean).join(', ');
+    }
+    if (typeof value === 'object') return value.url || '';
+    return String(value);
+}
+
+async function request(settings, url, { method = 'GET', body } = {}) {
+    for (let attempt = 0; ; attempt++) {
+        await bucketFor(settings.baseId)();
+
+        const response = await fetch(url, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${settings.token}`,
+                'Content-Type': 'application/json'
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        if (response.ok) {
+            return response.json();
+        }
+
+        const text = await response.text();
+        const retryable = response.status === 429 || response.status >= 500;
+        if (!retryable || attempt >= MAX_RETRIES) {
+            let message = text;
+            try {
+                const parsed = JSON.parse(text);
+                message = (parsed.error && (parsed.error.message || parsed.error.type || parsed.error)) || text;
+            } catch (_) {
+                // not JSON; use the body as-is
+            }
+            throw new AirtableError(`Airtable request failed (${response.status}): ${message}`, response.status, text);
+        }
+
+        const delay = backoffDelay(attempt, response.headers.get('retry-after'));
+        console.log(`Airtable returned ${response.status}, retrying in ${Math.round(delay)}ms`);
+        await sleep(delay);
+    }
+}
+
+// All records matching a view and/or formula, following Airtable's offset
+// pagination up to `maxRecords`
+async function listRecords(settings, { view, filterByFormula, maxRecords } = {}) {
+    const records = [];
+    let offset;
+
+    do {
+        const params = new URLSearchParams({ pageSize: String(PAGE_SIZE) });
+        if (view) params.set('view', view);
+        if (filterByFormula) params.set('filterByFormula', filterByFormula);
+        if (offset) params.set('offset', offset);
+
+        const page = await request(settings, `${tableUrl(settings)}?${params}`);
+        records.push(...page.records);
+        offset = page.offset;
+    } while (offset && (!maxRecords || records.length < maxRecords));
+
+    return maxRecords ? records.slice(0, maxRecords) : records;
+}
+
+// Fetch specific records by ID, a page of IDs per formula query
+async function getRecordsById(settings, recordIds) {
+    const records = [];
+    for (let i = 0; i < recordIds.length; i += PAGE_SIZE) {
+        const ids = recordIds.slice(i, i + PAGE_SIZE);
+        const formula = `OR(${ids.map(id => `RECORD_ID() = ${formulaString(id)}`).join(', ')})`;
+        records.push(...await listRecords(settings, { filterByFormula: formula }));
+    }
+    return records;
+}
+
+async function updateRecord(settings, recordId, fields) {
+    return request(settings, `${tableUrl(settings)}/${encodeURIComponent(recordId)}`, {
+        method: 'PATCH',
+        body: { fields }
+    });
+}
+
+// Find records for items without a record ID using one OR() query for the
+// whole batch, then rank each item's candidates (lib/record-matching.js).
+// Items carry `submissionId`, `email` and `names`; `match` gives the column
+// names for each. Returns one ranking per item.
+async function resolveRecords(settings, items, match) {
+    const conditions = new Set();
+    for (const item of items) {
+        if (item.recordId) continue;
+        recordMatching.candidateConditions(item, match, formulaString).forEach(condition => conditions.add(condition));
+    }
+
+    const records = conditions.size > 0
+        ? await listRecords(settings, { filterByFormula: `OR(${[...conditions].join(', ')})` })
+        : [];
+
+    return items.map(item => recordMatching.rankCandidates(item, records, match));
+}
+
+// PATCH up to ten records in one request. When Airtable rejects the batch
+// (one bad record fails all ten), the records are retried one by one so
+// each gets its own outcome.
+async function patchBatch(settings, updates) {
+    try {
+        const response = await request(settings, tableUrl(settings), {
+            method: 'PATCH',
+            body: { records: updates.map(({ id, fields }) => ({ id, fields })) }
+        });
+        const updated = new Set(response.records.map(record => record.id));
+        return updates.map(({ id }) => (updated.has(id)
+            ? { success: true }
+            : { success: false, error: 'Record missing from Airtable response' }));
+    } catch (error) {
+        if (updates.length === 1 || !(error instanceof AirtableError) || error.status === 429 || error.status >= 500) {
+            return updates.map(() => ({ success: false, error: error.message, status: error.status }));
+        }
+        const outcomes = [];
+        for (const update of updates) {
+            try {
+                await updateRecord(settings, update.id, update.fields);
+                outcomes.push({ success: true });
+            } catch (recordError) {
+                outcomes.push({ success: false, error: recordError.message, status: recordError.status });
+            }
+        }
+        return outcomes;
+    }
+}
+
+const REVIEW_MESSAGES = {
+    'not-found': 'No matching Airtable record found',
+    ambiguous: 'Several Airtable records match',
+    conflict: 'Matching Airtable record disagrees on Submission ID or email',
+    'low-confidence': 'Only a low-confidence Airtable match',
+    'duplicate-target': 'Airtable record already matched to another club in this run'
+};
+
+// Write `fields` to the record for each item ({ recordId?, submissionId?,
+// email?, names?, fields }), ten at a time. Returns one outcome per item, in
+// order: { success, recordId, strategy, confidence, fieldsUpdated, error }.
+// Items that could not be matched safely are not written and carry
+// `needsReview: { reason, candidates }` instead.
+async function syncRecords(settings, items, match) {
+    const outcomes = [];
+    // Two clubs resolving to one record means at least one match is wrong
+    const claimed = new Set();
+
+    for (let start = 0; start < items.length; start += BATCH_SIZE) {
+        const batch = items.slice(start, start + BATCH_SIZE);
+
+        let rankings;
+        try {
+            rankings = await resolveRecords(settings, batch, match);
+        } catch (error) {
+            outcomes.push(...batch.map(() => ({ success: false, recordId: null, error: `Airtable search failed: ${error.message}` })));
+            continue;
+        }
+
+        const updates = [];
+        const batchOutcomes = batch.map((item, index) => {
+            const ranking = rankings[index];
+            if (!ranking.recordId) {
+                return {
+                    success: false,
+                    recordId: null,
+                    error: REVIEW_MESSAGES[ranking.reason],
+                    needsReview: { reason: ranking.reason, candidates: ranking.candidates }
+                };
+            }
+
+            const outcome = {
+                success: false,
+                recordId: ranking.recordId,
+                strategy: ranking.strategy,
+                confidence: ranking.confidence
+            };
+            if (claimed.has(ranking.recordId)) {
+                outcome.recordId = null;
+                outcome.error = REVIEW_MESSAGES['duplicate-target'];
+                outcome.needsReview = { reason: 'duplicate-target', candidates: [{ recordId: ranking.recordId }] };
+                return outcome;
+            }
+
+            claimed.add(ranking.recordId);
+            updates.push({ id: ranking.recordId, fields: item.fields, outcome });
+            return outcome;
+        });
+
+        if (updates.length > 0) {
+            const results = await patchBatch(settings, updates);
+            results.forEach((result, index) => {
+                const { outcome, fields } = updates[index];
+                outcome.success = result.success;
+                if (result.success) {
+                    outcome.fieldsUpdated = Object.keys(fields).length;
+                } else {
+                    outcome.error = result.error;
+                }
+            });
+        }
+
+        outcomes.push(...batchOutcomes);
+    }
+
+    return outcomes;
+}
+
+module.exports = {
+    API_URL,
+    BATCH_SIZE,
+    AirtableError,
+    createTokenBucket,
+    formulaString,
+    cellText,
+    apiUrl,
+    tableUrl,
+    request,
+    listRecords,
+    getRecordsById,
+    updateRecord,
+    resolveRecords,
+    syncRecords
+};
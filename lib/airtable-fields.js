@@ -0,0 +1,198 @@
+// Airtable field mapping shared by every code path that writes processed
+// images back to Airtable. config/airtable-fields.json lists which value of
+// which image goes into which column:
+//
+//   image  'hero', 'logo', 'gallery-2', ... or a base type such as 'gallery'
+//          to take every gallery image in order
+//   value  'url', 'altText', 'pictureHtml', 'filename' or 'publicId'
+//   kind   'url'        a single URL (the first matching image)
+//          'text'       text; several matching images are joined by newlines
+//          'attachment' an attachment list built from the image URLs
+//
+// The mapping is checked against the table's real columns before a batch
+// starts, so a renamed column fails up front instead of as a 422 per record.
+const path = require('path');
+const fs = require('fs');
+const { baseImageType } = require('./renditions');
+const airtableClient = require('./airtable-client');
+
+const CONFIG_FILE = process.env.AIRTABLE_FIELDS_CONFIG || path.join(__dirname, '..', 'config', 'airtable-fields.json');
+const mapping = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+
+const VALUES = ['url', 'altText', 'pictureHtml', 'filename', 'publicId'];
+
+// Airtable column types each kind can be written to
+const KIND_TYPES = {
+    url: ['url', 'singleLineText', 'multilineText', 'richText'],
+    text: ['singleLineText', 'multilineText', 'richText'],
+    attachment: ['multipleAttachments']
+};
+
+// How long a successful validation is trusted before the table is checked again
+const VALIDATION_TTL_MS = 5 * 60 * 1000;
+
+function imagesFor(selector, images) {
+    return images
+        .filter(image => image.type === selector || baseImageType(image.type) === selector)
+        .sort((a, b) => a.type.localeCompare(b.type, undefined, { numeric: true }));
+}
+
+// Build the `fields` object of an Airtable update from processed images
+// ({ type, url, altText, ... }). Columns with no matching image are left out
+// so existing values are not cleared. `values` limits the update to columns
+// of those kinds of value (e.g. ['altText', 'pictureHtml']).
+function buildFieldUpdates(images, values = VALUES) {
+    const fields = {};
+
+    for (const entry of mapping.fields.filter(field => values.includes(field.value))) {
+        const values = imagesFor(entry.image, images)
+            .map(image => ({ image, value: image[entry.value] }))
+            .filter(item => item.value);
+        if (values.length === 0) continue;
+
+        switch (entry.kind) {
+            case 'url':
+                fields[entry.field] = values[0].value;
+                break;
+            case 'text':
+                fields[entry.field] = values.map(item => item.value).join('\n');
+                break;
+            case 'attachment':
+                fields[entry.field] = values.map(({ image, value }) => (
+                    image.filename ? { url: value, filename: image.filename } : { url: value }
+                ));
+                break;
+        }
+    }
+
+    return fields;
+}
+
+// Problems with the config file itself, independent of any table
+function configProblems() {
+    const problems = [];
+    mapping.fields.forEach((entry, index) => {
+        if (!entry.field) problems.push(`fields[${index}] has no "field"`);
+        if (!entry.image) problems.push(`fields[${index}] has no "image"`);
+        if (!VALUES.includes(entry.value)) problems.push(`fields[${index}] has unknown value "${entry.value}"`);
+        if (!KIND_TYPES[entry.kind]) problems.push(`fields[${index}] has unknown kind "${entry.kind}"`);
+    });
+    return problems;
+}
+
+// Connection settings from the environment, or null when Airtable is not set up
+function settingsFromEnv() {
+    const { AIRTABLE_BASE_ID, AIRTABLE_TABLE_NAME, AIRTABLE_TOKEN } = process.env;
+    if (!AIRTABLE_BASE_ID || !AIRTABLE_TABLE_NAME || !AIRTABLE_TOKEN) return null;
+    return { baseId: AIRTABLE_BASE_ID, tableName: AIRTABLE_TABLE_NAME, token: AIRTABLE_TOKEN };
+}
+
+// Columns of the table. The records fetch is the one /api/test-airtable has
+// always made; Airtable leaves empty cells out of records, so the schema API
+// is tried too and used when the token has the schema.bases:read scope.
+// Returns { source: 'schema' | 'records', fields: [{ name, type }], records }.
+async function fetchTableFields(settings) {
+    const { records } = await airtableClient.request(settings, `${airtableClient.tableUrl(settings)}?maxRecords=3`);
+
+    try {
+        const { tables } = await airtableClient.request(settings, `${airtableClient.apiUrl(settings)}/meta/bases/${settings.baseId}/tables`);
+        const table = tables.find(candidate => candidate.name === settings.tableName || candidate.id === settings.tableName);
+        if (table) {
+            return {
+                source: 'schema',
+                fields: table.fields.map(field => ({ name: field.name, type: field.type })),
+                records
+            };
+        }
+    } catch (error) {
+        console.log('Airtable schema lookup unavailable:', error.message);
+    }
+
+    const names = new Set();
+    for (const record of records) {
+        Object.keys(record.fields).forEach(name => names.add(name));
+    }
+    return {
+        source: 'records',
+        fields: [...names].map(name => ({ name, type: null })),
+        records
+    };
+}
+
+// Check the mapping against the table's columns. With the schema, missing
+// columns and incompatible types are errors. From sampled records an unseen
+// column may just be empty, so it is only reported as unverified.
+function validateFieldMapping(table) {
+    const columns = new Map(table.fields.map(field => [field.name, field.type]));
+    const wanted = [
+        ...mapping.fields.map(entry => ({ field: entry.field, kind: entry.kind })),
+        ...Object.values(mapping.match || {}).map(field => ({ field, kind: null }))
+    ];
+
+    const missing = [];
+    const unverified = [];
+    const kindMismatches = [];
+
+    for (const { field, kind } of wanted) {
+        if (!columns.has(field)) {
+            const list = table.source === 'schema' ? missing : unverified;
+            if (!list.includes(field)) list.push(field);
+            continue;
+        }
+        const type = columns.get(field);
+        if (kind && type && !KIND_TYPES[kind].includes(type)) {
+            kindMismatches.push({ field, kind, type, expected: KIND_TYPES[kind] });
+        }
+    }
+
+    const problems = configProblems();
+    return {
+        valid: problems.length === 0 && missing.length === 0 && kindMismatches.length === 0,
+        source: table.source,
+        configProblems: problems,
+        missing,
+        unverified,
+        kindMismatches
+    };
+}
+
+function describeValidation(validation) {
+    const parts = [...validation.configProblems];
+    if (validation.missing.length > 0) {
+        parts.push(`missing columns: ${validation.missing.join(', ')}`);
+    }
+    for (const mismatch of validation.kindMismatches) {
+        parts.push(`"${mismatch.field}" is ${mismatch.type}, expected ${mismatch.expected.join(' or ')} for ${mismatch.kind}`);
+    }
+    return `Airtable field mapping does not match the table: ${parts.join('; ')}`;
+}
+
+const validated = new Map();
+
+// Validate a table at most once per VALIDATION_TTL_MS while it passes;
+// callers run this before starting a batch
+async function ensureValidMapping(settings) {
+    const key = `${settings.baseId}/${settings.tableName}`;
+    const cached = validated.get(key);
+    if (cached && Date.now() - cached.checkedAt < VALIDATION_TTL_MS) {
+        return cached.validation;
+    }
+
+    const validation = validateFieldMapping(await fetchTableFields(settings));
+    if (validation.valid) {
+        validated.set(key, { validation, checkedAt: Date.now() });
+    } else {
+        validated.delete(key);
+    }
+    return validation;
+}
+
+module.exports = {
+    mapping,
+    settingsFromEnv,
+    buildFieldUpdates,
+    fetchTableFields,
+    validateFieldMapping,
+    describeValidation,
+    ensureValidMapping
+};
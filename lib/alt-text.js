@@ -0,0 +1,192 @@
+// Descriptive alt text, built without any external service from what is
+// known about an image: the club's details from its submission (category,
+// neighborhood, description), an optional caption sent with the image, and
+// the framing and dominant colours sharp measures on the stored crop. A
+// caption is used as given; otherwise a per-type template combines whatever
+// is available. Alt text edited by hand in the results UI is kept in the
+// image manifest and wins over both (see lib/pipeline.js).
+const sharp = require('sharp');
+
+const MAX_LENGTH = 250;
+// Pixels sampled per side when measuring colours
+const SAMPLE_SIZE = 48;
+// Share of the image a colour needs before it is named
+const MIN_COLOUR_SHARE = 0.15;
+const MAX_COLOURS = 2;
+
+// Hue bands (upper bound in degrees) for saturated colours
+const HUES = [
+    [15, 'red'], [40, 'orange'], [65, 'yellow'], [160, 'green'],
+    [195, 'teal'], [250, 'blue'], [290, 'purple'], [340, 'pink'], [360, 'red']
+];
+
+function colourName(r, g, b) {
+    const max = Math.max(r, g, b) / 255;
+    const min = Math.min(r, g, b) / 255;
+    const lightness = (max + min) / 2;
+    const delta = max - min;
+    const saturation = delta === 0 ? 0 : delta / (1 - Math.abs(2 * lightness - 1));
+
+    if (lightness < 0.12) return 'black';
+    if (lightness > 0.92) return 'white';
+    if (saturation < 0.18) return 'grey';
+
+    let hue;
+    if (max === r / 255) hue = ((g - b) / 255 / delta) % 6;
+    else if (max === g / 255) hue = (b - r) / 255 / delta + 2;
+    else hue = (r - g) / 255 / delta + 4;
+    hue = (hue * 60 + 360) % 360;
+
+    const name = HUES.find(([limit]) => hue < limit)[1];
+    return name === 'orange' && lightness < 0.4 ? 'brown' : name;
+}
+
+function orientationOf(width, height) {
+    const ratio = width / height;
+    if (ratio >= 1.7) return 'wide';
+    if (ratio > 1.15) return 'landscape';
+    if (ratio >= 0.87) return 'square';
+    if (ratio > 0.6) return 'portrait';
+    return 'tall';
+}
+
+// Orientation and dominant colour names of an image as it will be shown:
+// after auto-rotation and `crop` (a planCrop box), ignoring transparent
+// pixels. `size` is the shown { width, height }.
+async function describeVisual(imageBuffer, crop, size) {
+    let image = sharp(imageBuffer).rotate();
+    if (crop) {
+        image = image.extract(crop.box);
+    }
+    const { data, info } = await image
+        .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'fill' })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const counts = new Map();
+    let opaque = 0;
+    for (let i = 0; i < data.length; i += info.channels) {
+        if (data[i + 3] < 128) continue;
+        const name = colourName(data[i], data[i + 1], data[i + 2]);
+        counts.set(name, (counts.get(name) || 0) + 1);
+        opaque++;
+    }
+
+    const colours = [...counts.entries()]
+        .map(([name, count]) => ({ name, share: count / opaque }))
+        .filter(colour => colour.share >= MIN_COLOUR_SHARE)
+        .sort((a, b) => b.share - a.share)
+        .slice(0, MAX_COLOURS)
+        .map(colour => colour.name);
+
+    return {
+        orientation: orientationOf(size.width, size.height),
+        colours
+    };
+}
+
+function clean(value) {
+    return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+}
+
+// Club details the templates use, from whichever fields a source provides
+function normalizeDetails(source = {}) {
+    return {
+        category: clean(source.category),
+        neighborhood: clean(source.neighborhood || source.neighbourhood),
+        description: clean(source.description)
+    };
+}
+
+// Per-image captions keyed by image type. Accepts { hero, logo, gallery: []
+// } or keys that are already image types ('gallery-2').
+function normalizeCaptions(source) {
+    const captions = {};
+    if (!source || typeof source !== 'object') return captions;
+
+    for (const [key, value] of Object.entries(source)) {
+        if (key === 'gallery' && Array.isArray(value)) {
+            value.forEach((caption, index) => {
+                if (clean(caption)) captions[`gallery-${index + 1}`] = clean(caption);
+            });
+        } else if (/^(hero|logo|gallery-\d+)$/.test(key) && clean(value)) {
+            captions[key] = clean(value);
+        }
+    }
+    return captions;
+}
+
+function joinWords(words) {
+    return words.length > 1 ? `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}` : words.join('');
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// "Hook & Co, a book club in Fishtown"
+function describeClub(name, details) {
+    const { category, neighborhood } = details;
+    let text = name;
+    if (category) {
+        const kind = /\b(club|group|team|league|society|community|collective|crew|association)s?$/i.test(category)
+            ? category
+            : `${category} group`;
+        text += `, ${/^[aeiou]/i.test(kind) ? 'an' : 'a'} ${kind}`;
+    }
+    if (neighborhood) {
+        text += ` in ${neighborhood}`;
+    }
+    return text;
+}
+
+// First sentence of the club's description, if it is short enough to add
+function descriptionSentence(description) {
+    const sentence = (description.match(/^.*?[.!?](\s|$)/) || [description])[0].trim();
+    if (!sentence || sentence.length > 120) return '';
+    return /[.!?]$/.test(sentence) ? sentence : `${sentence}.`;
+}
+
+function truncate(text) {
+    if (text.length <= MAX_LENGTH) return text;
+    const cut = text.slice(0, MAX_LENGTH - 1);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
+
+// Alt text for one image. `context`: { displayName, details, caption,
+// visual }; everything is optional, and the club name falls back to its slug.
+function generateAltText(clubName, imageType, context = {}) {
+    const caption = clean(context.caption);
+    if (caption) return truncate(caption);
+
+    const name = context.displayName
+        ? context.displayName.trim()
+        : clubName.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+    const details = normalizeDetails(context.details);
+    const visual = context.visual || {};
+    const colours = visual.colours && visual.colours.length > 0 ? joinWords(visual.colours) : '';
+    const orientation = visual.orientation ? `${visual.orientation} ` : '';
+
+    if (imageType === 'logo') {
+        return truncate(`${name} logo${colours ? ` in ${colours}` : ''}`);
+    }
+
+    const about = describeClub(name, details);
+    const tones = colours ? `, mostly ${colours}` : '';
+
+    if (imageType === 'hero') {
+        const text = capitalize(`${orientation}banner photo for ${about}${tones}`);
+        const sentence = descriptionSentence(details.description);
+        return truncate(sentence && text.length + sentence.length < MAX_LENGTH ? `${text}. ${sentence}` : text);
+    }
+
+    const gallery = /^gallery-(\d+)$/.exec(imageType);
+    if (gallery) {
+        return truncate(capitalize(`${orientation}gallery photo ${gallery[1]} from ${about}${tones}`));
+    }
+
+    return truncate(`${name} image`);
+}
+
+module.exports = { MAX_LENGTH, colourName, describeVisual, normalizeDetails, normalizeCaptions, generateAltText };
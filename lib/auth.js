@@ -0,0 +1,182 @@
+// Authentication for the API. A request gets in with either
+//
+//   an API key   `X-API-Key: <key>` or `Authorization: Bearer <key>`, checked
+//                against API_KEYS (comma-separated, so keys can be rotated)
+//   a signature  `X-Signature: sha256=<hex>` and `X-Timestamp: <unix seconds>`,
+//                where <hex> is the HMAC-SHA256 under WEBHOOK_SECRET of
+//                "<timestamp>.<METHOD>.<path>.<raw body>": the upper-case
+//                method and the path with its query string as sent, e.g.
+//                "1700000000.POST./api/process-webhook.{...}". Timestamps
+//                older or newer than SIGNATURE_TOLERANCE_SECONDS are refused
+//                and each signature is accepted once, so a captured request
+//                can't be replayed, nor sent to another route or method.
+//
+// Signatures only cover bodies express.json() captured (see `captureRawBody`);
+// multipart uploads need an API key. With neither API_KEYS nor WEBHOOK_SECRET
+// set every request is refused, unless AUTH_DISABLED=true for local work.
+const crypto = require('crypto');
+
+const API_KEYS = (process.env.API_KEYS || process.env.API_KEY || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean);
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const TOLERANCE_SECONDS = parseInt(process.env.SIGNATURE_TOLERANCE_SECONDS, 10) || 300;
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+
+class AuthError extends Error {
+    constructor(message, code, status = 401) {
+        super(message);
+        this.name = 'AuthError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+// Signatures seen inside the tolerance window, with when they can be forgotten
+const seenSignatures = new Map();
+
+function rememberSignature(signature, timestamp) {
+    const now = Date.now();
+    for (const [seen, expiresAt] of seenSignatures) {
+        if (expiresAt <= now) seenSignatures.delete(seen);
+    }
+    if (seenSignatures.has(signature)) return false;
+    seenSignatures.set(signature, (timestamp + TOLERANCE_SECONDS) * 1000);
+    return true;
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function sign(timestamp, method, path, rawBody, secret = WEBHOOK_SECRET) {
+    return crypto.createHmac('sha256', secret)
+        .update(`${timestamp}.${method.toUpperCase()}.${path}.`)
+        .update(rawBody || '')
+        .digest('hex');
+}
+
+// `verify` hook for express.json(): keep the exact bytes that were signed
+function captureRawBody(req, res, buffer) {
+    req.rawBody = buffer;
+}
+
+function requestApiKey(req) {
+    const header = req.get('x-api-key');
+    if (header) return header.trim();
+    const authorization = req.get('authorization') || '';
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+function hasUncapturedBody(req) {
+    if (req.rawBody) return false;
+    return Number(req.get('content-length')) > 0 || Boolean(req.get('transfer-encoding'));
+}
+
+// Throws AuthError for a bad signature; returns false when none was sent
+function checkSignature(req) {
+    const header = req.get('x-signature');
+    if (!header) return false;
+    if (!WEBHOOK_SECRET) {
+        throw new AuthError('Signed requests are not enabled on this server', 'SIGNATURE_NOT_CONFIGURED');
+    }
+
+    const timestamp = parseInt(req.get('x-timestamp'), 10);
+    if (!Number.isFinite(timestamp)) {
+        throw new AuthError('Missing or invalid X-Timestamp header', 'TIMESTAMP_INVALID');
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+        throw new AuthError(`Timestamp is more than ${TOLERANCE_SECONDS}s from server time`, 'TIMESTAMP_EXPIRED');
+    }
+    if (hasUncapturedBody(req)) {
+        throw new AuthError('This request body cannot be signed; use an API key', 'SIGNATURE_UNSUPPORTED');
+    }
+
+    const signature = header.replace(/^sha256=/, '');
+    if (!safeEqual(signature, sign(timestamp, req.method, req.originalUrl, req.rawBody))) {
+        throw new AuthError('Signature does not match', 'SIGNATURE_INVALID');
+    }
+    if (!rememberSignature(signature, timestamp)) {
+        throw new AuthError('Signature has already been used', 'SIGNATURE_REPLAYED');
+    }
+    return true;
+}
+
+function checkApiKey(req) {
+    const key = requestApiKey(req);
+    if (!key) return false;
+    if (!API_KEYS.some(candidate => safeEqual(candidate, key))) {
+        throw new AuthError('Invalid API key', 'API_KEY_INVALID');
+    }
+    return true;
+}
+
+// Short, stable name for an API key that doesn't reveal it
+function keyFingerprint(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+// Express middleware guarding everything mounted after it
+function requireAuth(req, res, next) {
+    if (AUTH_DISABLED) {
+        req.auth = { method: 'none' };
+        return next();
+    }
+
+    if (API_KEYS.length === 0 && !WEBHOOK_SECRET) {
+        return res.status(503).json({
+            error: 'Authentication is not configured: set API_KEYS and/or WEBHOOK_SECRET (or AUTH_DISABLED=true for local development)',
+            code: 'AUTH_NOT_CONFIGURED'
+        });
+    }
+
+    try {
+        if (checkSignature(req)) {
+            req.auth = { method: 'signature' };
+            return next();
+        }
+        if (checkApiKey(req)) {
+            req.auth = { method: 'api-key', keyId: keyFingerprint(requestApiKey(req)) };
+            return next();
+        }
+        throw new AuthError('Authentication required: send X-API-Key or a signed request', 'AUTH_REQUIRED');
+    } catch (error) {
+        if (!(error instanceof AuthError)) return next(error);
+        console.log(`Rejected ${req.method} ${req.originalUrl}: ${error.code}`);
+        res.status(error.status).json({ error: error.message, code: error.code });
+    }
+}
+
+// Who made a request, for the run history and audit log: how it
+// authenticated (API keys by fingerprint) plus the optional X-Triggered-By
+// label a caller can send, such as a person's or workflow's name
+// (percent-encoded if it isn't plain ASCII)
+function describeCaller(req) {
+    const auth = req.auth || { method: 'none' };
+    const who = auth.method === 'api-key' ? `API key ${auth.keyId}`
+        : auth.method === 'signature' ? 'signed request'
+        : 'auth disabled';
+    let label = String(req.get('x-triggered-by') || '');
+    try {
+        label = decodeURIComponent(label);
+    } catch (error) {
+        // Not percent-encoded; use it as sent
+    }
+    label = label.replace(/[\u0000-\u001f]/g, '').trim().slice(0, 100);
+    return label ? `${label} (${who})` : who;
+}
+
+function describe() {
+    return {
+        disabled: AUTH_DISABLED,
+        apiKeys: API_KEYS.length,
+        signatures: Boolean(WEBHOOK_SECRET),
+        toleranceSeconds: TOLERANCE_SECONDS
+    };
+}
+
+module.exports = { AuthError, sign, captureRawBody, requireAuth, describeCaller, describe };
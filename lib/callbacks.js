@@ -0,0 +1,176 @@
+// Completion callbacks for asynchronous webhook jobs. The final payload is
+// POSTed to the caller's `callbackUrl`, signed the same way incoming
+// requests are (lib/auth.js): `X-Signature: sha256=<hmac of
+// "<timestamp>.POST.<callback path and query>.<body>">` with `X-Timestamp`,
+// under CALLBACK_SECRET or WEBHOOK_SECRET. Network errors, 408, 429 and 5xx
+// are retried with exponential backoff; other responses end the delivery.
+// Deliveries are kept in data/callbacks.json so retries survive a restart.
+const path = require('path');
+const auth = require('./auth');
+const { safeFetch } = require('./safe-fetch');
+const { DATA_DIR, readJson, writeJson } = require('./json-store');
+
+const CALLBACKS_FILE = path.join(DATA_DIR, 'callbacks.json');
+const SECRET = process.env.CALLBACK_SECRET || process.env.WEBHOOK_SECRET || '';
+const MAX_ATTEMPTS = parseInt(process.env.CALLBACK_MAX_ATTEMPTS, 10) || 6;
+const BACKOFF_MS = parseInt(process.env.CALLBACK_BACKOFF_MS, 10) || 2000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS, 10) || 7;
+// Callback responses are only read for logging
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+let deliveries = null;
+let writeChain = Promise.resolve();
+
+async function load() {
+    if (!deliveries) {
+        const stored = await readJson(CALLBACKS_FILE, { deliveries: {} });
+        deliveries = stored.deliveries || {};
+    }
+    return deliveries;
+}
+
+function persist() {
+    writeChain = writeChain
+        .then(() => writeJson(CALLBACKS_FILE, { deliveries }))
+        .catch(error => console.error('Failed to persist callbacks:', error.message));
+    return writeChain;
+}
+
+function isConfigured() {
+    return Boolean(SECRET);
+}
+
+function backoffDelay(attempt, retryAfter) {
+    const exponential = Math.min(MAX_BACKOFF_MS, BACKOFF_MS * 2 ** (attempt - 1));
+    const jitter = Math.random() * BACKOFF_MS * 0.5;
+    const requested = Math.min(MAX_BACKOFF_MS, parseFloat(retryAfter) * 1000 || 0);
+    return Math.max(exponential + jitter, requested);
+}
+
+function isRetryable(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+function schedule(delivery, delay) {
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    setTimeout(() => {
+        attempt(delivery).catch(error => console.error(`Callback for job ${delivery.jobId} failed:`, error));
+    }, delay).unref();
+}
+
+async function attempt(delivery) {
+    delivery.attempts++;
+    delivery.lastAttemptAt = new Date().toISOString();
+    delivery.nextAttemptAt = null;
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const { pathname, search } = new URL(delivery.url);
+    let retryAfter = null;
+
+    try {
+        const response = await safeFetch(delivery.url, {
+            method: 'POST',
+            body,
+            maxBytes: MAX_RESPONSE_BYTES,
+            checkHeaders: () => {},
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'X-Timestamp': String(timestamp),
+                'X-Signature': `sha256=${auth.sign(timestamp, 'POST', pathname + search, body, SECRET)}`,
+                'X-Job-Id': delivery.jobId,
+                'X-Delivery-Attempt': String(delivery.attempts)
+            }
+        });
+        delivery.lastStatus = response.status;
+        if (response.ok) {
+            delivery.status = 'delivered';
+            delivery.error = null;
+        } else {
+            delivery.error = `Callback URL returned ${response.status}`;
+            retryAfter = response.headers['retry-after'];
+            if (!isRetryable(response.status)) delivery.status = 'failed';
+        }
+    } catch (error) {
+        delivery.lastStatus = null;
+        delivery.error = error.message;
+    }
+
+    if (delivery.status === 'pending') {
+        if (delivery.attempts >= MAX_ATTEMPTS) {
+            delivery.status = 'failed';
+        } else {
+            const delay = backoffDelay(delivery.attempts, retryAfter);
+            console.log(`Callback for job ${delivery.jobId} failed (${delivery.error}); retrying in ${Math.round(delay)}ms`);
+            schedule(delivery, delay);
+        }
+    }
+
+    if (delivery.status !== 'pending') {
+        console.log(`Callback for job ${delivery.jobId} ${delivery.status} after ${delivery.attempts} attempt(s)`);
+        // The payload stays on the job; only the delivery record is kept
+        delete delivery.payload;
+    }
+    await persist();
+}
+
+// Queue delivery of `payload` for a finished job. A job resumed after a
+// restart keeps the delivery it already has rather than sending twice.
+async function deliver(jobId, url, payload) {
+    const all = await load();
+    if (all[jobId]) return describe(all[jobId]);
+
+    const delivery = {
+        jobId,
+        url,
+        status: 'pending',
+        attempts: 0,
+        lastStatus: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        lastAttemptAt: null,
+        nextAttemptAt: null,
+        payload
+    };
+    all[jobId] = delivery;
+    await persist();
+    schedule(delivery, 0);
+    return describe(delivery);
+}
+
+function describe(delivery) {
+    const { payload, ...rest } = delivery;
+    return rest;
+}
+
+async function getDelivery(jobId) {
+    const all = await load();
+    return all[jobId] ? describe(all[jobId]) : null;
+}
+
+// Pick up deliveries still pending when the process stopped, and forget
+// finished ones older than the job retention period
+async function restoreDeliveries() {
+    const all = await load();
+    const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    let resumed = 0;
+
+    for (const [jobId, delivery] of Object.entries(all)) {
+        if (delivery.status === 'pending') {
+            const wait = delivery.nextAttemptAt ? new Date(delivery.nextAttemptAt).getTime() - Date.now() : 0;
+            schedule(delivery, Math.max(0, wait));
+            resumed++;
+        } else if (new Date(delivery.createdAt).getTime() < cutoff) {
+            delete all[jobId];
+        }
+    }
+
+    await persist();
+    if (resumed > 0) {
+        console.log(`Resuming ${resumed} pending callback(s)`);
+    }
+}
+
+module.exports = { isConfigured, deliver, getDelivery, restoreDeliveries };
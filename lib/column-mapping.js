@@ -0,0 +1,191 @@
+// Header-driven CSV column mapping. Profiles live as JSON in
+// config/mapping-profiles and list the header names each logical column may
+// appear under; the long Fillout question headers are always included.
+const path = require('path');
+const fs = require('fs').promises;
+const { FORM_FIELDS } = require('./form-fields');
+
+const PROFILES_DIR = path.join(__dirname, '..', 'config', 'mapping-profiles');
+const DEFAULT_PROFILE_ID = process.env.CSV_MAPPING_PROFILE || 'fillout';
+const DEFAULT_FUZZY_THRESHOLD = 0.75;
+
+function normalizeHeader(header) {
+    return String(header || '')
+        .replace(/^\uFEFF/, '')
+        .toLowerCase()
+        .replace(/[\u2018\u2019']/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// Similarity between two headers in [0, 1]: exact normalized match scores 1,
+// containing the other as a phrase of two or more words scores 0.9,
+// otherwise the Dice coefficient of their word sets. Single words only match
+// exactly or by overlap, so an alias like "Name" or "Logo" doesn't claim
+// "Your name" or "Do you have a logo?".
+function headerSimilarity(a, b) {
+    const left = normalizeHeader(a);
+    const right = normalizeHeader(b);
+
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+
+    const shorter = left.length < right.length ? left : right;
+    const longer = shorter === left ? right : left;
+    if (shorter.includes(' ') && ` ${longer} `.includes(` ${shorter} `)) {
+        return 0.9;
+    }
+
+    const leftWords = new Set(left.split(' '));
+    const rightWords = new Set(right.split(' '));
+    let shared = 0;
+    for (const word of leftWords) {
+        if (rightWords.has(word)) shared++;
+    }
+
+    return (2 * shared) / (leftWords.size + rightWords.size);
+}
+
+function isValidProfileId(id) {
+    return typeof id === 'string' && /^[a-z0-9][a-z0-9_-]{0,49}$/.test(id);
+}
+
+function validateProfile(profile) {
+    const problems = [];
+
+    if (!profile || typeof profile !== 'object') {
+        return ['Profile must be a JSON object'];
+    }
+    if (!isValidProfileId(profile.id)) {
+        problems.push('id must be lowercase letters, digits, "-" or "_"');
+    }
+    if (!profile.columns || typeof profile.columns !== 'object') {
+        problems.push('columns must be an object');
+    } else {
+        for (const [key, column] of Object.entries(profile.columns)) {
+            if (!column || !Array.isArray(column.headers)) {
+                problems.push(`columns.${key}.headers must be an array`);
+            }
+        }
+    }
+    if (profile.requiredOneOf && !Array.isArray(profile.requiredOneOf)) {
+        problems.push('requiredOneOf must be an array');
+    }
+
+    return problems;
+}
+
+async function listProfiles() {
+    let files = [];
+    try {
+        files = await fs.readdir(PROFILES_DIR);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const profiles = [];
+    for (const file of files.filter(f => f.endsWith('.json')).sort()) {
+        try {
+            const profile = JSON.parse(await fs.readFile(path.join(PROFILES_DIR, file), 'utf-8'));
+            profiles.push({ id: profile.id, label: profile.label || profile.id });
+        } catch (error) {
+            console.error(`Skipping unreadable mapping profile ${file}:`, error.message);
+        }
+    }
+
+    return profiles;
+}
+
+async function loadProfile(id = DEFAULT_PROFILE_ID) {
+    if (!isValidProfileId(id)) {
+        throw new Error(`Invalid mapping profile id: ${id}`);
+    }
+
+    let profile;
+    try {
+        profile = JSON.parse(await fs.readFile(path.join(PROFILES_DIR, `${id}.json`), 'utf-8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`Mapping profile not found: ${id}`);
+        }
+        throw error;
+    }
+
+    const problems = validateProfile(profile);
+    if (problems.length > 0) {
+        throw new Error(`Mapping profile ${id} is invalid: ${problems.join('; ')}`);
+    }
+
+    return profile;
+}
+
+async function saveProfile(profile) {
+    const problems = validateProfile(profile);
+    if (problems.length > 0) {
+        throw new Error(`Invalid mapping profile: ${problems.join('; ')}`);
+    }
+
+    await fs.mkdir(PROFILES_DIR, { recursive: true });
+    await fs.writeFile(path.join(PROFILES_DIR, `${profile.id}.json`), JSON.stringify(profile, null, 4) + '\n');
+    return profile;
+}
+
+// Resolve each profile column to a header index. Exact matches are claimed
+// first so a fuzzy match can never steal a header another column names
+// verbatim; every header is assigned to at most one column.
+function resolveColumns(headers, profile) {
+    const threshold = profile.fuzzyThreshold || DEFAULT_FUZZY_THRESHOLD;
+    const candidates = [];
+
+    for (const [key, column] of Object.entries(profile.columns)) {
+        const names = [...column.headers];
+        if (FORM_FIELDS[key] && !names.includes(FORM_FIELDS[key])) {
+            names.unshift(FORM_FIELDS[key]);
+        }
+
+        headers.forEach((header, index) => {
+            let best = 0;
+            for (const name of names) {
+                best = Math.max(best, headerSimilarity(header, name));
+            }
+            if (best >= threshold) {
+                candidates.push({ key, index, header, score: best });
+            }
+        });
+    }
+
+    candidates.sort((a, b) => b.score - a.score || a.index - b.index);
+
+    const columns = {};
+    const claimed = new Set();
+    for (const candidate of candidates) {
+        if (columns[candidate.key] || claimed.has(candidate.index)) continue;
+        columns[candidate.key] = {
+            index: candidate.index,
+            header: String(candidate.header).replace(/^\uFEFF/, ''),
+            score: Math.round(candidate.score * 100) / 100
+        };
+        claimed.add(candidate.index);
+    }
+
+    const missing = Object.entries(profile.columns)
+        .filter(([key, column]) => column.required && !columns[key])
+        .map(([key]) => key);
+
+    const oneOf = profile.requiredOneOf || [];
+    if (oneOf.length > 0 && !oneOf.some(key => columns[key])) {
+        missing.push(oneOf.join('|'));
+    }
+
+    return { columns, missing };
+}
+
+module.exports = {
+    DEFAULT_PROFILE_ID,
+    normalizeHeader,
+    headerSimilarity,
+    listProfiles,
+    loadProfile,
+    saveProfile,
+    resolveColumns
+};
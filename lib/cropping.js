@@ -0,0 +1,159 @@
+// Fixed aspect-ratio cropping per image type. The crop box is computed once
+// per source image, from sharp's attention/entropy strategy or a manual focal
+// point, so every rendition of an image shows exactly the same framing.
+const sharp = require('sharp');
+const renditions = require('./renditions');
+
+// Longest edge used when asking sharp where the interesting region is
+const ANALYSIS_SIZE = 512;
+const STRATEGIES = ['attention', 'entropy', 'center'];
+
+function parseAspectRatio(value) {
+    if (typeof value === 'number') return value > 0 ? value : null;
+    const match = String(value || '').match(/^\s*(\d+(?:\.\d+)?)\s*[:/x]\s*(\d+(?:\.\d+)?)\s*$/);
+    if (!match) return null;
+    const ratio = parseFloat(match[1]) / parseFloat(match[2]);
+    return ratio > 0 && isFinite(ratio) ? ratio : null;
+}
+
+// Accepts { x, y }, "0.5,0.3" or "50%,30%"; returns { x, y } in [0, 1] or null
+function parseFocalPoint(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    let x;
+    let y;
+    if (typeof value === 'object') {
+        x = Number(value.x);
+        y = Number(value.y);
+    } else {
+        const parts = String(value).split(',').map(part => part.trim());
+        if (parts.length !== 2) return null;
+        [x, y] = parts.map(part => part.endsWith('%') ? parseFloat(part) / 100 : parseFloat(part));
+    }
+
+    if (!isFinite(x) || !isFinite(y) || x < 0 || x > 1 || y < 0 || y > 1) return null;
+    return { x, y };
+}
+
+function cropPreset(imageType) {
+    const type = renditions.config.types[renditions.baseImageType(imageType)] || {};
+    const crop = type.crop || {};
+    return {
+        aspectRatio: crop.aspectRatio || null,
+        ratio: parseAspectRatio(crop.aspectRatio),
+        strategy: crop.strategy || 'attention'
+    };
+}
+
+// Dimensions after EXIF auto-rotation
+function orientedSize(metadata) {
+    return metadata.orientation >= 5
+        ? { width: metadata.height, height: metadata.width }
+        : { width: metadata.width, height: metadata.height };
+}
+
+// Largest box of the given ratio that fits the source
+function largestBox(width, height, ratio) {
+    if (width / height > ratio) {
+        return { width: Math.round(height * ratio), height };
+    }
+    return { width, height: Math.round(width / ratio) };
+}
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+function focalBox(width, height, ratio, focalPoint) {
+    const box = largestBox(width, height, ratio);
+    return {
+        left: Math.round(clamp(focalPoint.x * width - box.width / 2, 0, width - box.width)),
+        top: Math.round(clamp(focalPoint.y * height - box.height / 2, 0, height - box.height)),
+        width: box.width,
+        height: box.height
+    };
+}
+
+// Ask sharp for the attention/entropy crop at a small size, then scale the
+// offsets back up to source coordinates
+async function strategyBox(imageBuffer, width, height, ratio, strategy) {
+    const box = largestBox(width, height, ratio);
+
+    if (strategy === 'center') {
+        return {
+            left: Math.round((width - box.width) / 2),
+            top: Math.round((height - box.height) / 2),
+            width: box.width,
+            height: box.height
+        };
+    }
+
+    const scale = Math.min(1, ANALYSIS_SIZE / Math.max(box.width, box.height));
+    const analysisWidth = Math.max(1, Math.round(box.width * scale));
+    const analysisHeight = Math.max(1, Math.round(box.height * scale));
+
+    const { info } = await sharp(imageBuffer)
+        .rotate()
+        .resize(analysisWidth, analysisHeight, {
+            fit: 'cover',
+            position: strategy === 'entropy' ? sharp.strategy.entropy : sharp.strategy.attention
+        })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const resizedScale = Math.max(analysisWidth / width, analysisHeight / height);
+    const left = Math.abs(info.cropOffsetLeft || 0) / resizedScale;
+    const top = Math.abs(info.cropOffsetTop || 0) / resizedScale;
+
+    return {
+        left: Math.round(clamp(left, 0, width - box.width)),
+        top: Math.round(clamp(top, 0, height - box.height)),
+        width: box.width,
+        height: box.height
+    };
+}
+
+// Work out how to frame an image. Returns null when the type has no
+// aspect-ratio preset, or a description of the crop including the source box.
+// `strategy` overrides the preset's (one of STRATEGIES).
+function planCrop(imageBuffer, metadata, imageType, focalPoint, strategy) {
+    const preset = cropPreset(imageType);
+    if (!preset.ratio) return Promise.resolve(null);
+    return planCropToRatio(imageBuffer, metadata, preset.aspectRatio, strategy || preset.strategy, focalPoint);
+}
+
+// Frame an image to any aspect ratio ("16:9", "1.5"); planCrop applies the
+// per-type presets through this
+async function planCropToRatio(imageBuffer, metadata, aspectRatio, strategy = 'attention', focalPoint) {
+    const ratio = parseAspectRatio(aspectRatio);
+    if (!ratio) return null;
+
+    const { width, height } = orientedSize(metadata);
+    const focal = parseFocalPoint(focalPoint);
+    const box = focal
+        ? focalBox(width, height, ratio, focal)
+        : await strategyBox(imageBuffer, width, height, ratio, strategy);
+
+    return {
+        aspectRatio: String(aspectRatio),
+        ratio,
+        strategy: focal ? 'focal-point' : strategy,
+        focalPoint: focal,
+        box
+    };
+}
+
+// Auto-orient the image, apply the planned crop and resize to `width`
+function framedImage(imageBuffer, crop, width) {
+    const image = sharp(imageBuffer).rotate();
+
+    if (!crop) {
+        return image.resize(width, null, { withoutEnlargement: true, fit: 'inside' });
+    }
+
+    return image
+        .extract(crop.box)
+        .resize(width, Math.round(width / crop.ratio), { withoutEnlargement: true, fit: 'fill' });
+}
+
+module.exports = { STRATEGIES, parseAspectRatio, parseFocalPoint, cropPreset, orientedSize, planCrop, planCropToRatio, framedImage };
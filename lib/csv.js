@@ -0,0 +1,60 @@
+// Parse CSV with proper RFC 4180 compliant parsing
+function parseCSVRows(csvText) {
+    const rows = [];
+    let currentRow = [];
+    let currentField = '';
+    let inQuotes = false;
+    let i = 0;
+    
+    while (i < csvText.length) {
+        const char = csvText[i];
+        const nextChar = csvText[i + 1];
+        
+        if (char === '"') {
+            if (inQuotes && nextChar === '"') {
+                currentField += '"';
+                i += 2;
+                continue;
+            } else {
+                inQuotes = !inQuotes;
+            }
+        } else if (char === ',' && !inQuotes) {
+            currentRow.push(currentField);
+            currentField = '';
+        } else if ((char === '\n' || char === '\r') && !inQuotes) {
+            currentRow.push(currentField);
+            if (currentRow.length > 0 && currentRow.some(field => field.trim() !== '')) {
+                rows.push(currentRow);
+            }
+            currentRow = [];
+            currentField = '';
+            
+            if (char === '\r' && nextChar === '\n') {
+                i++;
+            }
+        } else {
+            currentField += char;
+        }
+        
+        i++;
+    }
+    
+    if (currentField !== '' || currentRow.length > 0) {
+        currentRow.push(currentField);
+        if (currentRow.length > 0 && currentRow.some(field => field.trim() !== '')) {
+            rows.push(currentRow);
+        }
+    }
+    
+    return rows;
+}
+
+// Rows of values as CSV text. Every field is quoted so free text (alt text,
+// error messages) survives commas, quotes and line breaks.
+function formatCSVRows(rows) {
+    return rows
+        .map(values => values.map(value => `"${String(value == null ? '' : value).replace(/"/g, '""')}"`).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCSVRows, formatCSVRows };
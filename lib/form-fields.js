@@ -0,0 +1,11 @@
+// Long-form question headers used by the Fillout submission form. The CSV
+// export and the Airtable table share these, so both code paths read them
+// from here.
+const FORM_FIELDS = {
+    name: "What's the name of your club/community/group?",
+    hero: 'Upload a hero image:',
+    logo: "Upload your community's logo:",
+    gallery: 'Upload up to 4 images for your photo gallery:'
+};
+
+module.exports = { FORM_FIELDS };
@@ -0,0 +1,92 @@
+// Structured failures for club images. Every image that can't be processed is
+// reported on its club result as
+//
+//   { image, url, stage, code, message, status, retryable, attempts }
+//
+// next to the readable `errors` strings. `stage` is where it failed
+// ('download', 'validate', 'process', 'upload' or, for the club as a whole,
+// 'airtable') and `retryable` says whether the same source could succeed on
+// another try, which is what "retry failed images" re-runs. Transient download
+// and upload failures (timeouts, dropped connections, 408/429/5xx) are also
+// retried on the spot, IMAGE_MAX_RETRIES times with exponential backoff from
+// IMAGE_BACKOFF_MS.
+const { FetchError } = require('./safe-fetch');
+const { ImageValidationError } = require('./image-validation');
+const { UploadError } = require('./uploads');
+const { StorageError } = require('./storage');
+
+const configuredRetries = parseInt(process.env.IMAGE_MAX_RETRIES, 10);
+const MAX_RETRIES = Number.isNaN(configuredRetries) ? 2 : Math.max(0, configuredRetries);
+const BACKOFF_MS = parseInt(process.env.IMAGE_BACKOFF_MS, 10) || 500;
+const MAX_BACKOFF_MS = 10000;
+
+const TRANSIENT_FETCH_CODES = ['CONNECT_TIMEOUT', 'READ_TIMEOUT'];
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function backoffDelay(attempt) {
+    const exponential = Math.min(MAX_BACKOFF_MS, BACKOFF_MS * 2 ** (attempt - 1));
+    return exponential + Math.random() * BACKOFF_MS * 0.5;
+}
+
+function isTransientStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+function statusOf(error) {
+    return (error.details && error.details.status) || null;
+}
+
+// Whether the same source could succeed on another try. Rejected images,
+// missing uploads and blocked or invalid URLs fail the same way every time.
+function isRetryable(error) {
+    if (error instanceof ImageValidationError || error instanceof UploadError) return false;
+    if (error instanceof FetchError) {
+        return TRANSIENT_FETCH_CODES.includes(error.code) ||
+            (error.code === 'HTTP_ERROR' && isTransientStatus(statusOf(error)));
+    }
+    if (error instanceof StorageError) {
+        return Boolean(error.details.retryable) ||
+            isTransientStatus(statusOf(error)) ||
+            TRANSIENT_NETWORK_CODES.includes(error.details.networkCode);
+    }
+    return TRANSIENT_NETWORK_CODES.includes(error.code);
+}
+
+// Run one stage of an image ('download' or 'upload'), retrying transient
+// failures. The error finally thrown is tagged with its stage and the number
+// of attempts made.
+async function withRetries(stage, description, operation) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await operation();
+        } catch (error) {
+            if (attempt > MAX_RETRIES || !isRetryable(error)) {
+                if (!error.stage) error.stage = stage;
+                error.attempts = attempt;
+                throw error;
+            }
+            const delay = backoffDelay(attempt);
+            console.log(`${description} failed (${error.message}), retry ${attempt} of ${MAX_RETRIES} in ${Math.round(delay)}ms`);
+            await sleep(delay);
+        }
+    }
+}
+
+// The structured failure for an image of `imageType` from `url`. Rejections
+// count as 'validate' even when found while downloading (FILE_TOO_LARGE).
+function describeFailure(error, imageType, url) {
+    return {
+        image: imageType,
+        url,
+        stage: error instanceof ImageValidationError ? 'validate' : error.stage || 'process',
+        code: typeof error.code === 'string' ? error.code : 'PROCESSING_FAILED',
+        message: error.message,
+        status: statusOf(error),
+        retryable: isRetryable(error),
+        attempts: error.attempts || 1
+    };
+}
+
+module.exports = { MAX_RETRIES, isRetryable, withRetries, describeFailure };
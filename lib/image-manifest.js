@@ -0,0 +1,120 @@
+// Manifest of processed images, so running the same submissions again only
+// re-processes what changed. Entries are keyed by the image's public ID and
+// record the source URL, a SHA-256 of the downloaded bytes, a hash of the
+// settings that shaped the output and the stored result. An image whose
+// content and settings both match its entry is skipped; the source URL alone
+// changing does not count. Kept in data/image-manifest.json.
+const path = require('path');
+const crypto = require('crypto');
+const renditions = require('./renditions');
+const { parseFocalPoint } = require('./cropping');
+const { DATA_DIR, readJson, writeJson } = require('./json-store');
+
+const MANIFEST_FILE = path.join(DATA_DIR, 'image-manifest.json');
+
+// Bump when the pipeline changes in a way the settings below don't capture,
+// to force everything to be processed again
+const PIPELINE_VERSION = 1;
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function contentHash(buffer) {
+    return sha256(buffer);
+}
+
+// Everything that affects the files produced for an image. `quality` and
+// `cropStrategy` are per-image overrides from a re-run; without them the
+// settings (and their hash) are exactly the configured ones.
+function describeSettings({ imageType, targetWidth, focalPoint, storage, quality, cropStrategy }) {
+    const type = renditions.typeConfig(imageType);
+    return {
+        pipelineVersion: PIPELINE_VERSION,
+        storage,
+        targetWidth,
+        focalPoint: parseFocalPoint(focalPoint),
+        formats: renditions.formatsFor(imageType),
+        quality: renditions.qualityFor(quality),
+        type: cropStrategy && type.crop ? { ...type, crop: { ...type.crop, strategy: cropStrategy } } : type
+    };
+}
+
+function settingsHash(settings) {
+    return sha256(JSON.stringify(settings));
+}
+
+let entries = null;
+let writeChain = Promise.resolve();
+
+async function load() {
+    if (!entries) {
+        const stored = await readJson(MANIFEST_FILE, { entries: {} });
+        entries = stored.entries || {};
+    }
+    return entries;
+}
+
+async function lookup(publicId) {
+    const manifest = await load();
+    return manifest[publicId] || null;
+}
+
+async function record(publicId, entry) {
+    const manifest = await load();
+    manifest[publicId] = { ...entry, publicId };
+
+    writeChain = writeChain
+        .then(() => writeJson(MANIFEST_FILE, { entries: manifest }))
+        .catch(error => console.error('Failed to persist image manifest:', error.message));
+    return writeChain;
+}
+
+// Keep alt text edited by hand for an image. It is reused for as long as
+// the source content stays the same.
+async function setEditedAltText(publicId, altText) {
+    const entry = await lookup(publicId);
+    if (!entry) return false;
+    await record(publicId, { ...entry, editedAltText: altText });
+    return true;
+}
+
+// Validators for a conditional GET, so an unchanged source isn't downloaded
+// again. Only sent when the URL and settings are the ones last processed.
+function conditionalHeaders(entry, sourceUrl, settings) {
+    const headers = {};
+    if (!entry || entry.sourceUrl !== sourceUrl || entry.settingsHash !== settingsHash(settings)) {
+        return headers;
+    }
+    if (entry.etag) headers['If-None-Match'] = entry.etag;
+    if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+    return headers;
+}
+
+// Classify an image against its manifest entry as 'new', 'updated' or
+// 'skipped'; `changes` lists what differs ('source', 'content', 'settings')
+function compare(entry, { sourceUrl, contentHash: hash, settings }) {
+    if (!entry) {
+        return { status: 'new', changes: [] };
+    }
+
+    const changes = [];
+    if (entry.sourceUrl !== sourceUrl) changes.push('source');
+    if (entry.contentHash !== hash) changes.push('content');
+    if (entry.settingsHash !== settingsHash(settings)) changes.push('settings');
+
+    const unchanged = !changes.includes('content') && !changes.includes('settings');
+    return { status: unchanged ? 'skipped' : 'updated', changes };
+}
+
+module.exports = {
+    PIPELINE_VERSION,
+    contentHash,
+    describeSettings,
+    settingsHash,
+    lookup,
+    record,
+    setEditedAltText,
+    conditionalHeaders,
+    compare
+};
@@ -0,0 +1,192 @@
+// Validation that runs on downloaded images before any encoding. Failures
+// throw an ImageValidationError carrying a stable reason code so callers can
+// report them to clubs; softer findings (blur by default) come back as
+// warnings. Thresholds live in config/validation.json.
+const path = require('path');
+const fs = require('fs');
+const sharp = require('sharp');
+const { baseImageType } = require('./renditions');
+const { isSvg } = require('./logo');
+
+const CONFIG_FILE = process.env.VALIDATION_CONFIG || path.join(__dirname, '..', 'config', 'validation.json');
+const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+
+// Longest edge used for the blur and blank checks
+const ANALYSIS_SIZE = 512;
+
+class ImageValidationError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'ImageValidationError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Identify a file from its leading bytes
+function sniffFormat(buffer) {
+    const ascii = (start, end) => buffer.subarray(start, end).toString('latin1');
+
+    if (buffer.length < 12) return null;
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+    if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'gif';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+    if (ascii(4, 8) === 'ftyp') {
+        const brand = ascii(8, 12);
+        if (brand === 'avif' || brand === 'avis') return 'avif';
+        if (['heic', 'heix', 'hevc', 'hevx', 'mif1', 'msf1'].includes(brand)) return 'heif';
+    }
+    if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return 'tiff';
+    if (ascii(0, 2) === 'BM') return 'bmp';
+    if (ascii(0, 5) === '%PDF-') return 'pdf';
+    if (isSvg(buffer)) return 'svg';
+    return null;
+}
+
+// Checks that can run on the response headers alone, before the body is read
+function checkDownloadHeaders(contentType, contentLength) {
+    const length = parseInt(contentLength, 10);
+    if (length > config.maxBytes) {
+        throw new ImageValidationError('FILE_TOO_LARGE',
+            `Image is ${formatBytes(length)}; the limit is ${formatBytes(config.maxBytes)}`,
+            { bytes: length, maxBytes: config.maxBytes });
+    }
+
+    const mime = String(contentType || '').split(';')[0].trim().toLowerCase();
+    if (mime && !mime.startsWith('image/') && mime !== 'application/octet-stream' && mime !== 'binary/octet-stream') {
+        throw new ImageValidationError('CONTENT_TYPE_NOT_IMAGE',
+            `Source URL returned ${mime}, not an image`,
+            { contentType: mime });
+    }
+}
+
+function formatBytes(bytes) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Variance of the Laplacian on a downscaled greyscale copy; low values mean
+// few sharp edges, i.e. a blurry photo
+async function laplacianVariance(buffer) {
+    const { data } = await sharp(buffer, { limitInputPixels: config.maxPixels })
+        .rotate()
+        .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .greyscale()
+        .convolve({ width: 3, height: 3, kernel: [0, 1, 0, 1, -4, 1, 0, 1, 0], offset: 128 })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    let sum = 0;
+    let sumSquares = 0;
+    for (let i = 0; i < data.length; i++) {
+        sum += data[i];
+        sumSquares += data[i] * data[i];
+    }
+    const mean = sum / data.length;
+    return sumSquares / data.length - mean * mean;
+}
+
+async function maxChannelStdDev(buffer) {
+    const stats = await sharp(buffer, { limitInputPixels: config.maxPixels })
+        .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .stats();
+    return Math.max(...stats.channels.slice(0, 3).map(channel => channel.stdev));
+}
+
+// Apply a rule's configured action: throw for 'reject', collect for 'warn'
+function flag(rule, warnings, code, message, details) {
+    if (rule.action === 'reject') {
+        throw new ImageValidationError(code, message, details);
+    }
+    if (rule.action === 'warn') {
+        warnings.push({ code, message, details });
+    }
+}
+
+// Validate a downloaded image for the given image type. Returns
+// { format, width, height, warnings } or throws ImageValidationError.
+async function validateImage(buffer, imageType, { contentType } = {}) {
+    const type = baseImageType(imageType);
+    const warnings = [];
+
+    if (!buffer || buffer.length === 0) {
+        throw new ImageValidationError('EMPTY_FILE', 'Downloaded file is empty');
+    }
+
+    checkDownloadHeaders(contentType, buffer.length);
+
+    const format = sniffFormat(buffer);
+    const vectorTypes = (config.vectorFormats || {})[format];
+    if (vectorTypes) {
+        if (!vectorTypes.includes(type)) {
+            throw new ImageValidationError('UNSUPPORTED_FORMAT',
+                `${format.toUpperCase()} files are only accepted for ${vectorTypes.join(', ')} images`,
+                { format });
+        }
+        return { format, width: null, height: null, warnings };
+    }
+
+    if (!format || !config.allowedFormats.includes(format)) {
+        throw new ImageValidationError('UNSUPPORTED_FORMAT',
+            format ? `${format.toUpperCase()} files are not accepted` : 'File is not a recognised image format',
+            { format, allowedFormats: config.allowedFormats });
+    }
+
+    const mime = String(contentType || '').split(';')[0].trim().toLowerCase();
+    const expectedMime = format === 'jpeg' ? 'image/jpeg' : `image/${format}`;
+    if (mime.startsWith('image/') && mime !== expectedMime && !(format === 'jpeg' && mime === 'image/jpg')) {
+        warnings.push({
+            code: 'CONTENT_TYPE_MISMATCH',
+            message: `Server labelled the file ${mime} but it is ${format.toUpperCase()}`,
+            details: { contentType: mime, format }
+        });
+    }
+
+    let metadata;
+    try {
+        metadata = await sharp(buffer, { limitInputPixels: false }).metadata();
+    } catch (error) {
+        throw new ImageValidationError('CORRUPT_IMAGE', `Image could not be read: ${error.message}`, { format });
+    }
+
+    const swap = metadata.orientation >= 5;
+    const width = swap ? metadata.height : metadata.width;
+    const height = swap ? metadata.width : metadata.height;
+
+    if (width * height > config.maxPixels) {
+        throw new ImageValidationError('TOO_MANY_PIXELS',
+            `Image is ${width}x${height}; the limit is ${Math.round(config.maxPixels / 1e6)} megapixels`,
+            { width, height, maxPixels: config.maxPixels });
+    }
+
+    const minimum = config.minResolution[type];
+    if (minimum && (width < minimum.width || height < minimum.height)) {
+        throw new ImageValidationError('RESOLUTION_TOO_LOW',
+            `Image is ${width}x${height}; ${type} images must be at least ${minimum.width}x${minimum.height}`,
+            { width, height, minWidth: minimum.width, minHeight: minimum.height });
+    }
+
+    try {
+        const stdDev = await maxChannelStdDev(buffer);
+        if (config.blank && stdDev < config.blank.minStdDev) {
+            flag(config.blank, warnings, 'IMAGE_BLANK', 'Image is blank or almost a single colour',
+                { stdDev: Math.round(stdDev * 100) / 100, minStdDev: config.blank.minStdDev });
+        }
+
+        // Logos are flat artwork, so the blur check only applies to photos
+        if (config.blur && type !== 'logo') {
+            const variance = await laplacianVariance(buffer);
+            if (variance < config.blur.minLaplacianVariance) {
+                flag(config.blur, warnings, 'IMAGE_BLURRY', 'Image looks blurry or out of focus',
+                    { laplacianVariance: Math.round(variance * 100) / 100, minLaplacianVariance: config.blur.minLaplacianVariance });
+            }
+        }
+    } catch (error) {
+        if (error instanceof ImageValidationError) throw error;
+        throw new ImageValidationError('CORRUPT_IMAGE', `Image could not be decoded: ${error.message}`, { format });
+    }
+
+    return { format, width, height, warnings };
+}
+
+module.exports = { config, ImageValidationError, sniffFormat, checkDownloadHeaders, validateImage };
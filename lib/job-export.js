@@ -0,0 +1,148 @@
+// ZIP exports of a job's processed images, built on the server from the
+// job's own results. Files come from the stored-file cache or the storage
+// backend that wrote them (lib/stored-files.js), never from URLs a client
+// sends, and are streamed into the archive one at a time. Each club gets a
+// folder with its primary images, a renditions/ folder and its <picture>
+// snippets; manifest.json and manifest.csv at the top describe every file and
+// list the ones that could not be read.
+const { ZipWriter } = require('./zip-stream');
+const { readStoredFile } = require('./stored-files');
+const { formatCSVRows } = require('./csv');
+const { clubResultsOf } = require('./job-queue');
+
+const CSV_COLUMNS = [
+    ['path', 'Path'],
+    ['club', 'Club Name'],
+    ['imageType', 'Image Type'],
+    ['kind', 'Kind'],
+    ['format', 'Format'],
+    ['width', 'Width'],
+    ['height', 'Height'],
+    ['bytes', 'Bytes'],
+    ['altText', 'Alt Text'],
+    ['sourceUrl', 'Source'],
+    ['status', 'Status'],
+    ['error', 'Error']
+];
+
+function hasExportableResults(job) {
+    return clubResultsOf(job).some(clubResult => clubResult.processed.length > 0);
+}
+
+// Every stored file of one processed image: the primary image, its other
+// renditions and, for SVG logos, the vector copy
+function imageFiles(processed, folder) {
+    const renditions = processed.renditions && processed.renditions.length > 0
+        ? processed.renditions
+        : [{ ...processed, primary: true }];
+
+    const files = renditions.map(rendition => ({
+        path: rendition.primary ? `${folder}/${rendition.filename}` : `${folder}/renditions/${rendition.filename}`,
+        kind: rendition.primary ? 'image' : 'rendition',
+        file: rendition,
+        format: rendition.format,
+        width: rendition.width,
+        height: rendition.height
+    }));
+    if (processed.vector) {
+        files.push({ path: `${folder}/${processed.vector.filename}`, kind: 'vector', file: processed.vector, format: 'svg', width: null, height: null });
+    }
+    return files;
+}
+
+// Folder names by club slug; a slug already handed out gets "-2", "-3"...,
+// skipping suffixes that are themselves some club's folder
+function folderNamer() {
+    const used = new Set();
+    return name => {
+        let folder = name;
+        for (let count = 2; used.has(folder); count++) {
+            folder = `${name}-${count}`;
+        }
+        used.add(folder);
+        return folder;
+    };
+}
+
+// Stream a job's export to `output` (an HTTP response). Returns { files,
+// failed } counts; files that can't be read are listed in the manifest
+// rather than failing the download.
+async function writeJobExport(job, output) {
+    const zip = new ZipWriter(output);
+    const folderFor = folderNamer();
+    const files = [];
+    const failed = [];
+    const errors = [];
+
+    for (const clubResult of clubResultsOf(job)) {
+        const folder = folderFor(clubResult.cleanName || 'club');
+        const snippets = [];
+
+        for (const processed of clubResult.processed) {
+            for (const entry of imageFiles(processed, folder)) {
+                const described = {
+                    path: entry.path,
+                    club: clubResult.name,
+                    imageType: processed.type,
+                    kind: entry.kind,
+                    format: entry.format,
+                    width: entry.width,
+                    height: entry.height,
+                    bytes: entry.file.bytes,
+                    altText: processed.altText,
+                    sourceUrl: processed.originalUrl,
+                    url: entry.file.url
+                };
+
+                let buffer;
+                try {
+                    buffer = await readStoredFile(processed.storage, entry.file);
+                } catch (error) {
+                    console.error(`Export could not read ${entry.path}:`, error.message);
+                    failed.push({ ...described, error: error.message });
+                    continue;
+                }
+
+                await zip.addFile(entry.path, buffer);
+                files.push({ ...described, bytes: buffer.length });
+            }
+
+            if (processed.pictureHtml) {
+                snippets.push(`<!-- ${processed.type} -->\n${processed.pictureHtml}`);
+            }
+        }
+
+        if (snippets.length > 0) {
+            await zip.addFile(`${folder}/picture-snippets.html`, snippets.join('\n\n') + '\n', { compress: true });
+        }
+        for (const error of clubResult.errors) {
+            errors.push({ club: clubResult.name, error });
+        }
+    }
+
+    const manifest = {
+        jobId: job.id,
+        jobType: job.type,
+        createdAt: job.createdAt,
+        exportedAt: new Date().toISOString(),
+        files,
+        failed,
+        errors
+    };
+    await zip.addFile('manifest.json', JSON.stringify(manifest, null, 2) + '\n', { compress: true });
+
+    const rows = [
+        ...files.map(file => ({ ...file, status: 'included', error: '' })),
+        ...failed.map(file => ({ ...file, status: 'failed' }))
+    ];
+    const csv = formatCSVRows([
+        CSV_COLUMNS.map(([, header]) => header),
+        ...rows.map(row => CSV_COLUMNS.map(([key]) => row[key]))
+    ]);
+    await zip.addFile('manifest.csv', csv, { compress: true });
+
+    await zip.finish();
+    return { files: files.length, failed: failed.length };
+}
+
+module.exports = { hasExportableResults, writeJobExport };
@@ -0,0 +1,255 @@
+// In-process job queue with state persisted to data/jobs, so long batches run
+// outside the HTTP request and their progress survives a restart.
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const { DATA_DIR, readJson, writeJson } = require('./json-store');
+
+const JOBS_DIR = path.join(DATA_DIR, 'jobs');
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 1;
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS, 10) || 7;
+
+const jobs = new Map();
+const handlers = new Map();
+const finishedListeners = [];
+const pending = [];
+const saveChains = new Map();
+const updateLocks = new Map();
+let running = 0;
+
+function registerHandler(type, handler) {
+    handlers.set(type, handler);
+}
+
+// Call `listener(job)` whenever a job finishes or a finished job's result is
+// changed with updateFinishedJob. Listener errors are logged, not thrown.
+function onJobFinished(listener) {
+    finishedListeners.push(listener);
+}
+
+async function notifyFinished(job) {
+    for (const listener of finishedListeners) {
+        try {
+            await listener(job);
+        } catch (error) {
+            console.error(`Job ${job.id} listener failed:`, error.message);
+        }
+    }
+}
+
+function jobFile(id) {
+    return path.join(JOBS_DIR, `${id}.json`);
+}
+
+// Writes for the same job are chained so they land in order
+function saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    const previous = saveChains.get(job.id) || Promise.resolve();
+    const next = previous
+        .then(() => writeJson(jobFile(job.id), job))
+        .catch(error => console.error(`Failed to persist job ${job.id}:`, error.message));
+    saveChains.set(job.id, next);
+    return next;
+}
+
+function createJob(type, input, clubs, triggeredBy) {
+    const now = new Date().toISOString();
+    return {
+        id: uuidv4(),
+        type,
+        status: 'queued',
+        triggeredBy: triggeredBy || null,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null,
+        progress: { total: clubs.length, completed: 0 },
+        clubs: clubs.map(name => ({ name, status: 'queued', imagesProcessed: 0, errors: 0 })),
+        input,
+        clubResults: [],
+        result: null,
+        error: null
+    };
+}
+
+// Queue a job. `options.triggeredBy` records who asked for it (see
+// auth.describeCaller).
+async function enqueue(type, input, clubs, options = {}) {
+    if (!handlers.has(type)) {
+        throw new Error(`No job handler registered for "${type}"`);
+    }
+
+    const job = createJob(type, input, clubs, options.triggeredBy);
+    jobs.set(job.id, job);
+    await saveJob(job);
+
+    pending.push(job.id);
+    drain();
+    return job;
+}
+
+function drain() {
+    while (running < JOB_CONCURRENCY && pending.length > 0) {
+        const job = jobs.get(pending.shift());
+        if (job) {
+            running++;
+            runJob(job).finally(() => {
+                running--;
+                drain();
+            });
+        }
+    }
+}
+
+// Bring a club's entry in `job.clubs` up to date with its result
+function summarizeClub(club, clubResult) {
+    club.status = clubResult.errors.length > 0 && clubResult.processed.length === 0 ? 'failed' : 'completed';
+    club.imagesProcessed = clubResult.processed.length;
+    club.errors = clubResult.errors.length;
+}
+
+async function runJob(job) {
+    const handler = handlers.get(job.type);
+
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    await saveJob(job);
+
+    // Handlers report per-club progress through this context
+    const context = {
+        isClubFinished(index) {
+            return Boolean(job.clubResults[index]);
+        },
+        clubResult(index) {
+            return job.clubResults[index];
+        },
+        clubStarted(index) {
+            job.clubs[index].status = 'processing';
+            return saveJob(job);
+        },
+        clubFinished(index, clubResult) {
+            summarizeClub(job.clubs[index], clubResult);
+            job.clubResults[index] = clubResult;
+            job.progress.completed = job.clubs.filter(c => c.status === 'completed' || c.status === 'failed').length;
+            return saveJob(job);
+        },
+        save() {
+            return saveJob(job);
+        }
+    };
+
+    try {
+        job.result = await handler(job, context);
+        job.status = 'completed';
+    } catch (error) {
+        console.error(`Job ${job.id} failed:`, error);
+        job.status = 'failed';
+        job.error = error.message;
+    }
+
+    job.finishedAt = new Date().toISOString();
+    await saveJob(job);
+    await notifyFinished(job);
+
+    // Finished jobs are served from disk from here on
+    jobs.delete(job.id);
+    saveChains.delete(job.id);
+}
+
+async function getJob(id) {
+    if (jobs.has(id)) return jobs.get(id);
+    if (!/^[0-9a-f-]{36}$/i.test(id)) return null;
+    return readJson(jobFile(id), null);
+}
+
+// Run `task` once every earlier task for the same job has settled
+function withJobLock(id, task) {
+    const previous = updateLocks.get(id) || Promise.resolve();
+    const result = previous.then(task);
+    const settled = result.catch(() => {});
+    updateLocks.set(id, settled);
+    settled.then(() => {
+        if (updateLocks.get(id) === settled) updateLocks.delete(id);
+    });
+    return result;
+}
+
+// Change a finished job's stored result (e.g. alt text edited afterwards).
+// `update(job)` mutates the job; its return value is passed back. Returns
+// null when there is no such job. Updates to one job run one at a time, each
+// on the job as the previous update saved it, so concurrent edits (alt text,
+// review clicks, an Airtable write waiting on the network) all land.
+function updateFinishedJob(id, update) {
+    return withJobLock(id, async () => {
+        const job = await getJob(id);
+        if (!job) return null;
+        if (job.status !== 'completed' && job.status !== 'failed') {
+            throw new Error(`Job ${id} is still ${job.status}`);
+        }
+
+        const value = await update(job);
+        await saveJob(job);
+        saveChains.delete(job.id);
+        await notifyFinished(job);
+        return value;
+    });
+}
+
+// Public view of a job: everything except the raw input and the per-club
+// working copies, which end up in `result` once the job completes
+function describeJob(job) {
+    const { input, clubResults, ...rest } = job;
+    return rest;
+}
+
+// Load persisted jobs at startup. Jobs that were queued or mid-run when the
+// process stopped are queued again; handlers skip clubs already finished.
+async function restoreJobs() {
+    let files = [];
+    try {
+        files = await fs.readdir(JOBS_DIR);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const cutoff = Date.now() - JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    let resumed = 0;
+
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+        let job;
+        try {
+            job = await readJson(path.join(JOBS_DIR, file), null);
+        } catch (error) {
+            console.error(`Skipping unreadable job file ${file}:`, error.message);
+            continue;
+        }
+        if (!job) continue;
+
+        const finished = job.status === 'completed' || job.status === 'failed';
+        if (finished && new Date(job.updatedAt).getTime() < cutoff) {
+            await fs.unlink(path.join(JOBS_DIR, file)).catch(() => {});
+            continue;
+        }
+
+        if (!finished && handlers.has(job.type)) {
+            job.status = 'queued';
+            jobs.set(job.id, job);
+            pending.push(job.id);
+            resumed++;
+        }
+    }
+
+    if (resumed > 0) {
+        console.log(`Resuming ${resumed} unfinished job(s)`);
+        drain();
+    }
+}
+
+// The club results of a finished job, or those finished so far for a job
+// that failed part-way
+function clubResultsOf(job) {
+    if (job.result && Array.isArray(job.result.results)) return job.result.results;
+    return (job.clubResults || []).filter(Boolean);
+}
+
+module.exports = { registerHandler, onJobFinished, enqueue, getJob, updateFinishedJob, summarizeClub, describeJob, clubResultsOf, restoreJobs };
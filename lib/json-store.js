@@ -0,0 +1,25 @@
+// Small helpers for the JSON files under data/ that hold persisted state.
+const path = require('path');
+const fs = require('fs').promises;
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+async function readJson(file, fallback) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+    }
+}
+
+// Write via a temp file and rename so a crash mid-write never leaves a
+// truncated JSON file behind.
+async function writeJson(file, data) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+    await fs.rename(tempFile, file);
+}
+
+module.exports = { DATA_DIR, readJson, writeJson };
@@ -0,0 +1,318 @@
+// Logo preparation: logos are trimmed, optionally have a near-solid
+// background keyed out to transparency, and are centred on a square
+// transparent canvas with a safe margin. SVG uploads are rebuilt through an
+// element and attribute allowlist and kept as vectors, with the rasterized
+// version going through the same steps.
+const sharp = require('sharp');
+const renditions = require('./renditions');
+
+const DEFAULTS = {
+    trim: true,
+    trimThreshold: 10,
+    knockoutBackground: true,
+    knockoutTolerance: 24,
+    safeMargin: 0.1,
+    canvasSize: 1200
+};
+
+function logoConfig(overrides = {}) {
+    return { ...DEFAULTS, ...(renditions.typeConfig('logo').logo || {}), ...overrides };
+}
+
+function isSvg(buffer) {
+    const head = buffer.subarray(0, 1024).toString('utf-8').replace(/^\uFEFF/, '').trimStart();
+    // Text that opens with markup and has an <svg> root near the start
+    return head.startsWith('<') && !/[\x00-\x08]/.test(head) && /<svg[\s>]/i.test(head);
+}
+
+// What an SVG logo may keep: the elements and attributes of a static drawing.
+// Scripts, styles, foreign objects, animation and event handlers are not on it.
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+
+const ALLOWED_ELEMENTS = new Set([
+    'svg', 'g', 'defs', 'symbol', 'use', 'title', 'desc',
+    'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon',
+    'text', 'tspan', 'textPath', 'image', 'marker', 'pattern', 'clipPath', 'mask',
+    'linearGradient', 'radialGradient', 'stop',
+    'filter', 'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feComposite', 'feFlood',
+    'feFuncA', 'feFuncB', 'feFuncG', 'feFuncR', 'feGaussianBlur', 'feMerge', 'feMergeNode',
+    'feMorphology', 'feOffset'
+]);
+
+// Links are unwrapped: the drawing inside them is kept, the link is not
+const UNWRAPPED_ELEMENTS = new Set(['a']);
+
+const ALLOWED_ATTRIBUTES = new Set([
+    'id', 'class', 'style', 'transform', 'viewBox', 'preserveAspectRatio', 'width', 'height', 'x', 'y',
+    'x1', 'x2', 'y1', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy', 'd', 'points', 'pathLength',
+    'dx', 'dy', 'rotate', 'textLength', 'lengthAdjust', 'startOffset', 'text-anchor', 'dominant-baseline',
+    'font-family', 'font-size', 'font-style', 'font-weight', 'letter-spacing', 'word-spacing', 'text-decoration',
+    'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-dasharray', 'stroke-dashoffset', 'stroke-linecap',
+    'stroke-linejoin', 'stroke-miterlimit', 'stroke-opacity', 'stroke-width', 'opacity', 'color',
+    'clip-path', 'clip-rule', 'clipPathUnits', 'mask', 'maskUnits', 'maskContentUnits', 'filter', 'filterUnits',
+    'primitiveUnits', 'visibility', 'display', 'overflow', 'vector-effect', 'shape-rendering',
+    'gradientUnits', 'gradientTransform', 'spreadMethod', 'offset', 'stop-color', 'stop-opacity',
+    'patternUnits', 'patternContentUnits', 'patternTransform', 'markerWidth', 'markerHeight', 'markerUnits',
+    'refX', 'refY', 'orient', 'marker-start', 'marker-mid', 'marker-end',
+    'in', 'in2', 'result', 'mode', 'operator', 'k1', 'k2', 'k3', 'k4', 'type', 'values', 'stdDeviation',
+    'flood-color', 'flood-opacity', 'radius', 'tableValues', 'slope', 'intercept', 'amplitude', 'exponent',
+    'color-interpolation-filters', 'href', 'xlink:href', 'xml:space'
+]);
+
+const NAME = '[A-Za-z_][-A-Za-z0-9_.]*(?::[A-Za-z_][-A-Za-z0-9_.]*)?';
+const START_TAG = new RegExp(`^<(${NAME})((?:\\s+${NAME}\\s*=\\s*(?:"[^"<]*"|'[^'<]*'|[^\\s"'<>=\`/]+))*)\\s*(/?)>`);
+const ATTRIBUTE = new RegExp(`(${NAME})\\s*=\\s*(?:"([^"<]*)"|'([^'<]*)'|([^\\s"'<>=\`/]+))`, 'g');
+const END_TAG = new RegExp(`^</(${NAME})\\s*>`);
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Entities other than XML's own five and character references are left as
+// written, so a DTD can't define what they expand to
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] !== '#') return NAMED_ENTITIES[entity] || match;
+        const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    });
+}
+
+function escapeXml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// url() may only point inside the document (gradients, clip paths, masks)
+function referencesOutside(value) {
+    return /url\(\s*(?![\s'"]*#)/i.test(value) || /@import|expression\s*\(|javascript:|\\/i.test(value);
+}
+
+function isSafeHref(value) {
+    const href = value.replace(/[\s\x00-\x1f]/g, '');
+    return href.startsWith('#') || /^data:image\/(png|jpe?g|gif|webp);/i.test(href);
+}
+
+function allowedAttributes(source) {
+    const attributes = new Map();
+    for (const [, name, double, single, bare] of source.matchAll(ATTRIBUTE)) {
+        if (!ALLOWED_ATTRIBUTES.has(name) || attributes.has(name)) continue;
+        const value = decodeEntities(double !== undefined ? double : single !== undefined ? single : bare);
+        if (referencesOutside(value)) continue;
+        if ((name === 'href' || name === 'xlink:href') && !isSafeHref(value)) continue;
+        attributes.set(name, ` ${name}="${escapeXml(value)}"`);
+    }
+    return [...attributes.values()].join('');
+}
+
+// Comments, processing instructions and the DOCTYPE (with any internal
+// subset) are skipped; returns the index just past the construct
+function skipMarkup(svg, index) {
+    const closers = [['<!--', '-->'], ['<?', '?>']];
+    for (const [opener, closer] of closers) {
+        if (svg.startsWith(opener, index)) {
+            const end = svg.indexOf(closer, index + opener.length);
+            if (end === -1) throw new Error(`SVG logo has an unterminated ${opener}`);
+            return end + closer.length;
+        }
+    }
+    if (svg.startsWith('<!DOCTYPE', index)) {
+        const subset = svg.indexOf('[', index);
+        const close = svg.indexOf('>', index);
+        const from = subset !== -1 && subset < close ? svg.indexOf(']', subset) : index;
+        const end = from === -1 ? -1 : svg.indexOf('>', from);
+        if (end === -1) throw new Error('SVG logo has an unterminated DOCTYPE');
+        return end + 1;
+    }
+    return -1;
+}
+
+// Rebuild the SVG from a parse of it, writing out only allowlisted elements
+// and attributes, so nothing of the original text is copied through
+// unparsed. Throws when the markup isn't well-formed or the root isn't <svg>.
+function sanitizeSvg(svgText) {
+    const svg = String(svgText).replace(/^\uFEFF/, '');
+    const open = [];
+    let output = '';
+    let rootClosed = false;
+    let index = 0;
+
+    // Content is kept only while every open element is kept
+    const keeping = () => open.every(element => element.keep !== false);
+
+    while (index < svg.length) {
+        const next = svg.indexOf('<', index);
+        const text = svg.slice(index, next === -1 ? svg.length : next);
+        if (text.trim()) {
+            if (!open.length) throw new Error('SVG logo has text outside its <svg> element');
+            if (keeping()) output += escapeXml(decodeEntities(text));
+        }
+        if (next === -1) break;
+        index = next;
+
+        const skipped = skipMarkup(svg, index);
+        if (skipped !== -1) {
+            index = skipped;
+            continue;
+        }
+
+        if (svg.startsWith('<![CDATA[', index)) {
+            const end = svg.indexOf(']]>', index);
+            if (end === -1 || !open.length) throw new Error('SVG logo has a misplaced CDATA section');
+            if (keeping()) output += escapeXml(svg.slice(index + 9, end));
+            index = end + 3;
+            continue;
+        }
+
+        const rest = svg.slice(index);
+        const end = END_TAG.exec(rest);
+        if (end) {
+            const element = open.pop();
+            if (!element || element.name !== end[1]) throw new Error(`SVG logo has a mismatched </${end[1]}>`);
+            if (element.keep === true) output += `</${element.name}>`;
+            if (!open.length) rootClosed = true;
+            index += end[0].length;
+            continue;
+        }
+
+        const start = START_TAG.exec(rest);
+        if (!start) throw new Error('SVG logo has malformed markup');
+        const [tag, name, attributeSource, selfClosing] = start;
+        if (rootClosed) throw new Error('SVG logo has content after its <svg> element');
+        if (!open.length && name !== 'svg') throw new Error('SVG logo has no <svg> root element');
+        index += tag.length;
+
+        // keep: true writes the element, 'unwrap' only its content, false neither
+        const keep = !keeping() ? false : ALLOWED_ELEMENTS.has(name) ? true : UNWRAPPED_ELEMENTS.has(name) ? 'unwrap' : false;
+        if (keep === true) {
+            const namespaces = open.length ? '' : ` xmlns="${SVG_NAMESPACE}" xmlns:xlink="${XLINK_NAMESPACE}"`;
+            output += `<${name}${namespaces}${allowedAttributes(attributeSource)}${selfClosing ? '/' : ''}>`;
+        }
+        if (selfClosing) {
+            if (!open.length) rootClosed = true;
+        } else {
+            open.push({ name, keep });
+        }
+    }
+
+    if (open.length) throw new Error(`SVG logo has an unclosed <${open[open.length - 1].name}>`);
+    if (!rootClosed) throw new Error('SVG logo has no <svg> root element');
+
+    return output;
+}
+
+// Colour shared by all four corners, or null when they disagree
+function cornerBackground(data, width, height, channels, tolerance) {
+    const corners = [0, width - 1, (height - 1) * width, height * width - 1].map(pixel => {
+        const offset = pixel * channels;
+        return [data[offset], data[offset + 1], data[offset + 2], data[offset + 3]];
+    });
+
+    if (corners.some(corner => corner[3] < 250)) return null;
+
+    const [first] = corners;
+    const agrees = corners.every(corner =>
+        Math.abs(corner[0] - first[0]) <= tolerance &&
+        Math.abs(corner[1] - first[1]) <= tolerance &&
+        Math.abs(corner[2] - first[2]) <= tolerance
+    );
+
+    return agrees ? { r: first[0], g: first[1], b: first[2] } : null;
+}
+
+// Key out pixels close to the background colour; pixels just outside the
+// tolerance get partial alpha so anti-aliased edges stay smooth
+function knockOut(data, channels, background, tolerance) {
+    let cleared = 0;
+    for (let offset = 0; offset < data.length; offset += channels) {
+        const distance = Math.max(
+            Math.abs(data[offset] - background.r),
+            Math.abs(data[offset + 1] - background.g),
+            Math.abs(data[offset + 2] - background.b)
+        );
+        if (distance <= tolerance) {
+            data[offset + 3] = 0;
+            cleared++;
+        } else if (distance <= tolerance * 2) {
+            data[offset + 3] = Math.min(data[offset + 3], Math.round(255 * (distance - tolerance) / tolerance));
+        }
+    }
+    return cleared;
+}
+
+// Returns a square PNG buffer ready for the rendition step, plus the
+// sanitized SVG when the upload was a vector
+async function prepareLogo(imageBuffer, overrides = {}) {
+    const settings = logoConfig(overrides);
+    const svg = isSvg(imageBuffer) ? sanitizeSvg(imageBuffer.toString('utf-8')) : null;
+
+    const source = svg
+        ? sharp(Buffer.from(svg), { density: 300 })
+        : sharp(imageBuffer).rotate();
+
+    // Work at a bounded size; the largest logo rendition is far smaller
+    const { data, info } = await source
+        .resize(settings.canvasSize, settings.canvasSize, { fit: 'inside', withoutEnlargement: !svg })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    let background = null;
+    let knockedOut = false;
+    if (settings.knockoutBackground) {
+        background = cornerBackground(data, info.width, info.height, info.channels, settings.knockoutTolerance);
+        if (background) {
+            const cleared = knockOut(data, info.channels, background, settings.knockoutTolerance);
+            knockedOut = cleared > 0 && cleared < info.width * info.height;
+            if (!knockedOut) background = null;
+        }
+    }
+
+    let image = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+    let trimmed = false;
+    let width = info.width;
+    let height = info.height;
+
+    if (settings.trim) {
+        try {
+            const result = await image
+                .trim({ threshold: settings.trimThreshold })
+                .png()
+                .toBuffer({ resolveWithObject: true });
+            trimmed = result.info.width !== width || result.info.height !== height;
+            width = result.info.width;
+            height = result.info.height;
+            image = sharp(result.data);
+        } catch (error) {
+            // sharp refuses to trim an image that is entirely one colour
+            console.log('Logo trim skipped:', error.message);
+        }
+    }
+
+    const side = Math.ceil(Math.max(width, height) / (1 - 2 * settings.safeMargin));
+    const left = Math.floor((side - width) / 2);
+    const top = Math.floor((side - height) / 2);
+
+    const buffer = await image
+        .extend({
+            left,
+            right: side - width - left,
+            top,
+            bottom: side - height - top,
+            background: { r: 0, g: 0, b: 0, alpha: 0 }
+        })
+        .png()
+        .toBuffer();
+
+    return {
+        buffer,
+        svg,
+        details: {
+            vector: Boolean(svg),
+            trimmed,
+            knockedOutBackground: knockedOut ? background : null,
+            safeMargin: settings.safeMargin,
+            canvas: side
+        }
+    };
+}
+
+module.exports = { isSvg, sanitizeSvg, prepareLogo };
@@ -0,0 +1,67 @@
+// Clubs whose Airtable record could not be matched safely. Each entry keeps
+// the reason and the candidate records so someone can pick the right one;
+// an entry is dropped once a later run updates that club's record. Kept in
+// data/needs-review.json.
+const path = require('path');
+const { DATA_DIR, readJson, writeJson } = require('./json-store');
+
+const REVIEW_FILE = path.join(DATA_DIR, 'needs-review.json');
+
+let entries = null;
+let writeChain = Promise.resolve();
+
+async function load() {
+    if (!entries) {
+        const stored = await readJson(REVIEW_FILE, { entries: {} });
+        entries = stored.entries || {};
+    }
+    return entries;
+}
+
+function persist() {
+    writeChain = writeChain
+        .then(() => writeJson(REVIEW_FILE, { entries }))
+        .catch(error => console.error('Failed to persist needs-review list:', error.message));
+    return writeChain;
+}
+
+// Same key for the same club across runs
+function reviewKey({ submissionId, email, name }) {
+    if (submissionId) return `submission:${submissionId}`;
+    if (email) return `email:${email.toLowerCase()}`;
+    return `name:${String(name || '').toLowerCase()}`;
+}
+
+async function listReviews() {
+    const all = await load();
+    return Object.values(all).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+// `added` are { club, submissionId, email, reason, candidates, images };
+// `resolved` are clubs ({ submissionId, email, name }) that were updated
+async function updateReviews(added, resolved) {
+    const all = await load();
+    const now = new Date().toISOString();
+
+    for (const club of resolved) {
+        delete all[reviewKey(club)];
+    }
+    for (const entry of added) {
+        const key = reviewKey({ ...entry, name: entry.club });
+        all[key] = { key, ...entry, createdAt: all[key] ? all[key].createdAt : now, updatedAt: now };
+    }
+
+    if (added.length > 0 || resolved.length > 0) {
+        await persist();
+    }
+}
+
+async function removeReview(key) {
+    const all = await load();
+    if (!all[key]) return false;
+    delete all[key];
+    await persist();
+    return true;
+}
+
+module.exports = { listReviews, updateReviews, removeReview };
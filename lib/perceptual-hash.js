@@ -0,0 +1,298 @@
+// Perceptual hashing for duplicate detection. Each image gets a difference
+// hash (dHash) and a DCT hash (pHash); two images count as duplicates when
+// both hashes are within a small Hamming distance. Hashes of processed
+// images are kept in data/hash-index.json so new submissions can be checked
+// against every club processed before.
+const path = require('path');
+const sharp = require('sharp');
+const { DATA_DIR, readJson, writeJson } = require('./json-store');
+
+const INDEX_FILE = path.join(DATA_DIR, 'hash-index.json');
+const DHASH_THRESHOLD = parseInt(process.env.DUPLICATE_DHASH_THRESHOLD, 10) || 8;
+const PHASH_THRESHOLD = parseInt(process.env.DUPLICATE_PHASH_THRESHOLD, 10) || 8;
+// 'report' keeps duplicates and flags them; 'skip' leaves them out
+const DUPLICATE_ACTION = process.env.DUPLICATE_ACTION === 'skip' ? 'skip' : 'report';
+
+class DuplicateImageError extends Error {
+    constructor(duplicate) {
+        super(`Duplicate of ${duplicate.club} ${duplicate.imageType}`);
+        this.name = 'DuplicateImageError';
+        this.code = 'DUPLICATE_IMAGE';
+        this.duplicate = duplicate;
+    }
+}
+
+function bitsToHex(bits) {
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+        hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+    }
+    return hex;
+}
+
+function hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let xor = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (xor) {
+            distance += xor & 1;
+            xor >>= 1;
+        }
+    }
+    return distance;
+}
+
+async function greyscalePixels(buffer, width, height) {
+    const { data } = await sharp(buffer)
+        .rotate()
+        .flatten({ background: '#ffffff' })
+        .greyscale()
+        .resize(width, height, { fit: 'fill' })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    return data;
+}
+
+// dHash: is each pixel brighter than its right-hand neighbour, on a 9x8 grid
+async function dHash(buffer) {
+    const pixels = await greyscalePixels(buffer, 9, 8);
+    const bits = [];
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            bits.push(pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1 : 0);
+        }
+    }
+    return bitsToHex(bits);
+}
+
+function dct1d(values) {
+    const n = values.length;
+    const output = new Array(n);
+    for (let k = 0; k < n; k++) {
+        let sum = 0;
+        for (let i = 0; i < n; i++) {
+            sum += values[i] * Math.cos((Math.PI / n) * (i + 0.5) * k);
+        }
+        output[k] = sum;
+    }
+    return output;
+}
+
+// pHash: low-frequency 8x8 block of a 32x32 DCT compared against its median
+async function pHash(buffer) {
+    const size = 32;
+    const pixels = await greyscalePixels(buffer, size, size);
+
+    const rows = [];
+    for (let y = 0; y < size; y++) {
+        rows.push(dct1d(Array.from(pixels.subarray(y * size, (y + 1) * size))));
+    }
+
+    const coefficients = new Array(64);
+    for (let x = 0; x < 8; x++) {
+        const column = dct1d(rows.map(row => row[x]));
+        for (let y = 0; y < 8; y++) {
+            coefficients[y * 8 + x] = column[y];
+        }
+    }
+
+    // Leave the DC term out of the median; it only reflects overall brightness
+    const sorted = coefficients.slice(1).sort((a, b) => a - b);
+    const median = (sorted[31] + sorted[32]) / 2;
+    return bitsToHex(coefficients.map(value => (value > median ? 1 : 0)));
+}
+
+async function computeHashes(buffer) {
+    const [dhash, phash] = await Promise.all([dHash(buffer), pHash(buffer)]);
+    return { dhash, phash };
+}
+
+function matches(a, b) {
+    const dhashDistance = hammingDistance(a.dhash, b.dhash);
+    const phashDistance = hammingDistance(a.phash, b.phash);
+    if (dhashDistance <= DHASH_THRESHOLD && phashDistance <= PHASH_THRESHOLD) {
+        return { dhashDistance, phashDistance };
+    }
+    return null;
+}
+
+let index = null;
+let writeChain = Promise.resolve();
+
+// Entries stay in the order their slots were first registered; re-running an
+// image updates its entry in place
+function loadIndex() {
+    if (!index) {
+        index = readJson(INDEX_FILE, { entries: [] }).then(stored => stored.entries || []);
+    }
+    return index;
+}
+
+function persistIndex(entries) {
+    writeChain = writeChain
+        .then(() => writeJson(INDEX_FILE, { entries }))
+        .catch(error => console.error('Failed to persist hash index:', error.message));
+    return writeChain;
+}
+
+// An image's slot in the index is its stored public ID; entries written
+// before public IDs were recorded are matched by club and image type
+function isSlot(entry, slot) {
+    return entry.publicId
+        ? entry.publicId === slot.publicId
+        : entry.clubKey === slot.clubKey && entry.imageType === slot.imageType;
+}
+
+// Closest match among images of other clubs registered before this image's
+// slot: its own entry and those a later club registered are left out, so on
+// a re-run the club that came first is not flagged as a copy of the later one
+function previousDuplicate(entries, hashes, slot) {
+    const own = entries.findIndex(entry => isSlot(entry, slot));
+    const earlier = own >= 0 ? entries.slice(0, own) : entries;
+    let best = null;
+
+    for (const entry of earlier) {
+        if (entry.clubKey === slot.clubKey) continue;
+        const distance = matches(hashes, entry);
+        if (distance && (!best || distance.phashDistance < best.phashDistance)) {
+            best = {
+                scope: 'previous-club',
+                club: entry.club,
+                submissionId: entry.submissionId,
+                imageType: entry.imageType,
+                url: entry.url,
+                ...distance
+            };
+        }
+    }
+
+    return best;
+}
+
+// Check an image against earlier clubs and claim its slot in one step, as
+// soon as its hashes are known, so clubs processed in parallel see each
+// other's images before either is uploaded. `slot` is { publicId, clubKey,
+// club, submissionId, imageType, sourceUrl }; with `knownDuplicate` (a match
+// inside the submission) only the slot is claimed. Images skipped as
+// duplicates claim nothing. Returns { duplicate, reservation }, where
+// reservation.complete(url) records the stored URL and reservation.release()
+// undoes the claim for an image that then fails.
+async function reserveImage(hashes, slot, { knownDuplicate = false } = {}) {
+    const entries = await loadIndex();
+    // Nothing below awaits until the slot is claimed
+    const duplicate = knownDuplicate ? null : previousDuplicate(entries, hashes, slot);
+    if ((knownDuplicate || duplicate) && DUPLICATE_ACTION === 'skip') {
+        return { duplicate, reservation: null };
+    }
+
+    const position = entries.findIndex(entry => isSlot(entry, slot));
+    const previous = position >= 0 ? entries[position] : null;
+    const entry = {
+        ...hashes,
+        publicId: slot.publicId,
+        clubKey: slot.clubKey,
+        club: slot.club,
+        submissionId: slot.submissionId || '',
+        imageType: slot.imageType,
+        url: previous ? previous.url : null,
+        sourceUrl: slot.sourceUrl,
+        indexedAt: new Date().toISOString()
+    };
+    if (previous) {
+        entries[position] = entry;
+    } else {
+        entries.push(entry);
+    }
+
+    const reservation = {
+        complete(url) {
+            entry.url = url;
+            entry.indexedAt = new Date().toISOString();
+            return persistIndex(entries);
+        },
+        release() {
+            const current = entries.indexOf(entry);
+            if (current < 0) return Promise.resolve();
+            if (previous) {
+                entries[current] = previous;
+            } else {
+                entries.splice(current, 1);
+            }
+            return persistIndex(entries);
+        }
+    };
+    return { duplicate, reservation };
+}
+
+// Duplicate checking within one submission. Images are processed in
+// parallel, so each one waits for the images listed before it; that way the
+// first occurrence (e.g. the hero) is always the one kept. Each image's slot
+// in the index is claimed in check() and completed by stored(); an image
+// that settles without being stored gives its claim back.
+function createSubmissionContext(count, club) {
+    const seen = [];
+    const settled = [];
+    const done = [];
+    const reservations = [];
+    for (let i = 0; i < count; i++) {
+        settled.push(new Promise(resolve => { done[i] = resolve; }));
+    }
+
+    return {
+        club,
+        async check(position, imageType, hashes, { publicId, sourceUrl }) {
+            await Promise.all(settled.slice(0, position));
+
+            let duplicate = null;
+            for (const earlier of seen) {
+                const distance = matches(hashes, earlier.hashes);
+                if (distance) {
+                    duplicate = { scope: 'submission', club: club.name, imageType: earlier.imageType, url: earlier.url, ...distance };
+                    break;
+                }
+            }
+            const reserved = await reserveImage(hashes, {
+                publicId,
+                clubKey: club.key,
+                club: club.name,
+                submissionId: club.submissionId,
+                imageType,
+                sourceUrl
+            }, { knownDuplicate: Boolean(duplicate) });
+            duplicate = duplicate || reserved.duplicate;
+            reservations[position] = reserved.reservation;
+
+            // A skipped duplicate is not something later images should match
+            if (!duplicate || DUPLICATE_ACTION !== 'skip') {
+                seen.push({ imageType, hashes, url: null });
+            }
+            done[position]();
+            return duplicate;
+        },
+        // Record the processed URL once the image has been stored
+        stored(position, imageType, url) {
+            const entry = seen.find(item => item.imageType === imageType);
+            if (entry) entry.url = url;
+            const reservation = reservations[position];
+            reservations[position] = null;
+            return reservation ? reservation.complete(url) : Promise.resolve();
+        },
+        // Called when an image finishes, so images after one that failed
+        // before reaching check() do not wait forever
+        settle(position) {
+            done[position]();
+            const reservation = reservations[position];
+            reservations[position] = null;
+            return reservation ? reservation.release() : Promise.resolve();
+        }
+    };
+}
+
+module.exports = {
+    DUPLICATE_ACTION,
+    DuplicateImageError,
+    hammingDistance,
+    computeHashes,
+    reserveImage,
+    createSubmissionContext
+};
@@ -0,0 +1,609 @@
+// The image pipeline shared by every way images come in: CSV uploads,
+// Airtable records, the n8n webhook, the single-image endpoint and the batch
+// endpoint. Clubs are described the same way everywhere:
+//
+//   { name, originalName, submissionId, email, recordId,
+//     heroImage, logoImage, galleryImages: [], focalPoints: {} }
+//
+// where `name` is the slug from cleanClubName. Images are typed 'hero',
+// 'logo' or 'gallery-1' to 'gallery-4', and every endpoint reports a club
+// with clubPayload() and an image with summarizeImage(). Images that fail are
+// listed in the club's `failures` (lib/image-errors.js).
+const sharp = require('sharp');
+const { pool } = require('./worker-pool');
+const { getStorage, buildPublicId, buildRenditionId, buildVectorId } = require('./storage');
+const renditions = require('./renditions');
+const cropping = require('./cropping');
+const logos = require('./logo');
+const imageValidation = require('./image-validation');
+const { ImageValidationError } = imageValidation;
+const perceptualHash = require('./perceptual-hash');
+const { DuplicateImageError } = perceptualHash;
+const imageManifest = require('./image-manifest');
+const { FetchError, safeFetch, isFetchableUrl } = require('./safe-fetch');
+const uploads = require('./uploads');
+const storedFiles = require('./stored-files');
+const { describeVisual, generateAltText } = require('./alt-text');
+const { withRetries, describeFailure } = require('./image-errors');
+
+// Longest edge of the largest rendition for each base image type
+const TARGET_WIDTHS = { hero: 1600, logo: 400, gallery: 1200 };
+const MAX_GALLERY_IMAGES = 4;
+
+// http(s) URLs that lib/safe-fetch.js would be willing to download
+function isValidUrl(string) {
+    return isFetchableUrl(string);
+}
+
+const UNFETCHABLE_URL_MESSAGE = 'URL must be a public http or https address';
+
+function cleanClubName(name) {
+    return name
+        .replace(/[^\w\s-]/g, '')
+        .replace(/\s+/g, '-')
+        .toLowerCase()
+        .substring(0, 50);
+}
+
+// Normalize an image type from API input: 'hero', 'logo', 'gallery-N', or
+// 'gallery' with a zero-based `index`. Returns null for anything else.
+function imageTypeFor(type, index = 0) {
+    if (type === 'hero' || type === 'logo') return type;
+    if (type === 'gallery') {
+        const position = (parseInt(index, 10) || 0) + 1;
+        return position <= MAX_GALLERY_IMAGES ? `gallery-${position}` : null;
+    }
+    const match = /^gallery-(\d+)$/.exec(type || '');
+    return match && match[1] >= 1 && match[1] <= MAX_GALLERY_IMAGES ? type : null;
+}
+
+function imageLabel(imageType) {
+    if (imageType === 'hero') return 'Hero image';
+    if (imageType === 'logo') return 'Logo image';
+    return `Gallery image ${imageType.split('-')[1]}`;
+}
+
+function createClubResult(club) {
+    return {
+        name: club.originalName,
+        cleanName: club.name,
+        submissionId: club.submissionId || '',
+        email: club.email || '',
+        recordId: club.recordId || null,
+        details: club.details || {},
+        processed: [],
+        errors: [],
+        failures: [],
+        rejections: [],
+        warnings: [],
+        duplicates: [],
+        cloudinaryUrls: [],
+        airtableUpdate: null
+    };
+}
+
+// One task per image of a club, in hero, logo, gallery order. Sources are
+// URLs, or staged uploads (lib/uploads.js) when `allowUploads` is set, which
+// only upload jobs do; anything else is reported on the club instead of
+// becoming a task.
+function buildImageTasks(club, clubResult, { allowUploads = false } = {}) {
+    const focalPoints = club.focalPoints || {};
+    const captions = club.captions || {};
+    const images = [
+        ['hero', club.heroImage],
+        ['logo', club.logoImage],
+        ...Array.from(club.galleryImages || []).slice(0, MAX_GALLERY_IMAGES).map((url, i) => [`gallery-${i + 1}`, url])
+    ];
+    
+    const tasks = [];
+    for (const [imageType, url] of images) {
+        if (!url) continue;
+        if (!isValidUrl(url) && !(allowUploads && uploads.isUploadRef(url))) {
+            clubResult.errors.push(`${imageLabel(imageType)}: ${UNFETCHABLE_URL_MESSAGE}`);
+            clubResult.failures.push({
+                image: imageType,
+                url,
+                stage: 'download',
+                code: 'URL_NOT_FETCHABLE',
+                message: UNFETCHABLE_URL_MESSAGE,
+                status: null,
+                retryable: false,
+                attempts: 0
+            });
+            continue;
+        }
+        tasks.push({
+            url,
+            imageType,
+            targetWidth: TARGET_WIDTHS[renditions.baseImageType(imageType)],
+            label: imageLabel(imageType),
+            focalPoint: focalPoints[imageType],
+            caption: captions[imageType],
+            allowUploads
+        });
+    }
+    return tasks;
+}
+
+// Run a club's images through the shared worker pool in parallel. Results
+// and errors are recorded in task order so output stays stable between runs.
+async function processImageTasks(tasks, clubName, clubResult) {
+    const submission = perceptualHash.createSubmissionContext(tasks.length, {
+        key: clubResult.submissionId || clubName,
+        name: clubResult.name,
+        submissionId: clubResult.submissionId
+    });
+    
+    const outcomes = await Promise.all(tasks.map((task, position) =>
+        processImageToCloudinary(task.url, clubName, task.imageType, task.targetWidth, {
+            displayName: clubResult.name,
+            details: clubResult.details,
+            caption: task.caption,
+            focalPoint: task.focalPoint,
+            quality: task.quality,
+            cropStrategy: task.cropStrategy,
+            allowUploads: task.allowUploads,
+            submission,
+            position
+        })
+            .then(processed => ({ processed }), error => ({ error }))
+            .finally(() => submission.settle(position))
+    ));
+    
+    outcomes.forEach(({ processed, error }, index) => {
+        const task = tasks[index];
+        if (error instanceof DuplicateImageError) {
+            console.log(`${task.label} skipped for ${clubName}: ${error.message}`);
+            clubResult.duplicates.push({ image: task.imageType, url: task.url, skipped: true, duplicateOf: error.duplicate });
+        } else if (error instanceof ImageValidationError) {
+            console.error(`${task.label} rejected for ${clubName}: [${error.code}] ${error.message}`);
+            clubResult.errors.push(`${task.label}: [${error.code}] ${error.message}`);
+            clubResult.failures.push(describeFailure(error, task.imageType, task.url));
+            clubResult.rejections.push({
+                image: task.imageType,
+                url: task.url,
+                code: error.code,
+                message: error.message,
+                details: error.details
+            });
+        } else if (error) {
+            console.error(`${task.label} error for ${clubName}:`, error.message);
+            clubResult.errors.push(`${task.label}: ${error.message}`);
+            clubResult.failures.push(describeFailure(error, task.imageType, task.url));
+        } else {
+            clubResult.processed.push(processed);
+            clubResult.cloudinaryUrls.push(processed.cloudinaryUrl);
+            if (processed.duplicateOf) {
+                clubResult.duplicates.push({ image: task.imageType, url: task.url, skipped: false, duplicateOf: processed.duplicateOf });
+            }
+            for (const warning of processed.warnings) {
+                clubResult.warnings.push({ image: task.imageType, url: task.url, ...warning });
+            }
+        }
+    });
+    
+    // Matches inside the submission were found before the earlier image had
+    // been stored, so fill in its URL now
+    for (const { duplicateOf } of clubResult.duplicates) {
+        if (duplicateOf.scope === 'submission' && !duplicateOf.url) {
+            const original = clubResult.processed.find(image => image.type === duplicateOf.imageType);
+            if (original) duplicateOf.url = original.url;
+        }
+    }
+    
+    return clubResult;
+}
+
+// Process every image for one club. Airtable is written separately, see
+// updateAirtableRecords in server.js. `options.allowUploads` accepts staged
+// upload sources; only upload jobs set it.
+async function processClub(club, options = {}) {
+    console.log(`Processing club: ${club.name}`);
+    const started = Date.now();
+    const clubResult = createClubResult(club);
+    await processImageTasks(buildImageTasks(club, clubResult, options), club.name, clubResult);
+    clubResult.durationMs = Date.now() - started;
+    return clubResult;
+}
+
+// Process some images of a club again, e.g. the failed ones of an earlier
+// run. Returns a club result holding just those images' outcomes, or null
+// when the club has a source for none of `imageTypes`. `options` is as for
+// processClub.
+async function reprocessImages(club, imageTypes, overrides = {}, options = {}) {
+    const clubResult = createClubResult(club);
+    const tasks = buildImageTasks(club, clubResult, options).filter(task => imageTypes.includes(task.imageType));
+    // Keep only the unfetchable-URL errors of the requested images
+    const labels = imageTypes.map(imageLabel);
+    clubResult.errors = clubResult.errors.filter(error => labels.some(label => error.startsWith(`${label}:`)));
+    clubResult.failures = clubResult.failures.filter(failure => imageTypes.includes(failure.image));
+    if (tasks.length === 0 && clubResult.failures.length === 0) return null;
+
+    for (const task of tasks) {
+        if (overrides.focalPoint) task.focalPoint = overrides.focalPoint;
+        task.cropStrategy = overrides.cropStrategy;
+        task.quality = overrides.quality;
+    }
+
+    console.log(`Re-processing ${imageTypes.join(', ')} for ${club.name}`);
+    return processImageTasks(tasks, club.name, clubResult);
+}
+
+// Process one image of a club again, e.g. from the review screen, with
+// optional overrides: { focalPoint, cropStrategy, quality }. Returns a club
+// result holding just that image's outcome, or null when the club has no
+// source for `imageType`.
+async function reprocessImage(club, imageType, overrides = {}, options = {}) {
+    const clubResult = createClubResult(club);
+    if (!buildImageTasks(club, clubResult, options).some(task => task.imageType === imageType)) return null;
+    return reprocessImages(club, [imageType], overrides, options);
+}
+
+// Replace the outcome of one image, or of an array of images, in a club
+// result with `outcome` (a club result from reprocessImages), keeping images
+// in hero, logo, gallery order
+function mergeImageOutcome(clubResult, imageTypes, outcome) {
+    const types = [].concat(imageTypes);
+    const labels = types.map(imageLabel);
+    const otherImages = item => !types.includes(item.image);
+    const rank = type => type === 'hero' ? 0 : type === 'logo' ? 1 : 1 + parseInt(type.split('-')[1], 10);
+
+    clubResult.processed = clubResult.processed
+        .filter(image => !types.includes(image.type))
+        .concat(outcome.processed)
+        .sort((a, b) => rank(a.type) - rank(b.type));
+    clubResult.cloudinaryUrls = clubResult.processed.map(image => image.cloudinaryUrl);
+    clubResult.errors = clubResult.errors
+        .filter(error => !labels.some(label => error.startsWith(`${label}:`)))
+        .concat(outcome.errors);
+    clubResult.failures = (clubResult.failures || []).filter(otherImages).concat(outcome.failures);
+    clubResult.rejections = clubResult.rejections.filter(otherImages).concat(outcome.rejections);
+    clubResult.warnings = clubResult.warnings.filter(otherImages).concat(outcome.warnings);
+    clubResult.duplicates = clubResult.duplicates.filter(otherImages).concat(outcome.duplicates);
+    return clubResult;
+}
+
+// Duplicate check against the rest of the submission and earlier clubs,
+// made as soon as the hashes are known; it also claims the image's slot in
+// the hash index (lib/perceptual-hash.js). With DUPLICATE_ACTION=skip a match
+// stops the image here.
+async function checkForDuplicate(imageType, hashes, publicId, sourceUrl, options) {
+    if (!options.submission) return null;
+    
+    const duplicateOf = await options.submission.check(options.position, imageType, hashes, { publicId, sourceUrl });
+    if (duplicateOf && perceptualHash.DUPLICATE_ACTION === 'skip') {
+        throw new DuplicateImageError(duplicateOf);
+    }
+    return duplicateOf;
+}
+
+// Complete the image's claim in the hash index with its stored URL
+async function indexProcessedImage(imageType, url, options) {
+    if (!options.submission) return;
+    
+    await options.submission.stored(options.position, imageType, url);
+}
+
+// What lib/alt-text.js knows about an image beyond its club and type
+function altTextContext(options, visual) {
+    return {
+        displayName: options.displayName,
+        details: options.details,
+        caption: options.caption,
+        visual
+    };
+}
+
+// Fetch an image's source: staged uploads are read from disk (only with
+// `allowUploads`), URLs are downloaded with the manifest's validators so
+// unchanged sources come back as { notModified: true }
+async function downloadSource(imageUrl, previous, settings, { allowUploads = false } = {}) {
+    if (uploads.isUploadRef(imageUrl)) {
+        if (!allowUploads) {
+            throw new FetchError('URL_NOT_FETCHABLE', UNFETCHABLE_URL_MESSAGE, { stage: 'download' });
+        }
+        return withRetries('download', `Reading ${imageUrl}`, async () => ({ buffer: await uploads.readUpload(imageUrl) }));
+    }
+    
+    return withRetries('download', `Download of ${imageUrl}`, () => pool.download(imageUrl, async () => {
+        try {
+            const response = await safeFetch(imageUrl, {
+                maxBytes: imageValidation.config.maxBytes,
+                headers: imageManifest.conditionalHeaders(previous, imageUrl, settings),
+                checkHeaders: headers => imageValidation.checkDownloadHeaders(headers['content-type'], headers['content-length'])
+            });
+            if (response.status === 304) {
+                return { notModified: true };
+            }
+            if (!response.ok) {
+                throw new FetchError('HTTP_ERROR', `Failed to download image: ${response.status}`, { status: response.status });
+            }
+            return {
+                buffer: response.buffer,
+                contentType: response.headers['content-type'],
+                etag: response.headers.etag,
+                lastModified: response.headers['last-modified']
+            };
+        } catch (error) {
+            if (error instanceof FetchError && error.code === 'TOO_LARGE') {
+                throw new ImageValidationError('FILE_TOO_LARGE', `Image is larger than the ${imageValidation.config.maxBytes} byte limit`,
+                    { maxBytes: imageValidation.config.maxBytes });
+            }
+            throw error;
+        }
+    }));
+}
+
+// Image processing function using Sharp and the configured storage backend.
+// Each stage runs under the shared worker pool's limits. Every image is
+// encoded at several widths and formats (see lib/renditions.js); the largest
+// rendition in the primary format is stored under the image's own public ID
+// and its URL is the image's `url`. `cloudinaryUrl` is kept alongside `url`
+// for callers written before storage was pluggable. Images are cropped to
+// their type's aspect ratio (lib/cropping.js); `options.focalPoint` overrides
+// the automatic framing. Images whose content and settings match the
+// manifest (lib/image-manifest.js) reuse their stored result; every result
+// carries `processingStatus` ('new', 'updated' or 'skipped'). Transient
+// download and upload failures are retried with backoff (lib/image-errors.js).
+function processImageToCloudinary(imageUrl, clubName, imageType, targetWidth, options = {}) {
+    return pool.image(async () => {
+        try {
+            console.log(`Processing ${imageType} for ${clubName}: ${imageUrl}`);
+            
+            const storage = getStorage();
+            if (!storage.isConfigured()) {
+                throw new Error(`Storage backend "${storage.name}" not configured`);
+            }
+            
+            // Compare against the manifest so unchanged images aren't
+            // encoded and uploaded again (lib/image-manifest.js)
+            const publicId = buildPublicId(clubName, imageType);
+            const settings = imageManifest.describeSettings({
+                imageType,
+                targetWidth,
+                focalPoint: options.focalPoint,
+                storage: storage.name,
+                quality: options.quality,
+                cropStrategy: options.cropStrategy
+            });
+            const previous = await imageManifest.lookup(publicId);
+            
+            const download = await downloadSource(imageUrl, previous, settings, { allowUploads: options.allowUploads });
+            
+            const sourceHash = download.notModified ? previous.contentHash : imageManifest.contentHash(download.buffer);
+            const change = imageManifest.compare(previous, { sourceUrl: imageUrl, contentHash: sourceHash, settings });
+            const validators = download.notModified
+                ? { etag: previous.etag, lastModified: previous.lastModified }
+                : { etag: download.etag, lastModified: download.lastModified };
+            
+            if (change.status === 'skipped') {
+                console.log(`Unchanged ${imageType} for ${clubName}, reusing ${previous.result.url}`);
+                const hashes = previous.result.hashes;
+                const duplicateOf = await checkForDuplicate(imageType, hashes, publicId, imageUrl, options);
+                await indexProcessedImage(imageType, previous.result.url, options);
+                await imageManifest.record(publicId, {
+                    ...previous,
+                    ...validators,
+                    sourceUrl: imageUrl,
+                    checkedAt: new Date().toISOString()
+                });
+                
+                const altText = previous.editedAltText || generateAltText(clubName, imageType, altTextContext(options, previous.result.visual));
+                return {
+                    ...previous.result,
+                    originalUrl: imageUrl,
+                    altText,
+                    duplicateOf,
+                    pictureHtml: renditions.buildPictureHtml(previous.result.renditions, altText, imageType, previous.result.vector),
+                    processingStatus: change.status,
+                    changes: change.changes
+                };
+            }
+            
+            const { buffer: imageBuffer, contentType } = download;
+            
+            // Reject unusable sources before spending time encoding them
+            const validation = await pool.encode(() => imageValidation.validateImage(imageBuffer, imageType, { contentType }));
+            
+            // Perceptual hashes, checked against the rest of this submission
+            // and against every club processed before
+            const hashes = await pool.encode(() => perceptualHash.computeHashes(imageBuffer));
+            const duplicateOf = await checkForDuplicate(imageType, hashes, publicId, imageUrl, options);
+            
+            // Logos are trimmed and padded onto a square canvas instead of
+            // being cropped; SVG logos also keep a sanitized vector copy
+            let sourceBuffer = imageBuffer;
+            let logoDetails = null;
+            let vector = null;
+            if (renditions.baseImageType(imageType) === 'logo') {
+                const prepared = await pool.encode(() => logos.prepareLogo(imageBuffer));
+                sourceBuffer = prepared.buffer;
+                logoDetails = prepared.details;
+                
+                if (prepared.svg) {
+                    const svgBuffer = Buffer.from(prepared.svg);
+                    const vectorId = buildVectorId(clubName, imageType);
+                    const result = await withRetries('upload', `Upload of ${vectorId}`, () => pool.upload(() => storage.upload(svgBuffer, {
+                        publicId: vectorId,
+                        format: 'svg',
+                        tags: ['joinphilly', 'processed', imageType]
+                    })));
+                    storedFiles.remember(storage.name, result.publicId, 'svg', svgBuffer);
+                    vector = {
+                        url: result.url,
+                        publicId: result.publicId,
+                        filename: `${clubName}-${imageType}.svg`,
+                        bytes: svgBuffer.length
+                    };
+                }
+            }
+            
+            const metadata = await sharp(sourceBuffer).metadata();
+            const crop = logoDetails ? null : await pool.encode(() => cropping.planCrop(sourceBuffer, metadata, imageType, options.focalPoint, options.cropStrategy));
+            const shownSize = crop ? crop.box : cropping.orientedSize(metadata);
+            const sourceWidth = shownSize.width;
+            const visual = await pool.encode(() => describeVisual(sourceBuffer, crop, shownSize));
+            const widths = renditions.planWidths(imageType, targetWidth, sourceWidth);
+            const primaryFormat = renditions.primaryFormat(imageType);
+            const primaryWidth = widths[widths.length - 1];
+            const quality = renditions.qualityFor(options.quality);
+            
+            const variants = [];
+            for (const format of renditions.formatsFor(imageType)) {
+                for (const width of widths) {
+                    variants.push({ format, width, primary: format === primaryFormat && width === primaryWidth });
+                }
+            }
+            
+            const stored = await Promise.all(variants.map(async variant => {
+                const { data, info } = await pool.encode(() => renditions.encode(
+                    cropping.framedImage(sourceBuffer, crop, variant.width),
+                    variant.format,
+                    quality[variant.format]
+                ).toBuffer({ resolveWithObject: true }));
+                
+                const fileFormat = renditions.FILE_FORMATS[variant.format];
+                const renditionId = variant.primary ? publicId : buildRenditionId(clubName, imageType, variant.width, fileFormat);
+                const result = await withRetries('upload', `Upload of ${renditionId}`, () => pool.upload(() => storage.upload(data, {
+                    publicId: renditionId,
+                    format: fileFormat,
+                    tags: ['joinphilly', 'processed', imageType]
+                })));
+                storedFiles.remember(storage.name, result.publicId, fileFormat, data);
+                
+                return {
+                    format: variant.format,
+                    width: info.width,
+                    height: info.height,
+                    url: result.url,
+                    publicId: result.publicId,
+                    filename: variant.primary
+                        ? `${clubName}-${imageType}.${fileFormat}`
+                        : `${clubName}-${imageType}-${variant.width}w.${fileFormat}`,
+                    bytes: data.length,
+                    primary: variant.primary
+                };
+            }));
+            
+            const primary = stored.find(rendition => rendition.primary);
+            console.log(`${storage.name} upload successful:`, primary.url, `(+${stored.length - 1} renditions)`);
+            
+            await indexProcessedImage(imageType, primary.url, options);
+            
+            // Alt text edited by hand is kept while the source is unchanged
+            const editedAltText = (previous && previous.contentHash === sourceHash && previous.editedAltText) || null;
+            const altText = editedAltText || generateAltText(clubName, imageType, altTextContext(options, visual));
+            
+            const result = {
+                originalUrl: imageUrl,
+                url: primary.url,
+                cloudinaryUrl: primary.url,
+                storage: storage.name,
+                publicId: primary.publicId,
+                filename: primary.filename,
+                altText: altText,
+                width: primary.width,
+                height: primary.height,
+                bytes: primary.bytes,
+                type: imageType,
+                format: primaryFormat,
+                crop: crop ? {
+                    aspectRatio: crop.aspectRatio,
+                    strategy: crop.strategy,
+                    focalPoint: crop.focalPoint,
+                    box: crop.box
+                } : null,
+                source: {
+                    format: validation.format,
+                    width: validation.width,
+                    height: validation.height,
+                    bytes: imageBuffer.length
+                },
+                warnings: validation.warnings,
+                hashes,
+                duplicateOf,
+                logo: logoDetails,
+                quality: options.quality || null,
+                visual,
+                vector,
+                renditions: stored,
+                srcset: renditions.buildSrcsets(stored, imageType),
+                pictureHtml: renditions.buildPictureHtml(stored, altText, imageType, vector)
+            };
+            
+            const processedAt = new Date().toISOString();
+            await imageManifest.record(publicId, {
+                sourceUrl: imageUrl,
+                contentHash: sourceHash,
+                settingsHash: imageManifest.settingsHash(settings),
+                settings,
+                ...validators,
+                editedAltText,
+                result,
+                processedAt,
+                checkedAt: processedAt
+            });
+            
+            return { ...result, processingStatus: change.status, changes: change.changes };
+            
+        } catch (error) {
+            console.error(`Image processing failed for ${imageUrl}:`, error);
+            throw error;
+        }
+    });
+}
+
+// The fields every endpoint reports for a processed image
+function summarizeImage(processed) {
+    return {
+        type: processed.type,
+        url: processed.url,
+        altText: processed.altText,
+        filename: processed.filename,
+        width: processed.width,
+        height: processed.height,
+        bytes: processed.bytes,
+        format: processed.format,
+        processingStatus: processed.processingStatus,
+        vectorUrl: processed.vector ? processed.vector.url : null,
+        pictureHtml: processed.pictureHtml
+    };
+}
+
+// The fields every endpoint reports for a processed club
+function clubPayload(clubResult) {
+    return {
+        clubName: clubResult.name,
+        recordId: clubResult.recordId || null,
+        imagesProcessed: clubResult.processed.length,
+        processedImages: clubResult.processed.map(summarizeImage),
+        errors: clubResult.errors,
+        failures: clubResult.failures || [],
+        rejections: clubResult.rejections,
+        warnings: clubResult.warnings,
+        duplicates: clubResult.duplicates,
+        airtableUpdated: clubResult.airtableUpdate ? clubResult.airtableUpdate.success : false,
+        airtableNeedsReview: clubResult.airtableUpdate ? clubResult.airtableUpdate.needsReview : null
+    };
+}
+
+module.exports = {
+    TARGET_WIDTHS,
+    MAX_GALLERY_IMAGES,
+    UNFETCHABLE_URL_MESSAGE,
+    isValidUrl,
+    cleanClubName,
+    imageTypeFor,
+    imageLabel,
+    createClubResult,
+    buildImageTasks,
+    processImageTasks,
+    processClub,
+    reprocessImages,
+    reprocessImage,
+    mergeImageOutcome,
+    downloadSource,
+    processImageToCloudinary,
+    summarizeImage,
+    clubPayload
+};
@@ -0,0 +1,145 @@
+// Matching processed clubs to Airtable records. Candidates are fetched by
+// Submission ID, email and name, then ranked: a Submission ID match wins
+// outright, then email (narrowed by name when several records share an
+// email, and refused when the names disagree), then normalized name.
+// Anything ambiguous, contradicted by another signal or below the confidence
+// floor is refused so the club can be reviewed by hand instead of
+// overwriting the wrong record.
+
+const MIN_CONFIDENCE = parseFloat(process.env.AIRTABLE_MIN_MATCH_CONFIDENCE) || 0.6;
+
+const CONFIDENCE = {
+    recordId: 1,
+    submissionId: 1,
+    'email+name': 0.95,
+    email: 0.85,
+    name: 0.6
+};
+
+// "The Alpha-Beta Club!" and "the alpha beta club" compare equal
+function normalizeName(value) {
+    return String(value || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function normalizeEmail(value) {
+    return String(value || '').trim().toLowerCase();
+}
+
+function text(value) {
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+// Formula conditions that fetch every candidate for an item
+function candidateConditions(item, match, formulaString) {
+    const conditions = [];
+    if (item.submissionId && match.submissionId) {
+        conditions.push(`{${match.submissionId}} = ${formulaString(item.submissionId)}`);
+    }
+    if (item.email && match.email) {
+        conditions.push(`LOWER(TRIM({${match.email}})) = ${formulaString(normalizeEmail(item.email))}`);
+    }
+    if (match.name) {
+        // Same normalization as normalizeName (minus accents) on Airtable's
+        // side, so "Book Club!" is fetched as a candidate for "book club"
+        const normalizedColumn = `TRIM(REGEX_REPLACE(SUBSTITUTE(LOWER({${match.name}}), "&", " and "), "[^a-z0-9]+", " "))`;
+        const names = new Set((item.names || []).map(normalizeName).filter(Boolean));
+        for (const name of names) {
+            conditions.push(`${normalizedColumn} = ${formulaString(name)}`);
+        }
+    }
+    return conditions;
+}
+
+// How one record relates to an item: for each signal 'match', 'conflict'
+// (both sides set and different) or null (nothing to compare)
+function compareSignals(item, record, match) {
+    const compare = (mine, theirs, normalize) => {
+        if (!mine || !theirs) return null;
+        return normalize(mine) === normalize(theirs) ? 'match' : 'conflict';
+    };
+    const names = (item.names || []).map(normalizeName);
+    const recordName = normalizeName(record.fields[match.name]);
+
+    return {
+        submissionId: compare(item.submissionId, text(record.fields[match.submissionId]), text),
+        email: match.email ? compare(item.email, text(record.fields[match.email]), normalizeEmail) : null,
+        name: recordName && names.length > 0 ? (names.includes(recordName) ? 'match' : 'conflict') : null
+    };
+}
+
+function describeCandidate(record, signals, match) {
+    return {
+        recordId: record.id,
+        name: text(record.fields[match.name]),
+        submissionId: text(record.fields[match.submissionId]),
+        signals
+    };
+}
+
+// Rank `records` for one item. Returns { recordId, strategy, confidence }
+// for an accepted match, or { recordId: null, reason, candidates } where
+// reason is 'not-found', 'ambiguous', 'conflict' or 'low-confidence'.
+function rankCandidates(item, records, match) {
+    if (item.recordId) {
+        return { recordId: item.recordId, strategy: 'recordId', confidence: CONFIDENCE.recordId, candidates: 1 };
+    }
+
+    const scored = records
+        .map(record => ({ record, signals: compareSignals(item, record, match) }))
+        .filter(({ signals }) => Object.values(signals).includes('match'));
+
+    const refuse = (reason, candidates) => ({
+        recordId: null,
+        reason,
+        candidates: candidates.map(({ record, signals }) => describeCandidate(record, signals, match))
+    });
+    const accept = (candidate, strategy) => {
+        const confidence = CONFIDENCE[strategy];
+        if (confidence < MIN_CONFIDENCE) {
+            return refuse('low-confidence', [candidate]);
+        }
+        return { recordId: candidate.record.id, strategy, confidence, candidates: scored.length };
+    };
+
+    if (scored.length === 0) {
+        return refuse('not-found', []);
+    }
+
+    const bySubmission = scored.filter(({ signals }) => signals.submissionId === 'match');
+    if (bySubmission.length === 1) return accept(bySubmission[0], 'submissionId');
+    if (bySubmission.length > 1) return refuse('ambiguous', bySubmission);
+
+    // A record from a different submission is never the same club
+    const eligible = scored.filter(({ signals }) => signals.submissionId !== 'conflict');
+
+    const byEmail = eligible.filter(({ signals }) => signals.email === 'match');
+    if (byEmail.length > 0) {
+        const alsoByName = byEmail.filter(({ signals }) => signals.name === 'match');
+        if (alsoByName.length === 1) return accept(alsoByName[0], 'email+name');
+        if (byEmail.length === 1 && alsoByName.length === 0) {
+            // Same contact email but a different name: one person running
+            // several clubs, so the record may belong to another of them
+            if (byEmail[0].signals.name === 'conflict') return refuse('conflict', byEmail);
+            return accept(byEmail[0], 'email');
+        }
+        return refuse('ambiguous', alsoByName.length > 1 ? alsoByName : byEmail);
+    }
+
+    const byName = eligible.filter(({ signals }) => signals.name === 'match');
+    if (byName.length > 1) return refuse('ambiguous', byName);
+    if (byName.length === 1) {
+        // Same name but a different contact email: likely a different club
+        if (byName[0].signals.email === 'conflict') return refuse('conflict', byName);
+        return accept(byName[0], 'name');
+    }
+
+    return refuse('conflict', scored);
+}
+
+module.exports = { MIN_CONFIDENCE, normalizeName, candidateConditions, rankCandidates };
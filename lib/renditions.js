@@ -0,0 +1,148 @@
+// Responsive renditions: every source image is encoded at a set of widths in
+// each configured format, and described as srcsets plus a <picture> snippet.
+// Widths, formats and quality live in config/renditions.json.
+const path = require('path');
+const fs = require('fs');
+
+const CONFIG_FILE = process.env.RENDITIONS_CONFIG || path.join(__dirname, '..', 'config', 'renditions.json');
+const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+
+const MIME_TYPES = {
+    avif: 'image/avif',
+    webp: 'image/webp',
+    jpeg: 'image/jpeg',
+    png: 'image/png'
+};
+
+// Storage format / file extension for each encoder
+const FILE_FORMATS = {
+    avif: 'avif',
+    webp: 'webp',
+    jpeg: 'jpg',
+    png: 'png'
+};
+
+// 'gallery-3' -> 'gallery'
+function baseImageType(imageType) {
+    return String(imageType).replace(/-\d+$/, '');
+}
+
+function typeConfig(imageType) {
+    return config.types[baseImageType(imageType)] || { widths: [], sizes: '100vw' };
+}
+
+// Formats for an image type; types may override the global list (logos use
+// PNG rather than JPEG as the fallback so transparency survives)
+function formatsFor(imageType) {
+    return typeConfig(imageType).formats || config.formats;
+}
+
+// Widths to produce: the configured widths up to `maxWidth`, never wider than
+// the source. When the source falls between two widths its own width is
+// added as the largest rendition.
+function planWidths(imageType, maxWidth, sourceWidth) {
+    const cap = Math.min(maxWidth, sourceWidth || maxWidth);
+    const widths = typeConfig(imageType).widths
+        .filter(width => width <= cap)
+        .sort((a, b) => a - b);
+
+    if (widths.length === 0 || widths[widths.length - 1] < cap) {
+        widths.push(cap);
+    }
+
+    return widths;
+}
+
+// Quality per format: the configured values, or one override for them all
+function qualityFor(override) {
+    if (!override) return config.quality;
+    return Object.fromEntries(Object.keys(config.quality).map(format => [format, override]));
+}
+
+// `quality` defaults to the configured quality for the format
+function encode(image, format, quality = config.quality[format]) {
+    switch (format) {
+        case 'avif':
+            return image.avif({ quality });
+        case 'webp':
+            return image.webp({ quality });
+        case 'jpeg':
+            return image.flatten({ background: '#ffffff' }).jpeg({ quality, progressive: true, mozjpeg: true });
+        case 'png':
+            return image.png({ compressionLevel: 9, adaptiveFiltering: true });
+        default:
+            throw new Error(`Unsupported rendition format: ${format}`);
+    }
+}
+
+// Primary format: the one whose largest rendition becomes the image's main URL
+function primaryFormat(imageType) {
+    const formats = formatsFor(imageType);
+    return formats.includes('webp') ? 'webp' : formats[0];
+}
+
+function escapeAttribute(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function buildSrcsets(renditions, imageType) {
+    const srcsets = {};
+    for (const format of formatsFor(imageType)) {
+        const entries = renditions
+            .filter(rendition => rendition.format === format)
+            .sort((a, b) => a.width - b.width)
+            .map(rendition => `${rendition.url} ${rendition.width}w`);
+        if (entries.length > 0) {
+            srcsets[format] = entries.join(', ');
+        }
+    }
+    return srcsets;
+}
+
+// <picture> with a <source> per modern format and the JPEG/PNG (or primary
+// format) as the <img> fallback. A vector original, when there is one, is
+// offered first.
+function buildPictureHtml(renditions, altText, imageType, vector) {
+    const srcsets = buildSrcsets(renditions, imageType);
+    const sizes = typeConfig(imageType).sizes;
+    const fallbackFormat = ['jpeg', 'png'].find(format => srcsets[format]) || primaryFormat(imageType);
+    const fallback = renditions
+        .filter(rendition => rendition.format === fallbackFormat)
+        .sort((a, b) => b.width - a.width)[0];
+
+    if (!fallback) return '';
+
+    const sources = formatsFor(imageType)
+        .filter(format => format !== fallbackFormat && srcsets[format])
+        .map(format => `  <source type="${MIME_TYPES[format]}" srcset="${escapeAttribute(srcsets[format])}" sizes="${escapeAttribute(sizes)}">`);
+
+    if (vector) {
+        sources.unshift(`  <source type="image/svg+xml" srcset="${escapeAttribute(vector.url)}">`);
+    }
+
+    return [
+        '<picture>',
+        ...sources,
+        `  <img src="${escapeAttribute(fallback.url)}" srcset="${escapeAttribute(srcsets[fallbackFormat])}" sizes="${escapeAttribute(sizes)}" width="${fallback.width}" height="${fallback.height}" alt="${escapeAttribute(altText)}" loading="lazy" decoding="async">`,
+        '</picture>'
+    ].join('\n');
+}
+
+module.exports = {
+    config,
+    FILE_FORMATS,
+    MIME_TYPES,
+    baseImageType,
+    typeConfig,
+    formatsFor,
+    planWidths,
+    qualityFor,
+    encode,
+    primaryFormat,
+    buildSrcsets,
+    buildPictureHtml
+};
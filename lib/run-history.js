@@ -0,0 +1,340 @@
+// History of processing runs and an audit log of changes made to them, kept
+// in SQLite (data/history.db, or RUN_HISTORY_DB) so it outlives the job files
+// swept after JOB_RETENTION_DAYS. A run is one CSV upload, Airtable pull,
+// file upload, batch, webhook call or single image: where it came from, who
+// triggered it, its timings and every club's results, errors and Airtable
+// record ID. Queued runs share their job's ID; later edits (alt text,
+// review, re-runs, Airtable writes) update the stored run and are logged as
+// audit events.
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const { DATA_DIR } = require('./json-store');
+const { formatCSVRows } = require('./csv');
+const { clubResultsOf } = require('./job-queue');
+
+const DB_FILE = process.env.RUN_HISTORY_DB || path.join(DATA_DIR, 'history.db');
+const MAX_PAGE_SIZE = 200;
+const MAX_OFFSET = 1000000;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS runs (
+        id TEXT PRIMARY KEY,
+        source TEXT NOT NULL,
+        status TEXT NOT NULL,
+        triggered_by TEXT,
+        input TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        started_at TEXT,
+        finished_at TEXT,
+        duration_ms INTEGER,
+        clubs_total INTEGER NOT NULL,
+        images_processed INTEGER NOT NULL,
+        error_count INTEGER NOT NULL,
+        airtable_updated INTEGER NOT NULL,
+        error TEXT
+    );
+    CREATE INDEX IF NOT EXISTS runs_created_at ON runs (created_at);
+
+    CREATE TABLE IF NOT EXISTS run_clubs (
+        run_id TEXT NOT NULL REFERENCES runs (id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        club_name TEXT,
+        clean_name TEXT,
+        submission_id TEXT,
+        email TEXT,
+        record_id TEXT,
+        images_processed INTEGER NOT NULL,
+        error_count INTEGER NOT NULL,
+        duration_ms INTEGER,
+        result TEXT NOT NULL,
+        PRIMARY KEY (run_id, position)
+    );
+    CREATE INDEX IF NOT EXISTS run_clubs_name ON run_clubs (club_name);
+
+    CREATE TABLE IF NOT EXISTS audit_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id TEXT,
+        at TEXT NOT NULL,
+        actor TEXT,
+        action TEXT NOT NULL,
+        details TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS audit_events_run ON audit_events (run_id, at);
+`;
+
+let database = null;
+
+// Opened on first use so a server that never records a run never creates
+// the file
+function db() {
+    if (!database) {
+        fs.mkdirSync(path.dirname(DB_FILE), { recursive: true });
+        database = new Database(DB_FILE);
+        database.pragma('journal_mode = WAL');
+        database.pragma('foreign_keys = ON');
+        database.exec(SCHEMA);
+    }
+    return database;
+}
+
+// What to keep of a run's input: enough to say where it came from without
+// copying every submitted field
+function summarizeInput(input = {}) {
+    const summary = {};
+    for (const key of ['fileName', 'mappingProfile', 'batchId', 'review', 'callbackUrl', 'imageUrl', 'imageType']) {
+        if (input[key] !== undefined && input[key] !== null) summary[key] = input[key];
+    }
+    if (Array.isArray(input.clubs)) {
+        summary.clubs = input.clubs.length;
+        const recordIds = input.clubs.map(club => club.recordId).filter(Boolean);
+        if (recordIds.length > 0) summary.recordIds = recordIds;
+    }
+    if (Array.isArray(input.rowReport)) {
+        summary.rowsSkipped = input.rowReport.filter(row => row.status === 'skipped').length;
+    }
+    if (input.clubData) {
+        summary.clubName = input.clubData.clubName;
+        summary.submissionId = input.clubData.submissionId || undefined;
+    }
+    return summary;
+}
+
+// Store a run, replacing an earlier record of the same run. `run`: { id,
+// source, status, triggeredBy, input, createdAt, startedAt, finishedAt,
+// clubResults, error }.
+function recordRun(run) {
+    const clubResults = run.clubResults || [];
+    const started = run.startedAt ? new Date(run.startedAt).getTime() : null;
+    const finished = run.finishedAt ? new Date(run.finishedAt).getTime() : null;
+    const database = db();
+
+    database.transaction(() => {
+        database.prepare('DELETE FROM run_clubs WHERE run_id = ?').run(run.id);
+        database.prepare(`
+            INSERT INTO runs (id, source, status, triggered_by, input, created_at, started_at, finished_at,
+                duration_ms, clubs_total, images_processed, error_count, airtable_updated, error)
+            VALUES (@id, @source, @status, @triggeredBy, @input, @createdAt, @startedAt, @finishedAt,
+                @durationMs, @clubsTotal, @imagesProcessed, @errorCount, @airtableUpdated, @error)
+            ON CONFLICT (id) DO UPDATE SET
+                status = excluded.status, started_at = excluded.started_at, finished_at = excluded.finished_at,
+                duration_ms = excluded.duration_ms, clubs_total = excluded.clubs_total,
+                images_processed = excluded.images_processed, error_count = excluded.error_count,
+                airtable_updated = excluded.airtable_updated, error = excluded.error
+        `).run({
+            id: run.id,
+            source: run.source,
+            status: run.status,
+            triggeredBy: run.triggeredBy || null,
+            input: JSON.stringify(summarizeInput(run.input)),
+            createdAt: run.createdAt || run.startedAt || new Date().toISOString(),
+            startedAt: run.startedAt || null,
+            finishedAt: run.finishedAt || null,
+            durationMs: started && finished ? finished - started : null,
+            clubsTotal: clubResults.length,
+            imagesProcessed: clubResults.reduce((sum, clubResult) => sum + clubResult.processed.length, 0),
+            errorCount: clubResults.reduce((sum, clubResult) => sum + clubResult.errors.length, 0),
+            airtableUpdated: clubResults.filter(clubResult => clubResult.airtableUpdate && clubResult.airtableUpdate.success).length,
+            error: run.error || null
+        });
+
+        const insertClub = database.prepare(`
+            INSERT INTO run_clubs (run_id, position, club_name, clean_name, submission_id, email, record_id,
+                images_processed, error_count, duration_ms, result)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        clubResults.forEach((clubResult, position) => {
+            const airtable = clubResult.airtableUpdate;
+            insertClub.run(
+                run.id,
+                position,
+                clubResult.name,
+                clubResult.cleanName,
+                clubResult.submissionId || null,
+                clubResult.email || null,
+                (airtable && airtable.recordId) || clubResult.recordId || null,
+                clubResult.processed.length,
+                clubResult.errors.length,
+                clubResult.durationMs || null,
+                JSON.stringify(clubResult)
+            );
+        });
+    })();
+}
+
+// Record a queued job as a run (called whenever one finishes or changes)
+function recordJob(job) {
+    recordRun({
+        id: job.id,
+        source: job.type,
+        status: job.status,
+        triggeredBy: job.triggeredBy,
+        input: job.input,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        clubResults: clubResultsOf(job),
+        error: job.error
+    });
+}
+
+// Record a run handled within one request (a synchronous webhook call or a
+// single image) and return its ID. History problems are logged rather than
+// failing the request.
+function recordRequestRun({ source, triggeredBy, input, startedAt, clubResults, error }) {
+    const id = crypto.randomUUID();
+    try {
+        recordRun({
+            id,
+            source,
+            status: error ? 'failed' : 'completed',
+            triggeredBy,
+            input,
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            clubResults,
+            error: error ? error.message : null
+        });
+    } catch (historyError) {
+        console.error(`Could not record ${source} run:`, historyError.message);
+    }
+    return id;
+}
+
+// Add an audit event, e.g. ('alt-text.edited', actor, { club, type }).
+// Like recordRequestRun, never throws.
+function recordEvent(runId, action, actor, details = {}) {
+    try {
+        db().prepare('INSERT INTO audit_events (run_id, at, actor, action, details) VALUES (?, ?, ?, ?, ?)')
+            .run(runId || null, new Date().toISOString(), actor || null, action, JSON.stringify(details));
+    } catch (error) {
+        console.error(`Could not record audit event ${action}:`, error.message);
+    }
+}
+
+function runFromRow(row) {
+    return {
+        id: row.id,
+        source: row.source,
+        status: row.status,
+        triggeredBy: row.triggered_by,
+        input: JSON.parse(row.input),
+        createdAt: row.created_at,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at,
+        durationMs: row.duration_ms,
+        clubsTotal: row.clubs_total,
+        imagesProcessed: row.images_processed,
+        errorCount: row.error_count,
+        airtableUpdated: row.airtable_updated,
+        error: row.error
+    };
+}
+
+function eventFromRow(row) {
+    return { id: row.id, runId: row.run_id, at: row.at, actor: row.actor, action: row.action, details: JSON.parse(row.details) };
+}
+
+// A whole-number page size or offset from a query value, kept within
+// [min, max]; `fallback` when the value isn't a whole number
+function pageNumber(value, fallback, min, max) {
+    const number = /^\d+$/.test(String(value)) ? Number(value) : fallback;
+    return Math.min(Math.max(number, min), max);
+}
+
+// Search runs, newest first. Filters: q (club name, submission ID, email,
+// Airtable record ID or run ID), source, status, from and to (ISO dates),
+// plus limit and offset. Returns { runs, total }.
+function listRuns(filters = {}) {
+    const where = [];
+    const params = {};
+
+    if (filters.q) {
+        params.q = `%${String(filters.q).trim().toLowerCase()}%`;
+        where.push(`(lower(runs.id) LIKE @q OR lower(coalesce(runs.triggered_by, '')) LIKE @q OR EXISTS (
+            SELECT 1 FROM run_clubs WHERE run_clubs.run_id = runs.id AND (
+                lower(coalesce(club_name, '')) LIKE @q OR lower(coalesce(submission_id, '')) LIKE @q
+                OR lower(coalesce(email, '')) LIKE @q OR lower(coalesce(record_id, '')) LIKE @q)))`);
+    }
+    for (const key of ['source', 'status']) {
+        if (filters[key]) {
+            params[key] = String(filters[key]);
+            where.push(`runs.${key} = @${key}`);
+        }
+    }
+    if (filters.from) {
+        params.from = String(filters.from);
+        where.push('runs.created_at >= @from');
+    }
+    if (filters.to) {
+        params.to = String(filters.to);
+        where.push('runs.created_at <= @to');
+    }
+
+    const clause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const limit = pageNumber(filters.limit, 50, 1, MAX_PAGE_SIZE);
+    const offset = pageNumber(filters.offset, 0, 0, MAX_OFFSET);
+
+    const database = db();
+    const total = database.prepare(`SELECT count(*) AS count FROM runs ${clause}`).get(params).count;
+    const rows = database.prepare(`SELECT * FROM runs ${clause} ORDER BY runs.created_at DESC LIMIT ${limit} OFFSET ${offset}`).all(params);
+    return { runs: rows.map(runFromRow), total, limit, offset };
+}
+
+// One run with its clubs' full results and its audit events, or null
+function getRun(id) {
+    const database = db();
+    const row = database.prepare('SELECT * FROM runs WHERE id = ?').get(id);
+    if (!row) return null;
+
+    const run = runFromRow(row);
+    run.clubs = database.prepare('SELECT * FROM run_clubs WHERE run_id = ? ORDER BY position').all(id).map(club => ({
+        position: club.position,
+        name: club.club_name,
+        cleanName: club.clean_name,
+        submissionId: club.submission_id,
+        email: club.email,
+        recordId: club.record_id,
+        imagesProcessed: club.images_processed,
+        errorCount: club.error_count,
+        durationMs: club.duration_ms,
+        result: JSON.parse(club.result)
+    }));
+    run.events = database.prepare('SELECT * FROM audit_events WHERE run_id = ? ORDER BY at, id').all(id).map(eventFromRow);
+    return run;
+}
+
+// Audit events across all runs, newest first
+function listEvents({ runId, action, limit } = {}) {
+    const where = [];
+    const params = {};
+    if (runId) {
+        params.runId = String(runId);
+        where.push('run_id = @runId');
+    }
+    if (action) {
+        params.action = String(action);
+        where.push('action = @action');
+    }
+    const clause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const pageSize = pageNumber(limit, 100, 1, MAX_PAGE_SIZE);
+    return db().prepare(`SELECT * FROM audit_events ${clause} ORDER BY at DESC, id DESC LIMIT ${pageSize}`).all(params).map(eventFromRow);
+}
+
+// A run's results as the CSV the results page downloads, with image URLs
+// and Airtable record IDs added
+function runResultsCsv(run) {
+    const rows = [['Club Name', 'Image Type', 'Filename', 'Alt Text', 'URL', 'Airtable Record ID', 'Status']];
+    for (const club of run.clubs) {
+        for (const image of club.result.processed) {
+            rows.push([club.name, image.type, image.filename, image.altText, image.url, club.recordId, 'Success']);
+        }
+        for (const error of club.result.errors) {
+            rows.push([club.name, 'Error', '', '', '', club.recordId, error]);
+        }
+    }
+    return formatCSVRows(rows);
+}
+
+module.exports = { recordRun, recordJob, recordRequestRun, recordEvent, listRuns, getRun, listEvents, runResultsCsv };
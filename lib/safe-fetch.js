@@ -0,0 +1,229 @@
+// The one way this app requests a URL it was handed: image downloads, and
+// the completion callbacks webhook callers ask for. Those URLs come from
+// form submissions, webhooks and API callers, so a request must not be
+// usable to reach the cloud metadata service, localhost or the private
+// network, or to tie the server up with a huge or never-ending response:
+//
+//   - only http: and https: URLs
+//   - every hostname is resolved and refused if any address is private,
+//     loopback, link-local or otherwise reserved; the check runs inside the
+//     socket's DNS lookup, so it covers every redirect hop and a name can't
+//     resolve differently between the check and the connection
+//   - connect, idle-read and overall timeouts
+//   - a byte cap enforced while the body streams in, not after
+//   - a Content-Type check before the body is read
+//
+// FETCH_ALLOW_PRIVATE_NETWORKS=true lifts the address check for local
+// development against services on this machine.
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+
+const CONNECT_TIMEOUT_MS = parseInt(process.env.FETCH_CONNECT_TIMEOUT_MS, 10) || 5000;
+const READ_TIMEOUT_MS = parseInt(process.env.FETCH_READ_TIMEOUT_MS, 10) || 15000;
+const TOTAL_TIMEOUT_MS = parseInt(process.env.FETCH_TOTAL_TIMEOUT_MS, 10) || 60000;
+const MAX_REDIRECTS = 5;
+const DEFAULT_MAX_BYTES = 15 * 1024 * 1024;
+const ALLOW_PRIVATE_NETWORKS = process.env.FETCH_ALLOW_PRIVATE_NETWORKS === 'true';
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+class FetchError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'FetchError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Special-purpose ranges from the IANA IPv4 and IPv6 registries. BlockList
+// also applies the IPv4 rules to IPv4-mapped IPv6 addresses (::ffff:a.b.c.d).
+const blockList = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+    ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64],
+    ['2001::', 23], ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+    if (ALLOW_PRIVATE_NETWORKS) return false;
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    return blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function blockedError(hostname, address) {
+    return new FetchError('ADDRESS_BLOCKED',
+        `Refusing to fetch ${hostname}: it resolves to a private or reserved address (${address})`,
+        { hostname, address });
+}
+
+// dns.lookup with the address check; used as the socket's `lookup`
+function guardedLookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked) return callback(blockedError(hostname, blocked.address));
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+function parseUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (_) {
+        throw new FetchError('URL_INVALID', `Not a valid URL: ${value}`, { url: value });
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new FetchError('PROTOCOL_NOT_ALLOWED', `Only http and https URLs can be fetched, not ${url.protocol}`, { url: value });
+    }
+    // Sockets skip the DNS lookup for IP literals, so check those here
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+        throw blockedError(hostname, hostname);
+    }
+    return url;
+}
+
+// http/https only, for validating URLs before they are queued
+function isFetchableUrl(value) {
+    try {
+        parseUrl(value);
+        return true;
+    } catch (_) {
+        return false;
+    }
+}
+
+// Default Content-Type check: images, or a generic binary type
+function requireImageType(headers) {
+    const mime = String(headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (mime && !mime.startsWith('image/') && mime !== 'application/octet-stream' && mime !== 'binary/octet-stream') {
+        throw new FetchError('CONTENT_TYPE_NOT_ALLOWED', `Source URL returned ${mime}, not an image`, { contentType: mime });
+    }
+}
+
+// One request without following redirects. Resolves once headers arrive
+// with the response and a `read(maxBytes)` for the body.
+function open(url, method, headers, body) {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+        const request = client.request(url, { method, headers, lookup: guardedLookup, agent: false });
+
+        let failure = null;
+        const fail = error => {
+            failure = failure || error;
+            request.destroy(failure);
+        };
+        const connectTimer = setTimeout(() => fail(new FetchError('CONNECT_TIMEOUT',
+            `Timed out connecting to ${url.host} after ${CONNECT_TIMEOUT_MS}ms`)), CONNECT_TIMEOUT_MS);
+        const deadline = setTimeout(() => fail(new FetchError('READ_TIMEOUT',
+            `Download from ${url.host} took longer than ${TOTAL_TIMEOUT_MS}ms`)), TOTAL_TIMEOUT_MS);
+        const close = () => {
+            clearTimeout(connectTimer);
+            clearTimeout(deadline);
+            request.destroy();
+        };
+
+        request.on('socket', socket => {
+            socket.once(url.protocol === 'https:' ? 'secureConnect' : 'connect', () => clearTimeout(connectTimer));
+        });
+        request.setTimeout(READ_TIMEOUT_MS, () => fail(new FetchError('READ_TIMEOUT',
+            `No data from ${url.host} for ${READ_TIMEOUT_MS}ms`)));
+        request.on('error', error => {
+            close();
+            reject(failure || error);
+        });
+
+        request.end(body);
+
+        request.on('response', response => {
+            clearTimeout(connectTimer);
+            resolve({
+                response,
+                close,
+                async read(maxBytes) {
+                    const chunks = [];
+                    let size = 0;
+                    try {
+                        for await (const chunk of response) {
+                            size += chunk.length;
+                            if (size > maxBytes) {
+                                throw new FetchError('TOO_LARGE', `Response is larger than the ${maxBytes} byte limit`, { maxBytes });
+                            }
+                            chunks.push(chunk);
+                        }
+                    } catch (error) {
+                        throw failure || error;
+                    } finally {
+                        close();
+                    }
+                    return Buffer.concat(chunks, size);
+                }
+            });
+        });
+    });
+}
+
+// Request `url` (a GET unless `method` says otherwise), following up to
+// MAX_REDIRECTS redirects for GETs with every hop checked. Returns
+// { url, status, ok, headers, buffer }; `buffer` is only read for 2xx
+// responses that pass `checkHeaders` (which throws to refuse one).
+// Throws FetchError for anything refused or timed out.
+async function safeFetch(value, { method = 'GET', body, headers = {}, maxBytes = DEFAULT_MAX_BYTES, checkHeaders = requireImageType } = {}) {
+    let url = parseUrl(value);
+    const requestHeaders = {
+        'User-Agent': 'club-image-processor',
+        'Accept': 'image/*,*/*;q=0.8',
+        ...headers
+    };
+
+    for (let redirects = 0; ; redirects++) {
+        const { response, close, read } = await open(url, method, requestHeaders, body);
+        const status = response.statusCode;
+
+        if (method === 'GET' && REDIRECT_STATUSES.includes(status) && response.headers.location) {
+            close();
+            if (redirects >= MAX_REDIRECTS) {
+                throw new FetchError('TOO_MANY_REDIRECTS', `More than ${MAX_REDIRECTS} redirects from ${value}`, { url: value });
+            }
+            url = parseUrl(new URL(response.headers.location, url).href);
+            continue;
+        }
+
+        const result = { url: url.href, status, ok: status >= 200 && status < 300, headers: response.headers, buffer: null };
+        if (!result.ok) {
+            close();
+            return result;
+        }
+
+        try {
+            const length = parseInt(response.headers['content-length'], 10);
+            if (length > maxBytes) {
+                throw new FetchError('TOO_LARGE', `Response is ${length} bytes; the limit is ${maxBytes}`, { bytes: length, maxBytes });
+            }
+            checkHeaders(response.headers);
+        } catch (error) {
+            close();
+            throw error;
+        }
+
+        result.buffer = await read(maxBytes);
+        return result;
+    }
+}
+
+module.exports = { FetchError, safeFetch, isFetchableUrl, isBlockedAddress, requireImageType };
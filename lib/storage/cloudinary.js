@@ -0,0 +1,81 @@
+// Cloudinary storage driver
+const cloudinary = require('cloudinary').v2;
+const { safeFetch } = require('../safe-fetch');
+const { StorageError } = require('./errors');
+
+// Configure Cloudinary
+if (process.env.CLOUDINARY_URL) {
+    const cloudinaryUrl = process.env.CLOUDINARY_URL;
+    const urlParts = cloudinaryUrl.match(/cloudinary:\/\/(\d+):([^@]+)@(.+)/);
+    
+    if (urlParts) {
+        cloudinary.config({
+            cloud_name: urlParts[3],
+            api_key: urlParts[1],
+            api_secret: urlParts[2]
+        });
+    } else {
+        cloudinary.config(process.env.CLOUDINARY_URL);
+    }
+} else {
+    cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+        api_key: process.env.CLOUDINARY_API_KEY,
+        api_secret: process.env.CLOUDINARY_API_SECRET
+    });
+}
+
+function isConfigured() {
+    const config = cloudinary.config();
+    return Boolean(config.cloud_name && config.api_key && config.api_secret);
+}
+
+function upload(buffer, { publicId, format, tags = [] }) {
+    return new Promise((resolve, reject) => {
+        cloudinary.uploader.upload_stream(
+            {
+                resource_type: 'image',
+                public_id: publicId,
+                format,
+                overwrite: true,
+                tags
+            },
+            (error, result) => {
+                if (error) {
+                    console.error('Cloudinary upload error:', error);
+                    reject(new StorageError('UPLOAD_FAILED', `Cloudinary upload failed: ${error.message}`, { status: error.http_code }));
+                } else {
+                    resolve({
+                        url: result.secure_url,
+                        publicId: result.public_id,
+                        bytes: result.bytes
+                    });
+                }
+            }
+        ).end(buffer);
+    });
+}
+
+async function read(publicId, format) {
+    const url = cloudinary.url(publicId, { secure: true, format, resource_type: 'image' });
+    const response = await safeFetch(url);
+    if (!response.ok) {
+        throw new Error(`Cloudinary read failed: ${response.status}`);
+    }
+    return response.buffer;
+}
+
+async function remove(publicId) {
+    await cloudinary.uploader.destroy(publicId, { resource_type: 'image' });
+}
+
+function describe() {
+    const config = cloudinary.config();
+    return {
+        cloud_name: config.cloud_name || 'missing',
+        api_key: config.api_key ? 'set' : 'missing',
+        api_secret: config.api_secret ? 'set' : 'missing'
+    };
+}
+
+module.exports = { name: 'cloudinary', cloudinary, isConfigured, upload, read, remove, describe };
@@ -0,0 +1,14 @@
+// Errors from storage drivers. `details.status` is the backend's HTTP status
+// when it gave one, `details.networkCode` the socket error code (ECONNRESET,
+// ...) and `details.retryable` is set when the backend itself says trying
+// again may succeed. lib/image-errors.js decides on retries.
+class StorageError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'StorageError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+module.exports = { StorageError };
@@ -0,0 +1,31 @@
+// Storage backend selection. Every driver exposes the same interface:
+//   upload(buffer, { publicId, format, tags }) -> { url, publicId, bytes }
+//   read(publicId, format) -> Buffer
+//   remove(publicId, format)
+//   isConfigured(), describe()
+const cloudinaryDriver = require('./cloudinary');
+const localDriver = require('./local');
+const naming = require('./naming');
+const { StorageError } = require('./errors');
+
+const drivers = {
+    cloudinary: cloudinaryDriver,
+    local: localDriver,
+    // Loaded lazily so the AWS SDK is only required when S3 is in use
+    get s3() {
+        return require('./s3');
+    }
+};
+
+// STORAGE_DRIVER picks the backend; without it Cloudinary is used when
+// configured and local disk otherwise
+function getStorage() {
+    const name = process.env.STORAGE_DRIVER || (cloudinaryDriver.isConfigured() ? 'cloudinary' : 'local');
+    const driver = drivers[name];
+    if (!driver) {
+        throw new Error(`Unknown STORAGE_DRIVER: ${name}`);
+    }
+    return driver;
+}
+
+module.exports = { getStorage, drivers, StorageError, ...naming };
@@ -0,0 +1,57 @@
+// Local-filesystem storage driver. Files are written under
+// LOCAL_STORAGE_DIR (public/processed by default) and served by Express at
+// /processed; set PUBLIC_BASE_URL so stored URLs are absolute.
+const path = require('path');
+const fs = require('fs').promises;
+const { objectKey } = require('./naming');
+
+const ROOT_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', '..', 'public', 'processed'));
+const URL_PATH = '/processed';
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+// Resolve a key inside ROOT_DIR, refusing anything that escapes it
+function resolveKey(key) {
+    const file = path.resolve(ROOT_DIR, key);
+    if (!file.startsWith(ROOT_DIR + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+}
+
+function isConfigured() {
+    return true;
+}
+
+async function upload(buffer, { publicId, format }) {
+    const key = objectKey(publicId, format);
+    const file = resolveKey(key);
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+
+    return {
+        url: `${PUBLIC_BASE_URL}${URL_PATH}/${key.split('/').map(encodeURIComponent).join('/')}`,
+        publicId,
+        bytes: buffer.length
+    };
+}
+
+function read(publicId, format) {
+    return fs.readFile(resolveKey(objectKey(publicId, format)));
+}
+
+async function remove(publicId, format) {
+    await fs.unlink(resolveKey(objectKey(publicId, format))).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+    });
+}
+
+function describe() {
+    return {
+        directory: ROOT_DIR,
+        url_path: URL_PATH,
+        public_base_url: PUBLIC_BASE_URL || 'not set (URLs are relative)'
+    };
+}
+
+module.exports = { name: 'local', ROOT_DIR, URL_PATH, isConfigured, upload, read, remove, describe };
@@ -0,0 +1,44 @@
+// Naming scheme shared by every storage driver: all processed images live
+// under one folder as `<folder>/<club-slug>-<image-type>`, and drivers that
+// store plain files append the format as the extension. Responsive
+// renditions go in a per-format subfolder so IDs stay unique on backends
+// (Cloudinary) that keep one asset per public ID regardless of format.
+const STORAGE_FOLDER = process.env.STORAGE_FOLDER || 'joinphilly';
+
+function buildPublicId(clubSlug, imageType) {
+    return `${STORAGE_FOLDER}/${clubSlug}-${imageType}`;
+}
+
+function buildRenditionId(clubSlug, imageType, width, format) {
+    return `${STORAGE_FOLDER}/${format}/${clubSlug}-${imageType}-${width}w`;
+}
+
+// Vector originals (sanitized SVG logos)
+function buildVectorId(clubSlug, imageType) {
+    return `${STORAGE_FOLDER}/svg/${clubSlug}-${imageType}`;
+}
+
+// One-off images from the transform endpoint, named by a content hash so
+// the same output is stored once
+function buildUploadId(name, hash) {
+    return `${STORAGE_FOLDER}/uploads/${name}-${hash}`;
+}
+
+function objectKey(publicId, format) {
+    return `${publicId}.${format}`;
+}
+
+const CONTENT_TYPES = {
+    webp: 'image/webp',
+    avif: 'image/avif',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    svg: 'image/svg+xml'
+};
+
+function contentTypeFor(format) {
+    return CONTENT_TYPES[format] || 'application/octet-stream';
+}
+
+module.exports = { STORAGE_FOLDER, buildPublicId, buildRenditionId, buildVectorId, buildUploadId, objectKey, contentTypeFor };
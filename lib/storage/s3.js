@@ -0,0 +1,102 @@
+// S3-compatible storage driver (AWS S3, MinIO, R2, ...). Point S3_ENDPOINT
+// at a local MinIO-style server and set S3_FORCE_PATH_STYLE=true to test.
+// Re-processing a club overwrites its keys in place, so objects are only
+// cached briefly and then revalidated (S3_CACHE_CONTROL), not kept for a year.
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { objectKey, contentTypeFor } = require('./naming');
+const { StorageError } = require('./errors');
+
+const config = {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT ? process.env.S3_ENDPOINT.replace(/\/+$/, '') : '',
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    publicUrl: (process.env.S3_PUBLIC_URL || '').replace(/\/+$/, ''),
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    cacheControl: process.env.S3_CACHE_CONTROL || 'public, max-age=300, must-revalidate'
+};
+
+let client = null;
+
+function getClient() {
+    if (!client) {
+        client = new S3Client({
+            region: config.region,
+            endpoint: config.endpoint || undefined,
+            forcePathStyle: config.forcePathStyle,
+            credentials: config.accessKeyId ? {
+                accessKeyId: config.accessKeyId,
+                secretAccessKey: config.secretAccessKey
+            } : undefined
+        });
+    }
+    return client;
+}
+
+function isConfigured() {
+    return Boolean(config.bucket);
+}
+
+function publicUrlFor(key) {
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    if (config.publicUrl) {
+        return `${config.publicUrl}/${encodedKey}`;
+    }
+    if (config.endpoint) {
+        return config.forcePathStyle
+            ? `${config.endpoint}/${config.bucket}/${encodedKey}`
+            : config.endpoint.replace('://', `://${config.bucket}.`) + `/${encodedKey}`;
+    }
+    return `https://${config.bucket}.s3.${config.region}.amazonaws.com/${encodedKey}`;
+}
+
+async function upload(buffer, { publicId, format }) {
+    const key = objectKey(publicId, format);
+
+    try {
+        await getClient().send(new PutObjectCommand({
+            Bucket: config.bucket,
+            Key: key,
+            Body: buffer,
+            ContentType: contentTypeFor(format),
+            CacheControl: config.cacheControl
+        }));
+    } catch (error) {
+        throw new StorageError('UPLOAD_FAILED', `S3 upload failed: ${error.message}`, {
+            status: error.$metadata && error.$metadata.httpStatusCode,
+            retryable: Boolean(error.$retryable),
+            networkCode: error.code
+        });
+    }
+
+    return { url: publicUrlFor(key), publicId, bytes: buffer.length };
+}
+
+async function read(publicId, format) {
+    const response = await getClient().send(new GetObjectCommand({
+        Bucket: config.bucket,
+        Key: objectKey(publicId, format)
+    }));
+    return Buffer.from(await response.Body.transformToByteArray());
+}
+
+async function remove(publicId, format) {
+    await getClient().send(new DeleteObjectCommand({
+        Bucket: config.bucket,
+        Key: objectKey(publicId, format)
+    }));
+}
+
+function describe() {
+    return {
+        bucket: config.bucket || 'missing',
+        region: config.region,
+        endpoint: config.endpoint || 'AWS default',
+        force_path_style: config.forcePathStyle,
+        cache_control: config.cacheControl,
+        credentials: config.accessKeyId ? 'set' : 'default provider chain'
+    };
+}
+
+module.exports = { name: 's3', isConfigured, upload, read, remove, describe };
@@ -0,0 +1,67 @@
+// Reading processed files back, e.g. for ZIP exports. Files the pipeline has
+// just stored are kept in a small in-memory cache (STORED_FILE_CACHE_MB,
+// least recently used dropped first) so a download straight after a run
+// doesn't go back to the storage backend; anything else is read through the
+// driver that wrote it.
+const path = require('path');
+const { drivers } = require('./storage');
+const { safeFetch } = require('./safe-fetch');
+
+const CACHE_BYTES = (parseFloat(process.env.STORED_FILE_CACHE_MB) || 64) * 1024 * 1024;
+
+const cache = new Map();
+let cachedBytes = 0;
+
+function cacheKey(storageName, publicId, format) {
+    return `${storageName}:${publicId}.${format}`;
+}
+
+// Keep a buffer the pipeline has just stored
+function remember(storageName, publicId, format, buffer) {
+    if (buffer.length > CACHE_BYTES) return;
+
+    const key = cacheKey(storageName, publicId, format);
+    forget(key);
+    cache.set(key, buffer);
+    cachedBytes += buffer.length;
+
+    for (const [oldest, oldBuffer] of cache) {
+        if (cachedBytes <= CACHE_BYTES) break;
+        cache.delete(oldest);
+        cachedBytes -= oldBuffer.length;
+    }
+}
+
+function forget(key) {
+    const buffer = cache.get(key);
+    if (buffer) {
+        cache.delete(key);
+        cachedBytes -= buffer.length;
+    }
+}
+
+// Read a stored file ({ publicId, filename, url }) written by `storageName`.
+// Results from before storage was pluggable have no storage name and are
+// fetched from their stored URL.
+async function readStoredFile(storageName, file) {
+    if (storageName && drivers[storageName] && file.publicId) {
+        const format = path.extname(file.filename).slice(1);
+        const key = cacheKey(storageName, file.publicId, format);
+        const cached = cache.get(key);
+        if (cached) {
+            // Move to the most recently used end
+            cache.delete(key);
+            cache.set(key, cached);
+            return cached;
+        }
+        return drivers[storageName].read(file.publicId, format);
+    }
+
+    const response = await safeFetch(file.url);
+    if (!response.ok) {
+        throw new Error(`Failed to download: ${response.status}`);
+    }
+    return response.buffer;
+}
+
+module.exports = { remember, readStoredFile };
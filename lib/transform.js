@@ -0,0 +1,190 @@
+// One-off image transforms (sponsor banners, re-uploaded logos) outside the
+// club pipeline: one source image, one output, with the size, fit, format,
+// quality, crop ratio and background chosen per request. Sources go through
+// the same download (pipeline.downloadSource), validation, worker pool and
+// encoders as club images.
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { pool } = require('./worker-pool');
+const { getStorage, buildUploadId } = require('./storage');
+const renditions = require('./renditions');
+const cropping = require('./cropping');
+const imageValidation = require('./image-validation');
+const { ImageValidationError } = imageValidation;
+
+const MAX_DIMENSION = parseInt(process.env.TRANSFORM_MAX_DIMENSION, 10) || 4096;
+const FITS = Object.keys(sharp.fit);
+const FORMATS = Object.keys(renditions.MIME_TYPES);
+const ALPHA_FORMATS = ['avif', 'webp', 'png'];
+const TRANSPARENT = { r: 255, g: 255, b: 255, alpha: 0 };
+
+class TransformError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'TransformError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+function invalid(option, message) {
+    return new TransformError('INVALID_OPTION', `${option}: ${message}`, { option });
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function parseDimension(value, option) {
+    if (isBlank(value)) return null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > MAX_DIMENSION) {
+        throw invalid(option, `must be a whole number of pixels from 1 to ${MAX_DIMENSION}`);
+    }
+    return number;
+}
+
+function parseBoolean(value, option, fallback) {
+    if (isBlank(value)) return fallback;
+    if (value === true || value === 'true' || value === '1' || value === 1) return true;
+    if (value === false || value === 'false' || value === '0' || value === 0) return false;
+    throw invalid(option, 'must be true or false');
+}
+
+// #rgb, #rgba, #rrggbb or #rrggbbaa
+function parseColour(value) {
+    if (isBlank(value)) return null;
+    const match = String(value).trim().match(/^#?([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+    if (!match) throw invalid('background', 'must be a hex colour such as #ffffff');
+    return `#${match[1].toLowerCase()}`;
+}
+
+// Normalize request options (JSON values or multipart strings). Throws
+// TransformError naming the first invalid option.
+function parseOptions(input = {}) {
+    const format = String(input.format || 'webp').toLowerCase().replace(/^jpg$/, 'jpeg');
+    if (!FORMATS.includes(format)) {
+        throw invalid('format', `must be one of ${FORMATS.join(', ')}`);
+    }
+
+    const fit = String(input.fit || 'cover').toLowerCase();
+    if (!FITS.includes(fit)) {
+        throw invalid('fit', `must be one of ${FITS.join(', ')}`);
+    }
+
+    let quality = renditions.config.quality[format];
+    if (!isBlank(input.quality)) {
+        quality = Number(input.quality);
+        if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+            throw invalid('quality', 'must be a whole number from 1 to 100');
+        }
+    }
+
+    const cropRatio = isBlank(input.cropRatio) ? null : String(input.cropRatio);
+    if (cropRatio && !cropping.parseAspectRatio(cropRatio)) {
+        throw invalid('cropRatio', 'must be a ratio such as 16:9 or 1.5');
+    }
+    const cropStrategy = String(input.cropStrategy || 'attention').toLowerCase();
+    if (!cropping.STRATEGIES.includes(cropStrategy)) {
+        throw invalid('cropStrategy', `must be one of ${cropping.STRATEGIES.join(', ')}`);
+    }
+    const focalPoint = isBlank(input.focalPoint) ? null : cropping.parseFocalPoint(input.focalPoint);
+    if (!isBlank(input.focalPoint) && !focalPoint) {
+        throw invalid('focalPoint', 'must be x,y between 0 and 1 (or percentages)');
+    }
+
+    return {
+        width: parseDimension(input.width, 'width'),
+        height: parseDimension(input.height, 'height'),
+        fit,
+        format,
+        quality,
+        cropRatio,
+        cropStrategy,
+        focalPoint,
+        background: parseColour(input.background),
+        stripMetadata: parseBoolean(input.stripMetadata, 'stripMetadata', true)
+    };
+}
+
+// Validate and transform one image. Returns { buffer, format, mimeType,
+// width, height, bytes, crop, source, warnings }. Images are never enlarged:
+// a requested size bigger than the (cropped) source yields the source size.
+async function transformImage(buffer, options, { contentType } = {}) {
+    const validation = await pool.encode(() => imageValidation.validateImage(buffer, 'image', { contentType }));
+    if (!validation.width) {
+        throw new ImageValidationError('UNSUPPORTED_FORMAT', `${validation.format.toUpperCase()} files can't be transformed`,
+            { format: validation.format });
+    }
+
+    const metadata = await sharp(buffer).metadata();
+    const crop = options.cropRatio
+        ? await pool.encode(() => cropping.planCropToRatio(buffer, metadata, options.cropRatio, options.cropStrategy, options.focalPoint))
+        : null;
+
+    const { data, info } = await pool.encode(() => {
+        let image = sharp(buffer).rotate();
+        if (crop) {
+            image = image.extract(crop.box);
+        }
+        if (options.width || options.height) {
+            image = image.resize(options.width, options.height, {
+                fit: options.fit,
+                background: options.background || TRANSPARENT,
+                withoutEnlargement: true
+            });
+        }
+        // An explicit background also fills transparent areas; JPEG output
+        // is flattened onto white by the encoder otherwise
+        if (options.background || !ALPHA_FORMATS.includes(options.format)) {
+            image = image.flatten({ background: options.background || '#ffffff' });
+        }
+        if (!options.stripMetadata) {
+            image = image.keepMetadata();
+        }
+        return renditions.encode(image, options.format, options.quality).toBuffer({ resolveWithObject: true });
+    });
+
+    return {
+        buffer: data,
+        format: options.format,
+        mimeType: renditions.MIME_TYPES[options.format],
+        width: info.width,
+        height: info.height,
+        bytes: data.length,
+        crop: crop ? { aspectRatio: crop.aspectRatio, strategy: crop.strategy, focalPoint: crop.focalPoint, box: crop.box } : null,
+        source: {
+            format: validation.format,
+            width: validation.width,
+            height: validation.height,
+            bytes: buffer.length
+        },
+        warnings: validation.warnings
+    };
+}
+
+// Store a transformed image under uploads/, named by its content so the
+// same output is only stored once
+async function storeTransformed(result, name) {
+    const storage = getStorage();
+    if (!storage.isConfigured()) {
+        throw new Error(`Storage backend "${storage.name}" not configured`);
+    }
+
+    const hash = crypto.createHash('sha256').update(result.buffer).digest('hex').slice(0, 12);
+    const fileFormat = renditions.FILE_FORMATS[result.format];
+    const stored = await pool.upload(() => storage.upload(result.buffer, {
+        publicId: buildUploadId(name, hash),
+        format: fileFormat,
+        tags: ['joinphilly', 'transformed']
+    }));
+
+    return {
+        url: stored.url,
+        publicId: stored.publicId,
+        filename: `${name}-${hash}.${fileFormat}`,
+        storage: storage.name
+    };
+}
+
+module.exports = { MAX_DIMENSION, TransformError, parseOptions, transformImage, storeTransformed };
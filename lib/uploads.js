@@ -0,0 +1,292 @@
+// Images uploaded directly (loose files or a ZIP) instead of linked from the
+// form. Files are staged under data/uploads/<batch id>/ and handed to the
+// pipeline as `upload:<batch id>/<file name>` sources, so a job resumed after
+// a restart, or a later re-run, can still read them. A manifest (CSV or JSON,
+// uploaded alongside or as manifest.csv / manifest.json at the top of the
+// ZIP) says which club and role (hero, logo, gallery-N) each file is for.
+// Batches are swept after JOB_RETENTION_DAYS, like the jobs that use them.
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const { DATA_DIR } = require('./json-store');
+const { parseCSVRows } = require('./csv');
+const { normalizeHeader } = require('./column-mapping');
+const imageValidation = require('./image-validation');
+
+const UPLOADS_DIR = path.join(DATA_DIR, 'uploads');
+const UPLOAD_PREFIX = 'upload:';
+const MAX_FILES = parseInt(process.env.UPLOAD_MAX_FILES, 10) || 200;
+const MAX_TOTAL_BYTES = parseInt(process.env.UPLOAD_MAX_TOTAL_BYTES, 10) || 250 * 1024 * 1024;
+// The whole multipart request (images, ZIPs and manifest), with room for the
+// manifest and multipart framing on top of the images
+const MAX_REQUEST_BYTES = parseInt(process.env.UPLOAD_MAX_REQUEST_BYTES, 10) || MAX_TOTAL_BYTES + 10 * 1024 * 1024;
+const RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS, 10) || 7;
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif', '.avif', '.heic', '.heif', '.svg'];
+const MANIFEST_NAMES = ['manifest.csv', 'manifest.json'];
+
+// Manifest columns and the headers each may appear under
+const MANIFEST_COLUMNS = {
+    club: ['club', 'club name', 'name'],
+    role: ['role', 'type', 'image type'],
+    file: ['file', 'filename', 'file name'],
+    submissionId: ['submission id', 'submissionid'],
+    email: ['email'],
+    recordId: ['record id', 'recordid', 'airtable id', 'airtableid'],
+    focalPoint: ['focal point', 'focalpoint'],
+    caption: ['caption', 'alt text'],
+    category: ['category'],
+    neighborhood: ['neighborhood', 'neighbourhood'],
+    description: ['description']
+};
+
+class UploadError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'UploadError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+function isUploadRef(value) {
+    return typeof value === 'string' && value.startsWith(UPLOAD_PREFIX);
+}
+
+// Base name of an uploaded or zipped file; folders inside a ZIP are flattened
+function fileName(name) {
+    return path.posix.basename(String(name || '').replace(/\\/g, '/')).replace(/[\u0000-\u001f]/g, '').trim();
+}
+
+function fileKey(name) {
+    return fileName(name).toLowerCase();
+}
+
+function isImageFile(name) {
+    return IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+function uploadRef(batchId, name) {
+    return `${UPLOAD_PREFIX}${batchId}/${name}`;
+}
+
+// Path of a staged file, refusing refs that would escape its batch folder
+function resolveRef(ref) {
+    const [batchId, ...rest] = ref.slice(UPLOAD_PREFIX.length).split('/');
+    const name = rest.join('/');
+    if (!/^[\w-]+$/.test(batchId) || !name || name !== fileName(name) || name === '.' || name === '..') {
+        throw new UploadError('UPLOAD_INVALID', `Invalid upload reference: ${ref}`);
+    }
+    return path.join(UPLOADS_DIR, batchId, name);
+}
+
+async function readUpload(ref) {
+    try {
+        return await fs.readFile(resolveRef(ref));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new UploadError('UPLOAD_MISSING', `Uploaded file is no longer available: ${ref}`);
+        }
+        throw error;
+    }
+}
+
+// Inflate one ZIP entry, stopping as soon as it passes `maxBytes` so a
+// small archive can't expand into an enormous file
+function readEntry(entry, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const stream = entry.nodeStream('nodebuffer');
+        stream.on('data', chunk => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                stream.destroy();
+                reject(new UploadError('FILE_TOO_LARGE', `${fileName(entry.name)} is larger than the ${maxBytes} byte limit`,
+                    { file: fileName(entry.name), maxBytes }));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        stream.on('end', () => resolve(Buffer.concat(chunks, size)));
+        stream.on('error', reject);
+    });
+}
+
+// Gather images and the manifest from multer's files (on disk). ZIPs are
+// opened; anything that is neither an image nor a manifest is listed in
+// `skipped`. Returns { images: Map<lower-case name, { name, buffer }>,
+// manifest: { name, text } | null, skipped }.
+async function collectFiles(files, manifestFile) {
+    const images = new Map();
+    const skipped = [];
+    let manifest = null;
+    let totalBytes = 0;
+
+    const addImage = (name, buffer) => {
+        if (images.has(fileKey(name))) {
+            throw new UploadError('DUPLICATE_FILE', `More than one file is named ${name}`, { file: name });
+        }
+        if (images.size >= MAX_FILES) {
+            throw new UploadError('TOO_MANY_FILES', `At most ${MAX_FILES} images can be uploaded at once`, { maxFiles: MAX_FILES });
+        }
+        totalBytes += buffer.length;
+        if (totalBytes > MAX_TOTAL_BYTES) {
+            throw new UploadError('UPLOAD_TOO_LARGE', `Uploaded images add up to more than ${MAX_TOTAL_BYTES} bytes`, { maxBytes: MAX_TOTAL_BYTES });
+        }
+        images.set(fileKey(name), { name, buffer });
+    };
+
+    if (manifestFile) {
+        manifest = { name: fileName(manifestFile.originalname), text: await fs.readFile(manifestFile.path, 'utf-8') };
+    }
+
+    for (const file of files) {
+        const name = fileName(file.originalname);
+
+        if (path.extname(name).toLowerCase() === '.zip') {
+            let zip;
+            try {
+                zip = await JSZip.loadAsync(await fs.readFile(file.path));
+            } catch (error) {
+                throw new UploadError('ZIP_INVALID', `${name} could not be opened as a ZIP: ${error.message}`, { file: name });
+            }
+
+            for (const entry of Object.values(zip.files)) {
+                const entryName = fileName(entry.name);
+                if (entry.dir || entry.name.startsWith('__MACOSX/') || !entryName || entryName.startsWith('.')) continue;
+
+                if (MANIFEST_NAMES.includes(entryName.toLowerCase()) && !entry.name.includes('/')) {
+                    if (!manifest) {
+                        manifest = { name: entryName, text: (await readEntry(entry, MAX_TOTAL_BYTES)).toString('utf-8') };
+                    }
+                } else if (isImageFile(entryName)) {
+                    addImage(entryName, await readEntry(entry, imageValidation.config.maxBytes));
+                } else {
+                    skipped.push(`${name}/${entry.name}`);
+                }
+            }
+        } else if (MANIFEST_NAMES.includes(name.toLowerCase()) && !manifest) {
+            manifest = { name, text: await fs.readFile(file.path, 'utf-8') };
+        } else if (isImageFile(name)) {
+            addImage(name, await fs.readFile(file.path));
+        } else {
+            skipped.push(name);
+        }
+    }
+
+    return { images, manifest, skipped };
+}
+
+// Manifest rows as { row, club, role, file, submissionId, email, recordId,
+// focalPoint, caption, category, neighborhood, description }. CSV manifests have a header row; JSON manifests are an array
+// of objects with those keys (or { images: [...] }).
+function parseManifest(manifest) {
+    const isJson = manifest.name.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(manifest.text);
+    let rows;
+
+    if (isJson) {
+        let parsed;
+        try {
+            parsed = JSON.parse(manifest.text);
+        } catch (error) {
+            throw new UploadError('MANIFEST_INVALID', `${manifest.name} is not valid JSON: ${error.message}`);
+        }
+        const entries = Array.isArray(parsed) ? parsed : parsed && parsed.images;
+        if (!Array.isArray(entries)) {
+            throw new UploadError('MANIFEST_INVALID', `${manifest.name} must be an array of { club, role, file } entries`);
+        }
+        rows = entries.map((entry, index) => {
+            const row = { row: index + 1 };
+            for (const key of Object.keys(MANIFEST_COLUMNS)) {
+                const value = entry && entry[key];
+                if (value === undefined || value === null) {
+                    row[key] = '';
+                } else if (typeof value !== 'object') {
+                    row[key] = String(value).trim();
+                } else if (key === 'focalPoint' && !Array.isArray(value)) {
+                    // { x, y } as well as "x,y"
+                    row[key] = value;
+                } else {
+                    throw new UploadError('MANIFEST_INVALID', `${manifest.name} entry ${index + 1} has a ${Array.isArray(value) ? 'list' : 'object'} for ${key}, not text`,
+                        { row: index + 1, field: key });
+                }
+            }
+            return row;
+        });
+    } else {
+        const [headers = [], ...values] = parseCSVRows(manifest.text);
+        const columns = {};
+        headers.forEach((header, index) => {
+            const key = Object.keys(MANIFEST_COLUMNS).find(column => MANIFEST_COLUMNS[column].includes(normalizeHeader(header)));
+            if (key && columns[key] === undefined) columns[key] = index;
+        });
+
+        const missing = ['club', 'role', 'file'].filter(key => columns[key] === undefined);
+        if (missing.length > 0) {
+            throw new UploadError('MANIFEST_INVALID', `${manifest.name} is missing column(s): ${missing.join(', ')}`, { missing, headers });
+        }
+
+        // Spreadsheet row numbers, counting the header as row 1
+        rows = values.map((value, index) => {
+            const row = { row: index + 2 };
+            for (const key of Object.keys(MANIFEST_COLUMNS)) {
+                row[key] = columns[key] === undefined ? '' : String(value[columns[key]] || '').trim();
+            }
+            return row;
+        });
+    }
+
+    return rows;
+}
+
+// Write the images a batch uses under a new batch ID; returns the ID and a
+// function mapping a file name to its pipeline source
+async function stageBatch(images) {
+    const batchId = crypto.randomUUID();
+    const dir = path.join(UPLOADS_DIR, batchId);
+    await fs.mkdir(dir, { recursive: true });
+    for (const image of images) {
+        await fs.writeFile(path.join(dir, image.name), image.buffer);
+    }
+    return { batchId, sourceFor: name => uploadRef(batchId, name) };
+}
+
+async function removeBatch(batchId) {
+    if (!/^[\w-]+$/.test(batchId)) return;
+    await fs.rm(path.join(UPLOADS_DIR, batchId), { recursive: true, force: true });
+}
+
+// Remove staged batches older than the job retention period
+async function sweepUploads() {
+    let batches = [];
+    try {
+        batches = await fs.readdir(UPLOADS_DIR);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    for (const batchId of batches) {
+        const stats = await fs.stat(path.join(UPLOADS_DIR, batchId)).catch(() => null);
+        if (stats && stats.mtimeMs < cutoff) {
+            await removeBatch(batchId);
+        }
+    }
+}
+
+module.exports = {
+    MAX_FILES,
+    MAX_TOTAL_BYTES,
+    MAX_REQUEST_BYTES,
+    UploadError,
+    isUploadRef,
+    fileKey,
+    readUpload,
+    collectFiles,
+    parseManifest,
+    stageBatch,
+    removeBatch,
+    sweepUploads
+};
@@ -0,0 +1,109 @@
+// Shared concurrency limits for the image pipeline. Each stage (download,
+// sharp encode, upload) has its own limit, the number of images in flight is
+// capped to bound memory, and requests to any one source host are spaced out.
+const sharp = require('sharp');
+
+function readLimit(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return value > 0 ? value : fallback;
+}
+
+const limits = {
+    clubs: readLimit('CLUB_CONCURRENCY', 3),
+    images: readLimit('IMAGE_CONCURRENCY', 6),
+    download: readLimit('DOWNLOAD_CONCURRENCY', 4),
+    encode: readLimit('ENCODE_CONCURRENCY', 2),
+    upload: readLimit('UPLOAD_CONCURRENCY', 4),
+    hostRequestsPerSecond: readLimit('HOST_REQUESTS_PER_SECOND', 5)
+};
+
+// libvips threads per encode; with several encodes in parallel the default
+// (one per core) oversubscribes a small instance
+if (process.env.SHARP_CONCURRENCY) {
+    sharp.concurrency(readLimit('SHARP_CONCURRENCY', 1));
+}
+
+// Returns a function that runs async tasks with at most `concurrency` active
+function createLimiter(concurrency) {
+    const queue = [];
+    let active = 0;
+
+    const next = () => {
+        if (active >= concurrency || queue.length === 0) return;
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    const limit = task => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+    limit.stats = () => ({ active, queued: queue.length, concurrency });
+    return limit;
+}
+
+// Per-host spacing: each host gets a slot every 1/requestsPerSecond seconds
+function createHostRateLimiter(requestsPerSecond) {
+    const interval = 1000 / requestsPerSecond;
+    const nextSlot = new Map();
+
+    return function waitForHost(url) {
+        let host;
+        try {
+            host = new URL(url).host;
+        } catch (_) {
+            return Promise.resolve();
+        }
+
+        const now = Date.now();
+        const slot = Math.max(now, nextSlot.get(host) || 0);
+        nextSlot.set(host, slot + interval);
+
+        // Forget hosts that have gone quiet so the map does not grow forever
+        if (nextSlot.size > 1000) {
+            for (const [key, time] of nextSlot) {
+                if (time < now) nextSlot.delete(key);
+            }
+        }
+
+        return slot > now ? new Promise(resolve => setTimeout(resolve, slot - now)) : Promise.resolve();
+    };
+}
+
+const imageLimit = createLimiter(limits.images);
+const downloadLimit = createLimiter(limits.download);
+const encodeLimit = createLimiter(limits.encode);
+const uploadLimit = createLimiter(limits.upload);
+const waitForHost = createHostRateLimiter(limits.hostRequestsPerSecond);
+
+const pool = {
+    // Wraps the whole download/encode/upload pipeline for one image
+    image: task => imageLimit(task),
+    download: (url, task) => downloadLimit(async () => {
+        await waitForHost(url);
+        return task();
+    }),
+    encode: task => encodeLimit(task),
+    upload: task => uploadLimit(task),
+    stats: () => ({
+        images: imageLimit.stats(),
+        download: downloadLimit.stats(),
+        encode: encodeLimit.stats(),
+        upload: uploadLimit.stats()
+    })
+};
+
+// Map over items with at most `concurrency` in flight, keeping result order
+async function mapWithConcurrency(items, concurrency, fn) {
+    const limit = createLimiter(concurrency);
+    return Promise.all(items.map((item, index) => limit(() => fn(item, index))));
+}
+
+module.exports = { limits, pool, createLimiter, createHostRateLimiter, mapWithConcurrency };
@@ -0,0 +1,152 @@
+// A minimal ZIP writer that streams entries to a writable (an HTTP response)
+// as they are added, so an archive never has to be held in memory. Only one
+// entry's data is buffered at a time. Images are stored as-is (they are
+// already compressed); text entries can be deflated. Archives are limited to
+// 4 GB and 65535 entries (no ZIP64). JSZip can't be used here: it needs
+// every entry before it starts writing, while an export only learns whether a
+// file can be read when it gets to it, and leaves out the ones that can't.
+const zlib = require('zlib');
+const { once } = require('events');
+
+const MAX_OFFSET = 0xffffffff;
+const MAX_ENTRIES = 0xffff;
+// Bit 11: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+const VERSION = 20;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date fields
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+class ZipWriter {
+    constructor(output) {
+        this.output = output;
+        this.entries = [];
+        this.offset = 0;
+        this.names = new Set();
+    }
+
+    async write(chunk) {
+        if (this.output.destroyed) {
+            throw new Error('Output closed before the archive was finished');
+        }
+        this.offset += chunk.length;
+        if (!this.output.write(chunk)) {
+            await this.drained();
+        }
+    }
+
+    // Wait until the output takes more data. A client that disconnects closes
+    // the response without draining it, so 'close' ends the wait too.
+    async drained() {
+        const controller = new AbortController();
+        try {
+            await Promise.race([
+                once(this.output, 'drain', { signal: controller.signal }),
+                once(this.output, 'close', { signal: controller.signal }).then(() => {
+                    throw new Error('Output closed before the archive was finished');
+                })
+            ]);
+        } finally {
+            controller.abort();
+        }
+    }
+
+    // Add one file. `name` may include folders ("club/renditions/a.webp");
+    // a repeated name throws rather than producing an ambiguous archive.
+    async addFile(name, data, { compress = false, date = new Date() } = {}) {
+        const buffer = Buffer.isBuffer(data) ? data : Buffer.from(String(data));
+        if (this.names.has(name)) {
+            throw new Error(`Duplicate ZIP entry: ${name}`);
+        }
+        if (this.entries.length >= MAX_ENTRIES) {
+            throw new Error(`ZIP archives are limited to ${MAX_ENTRIES} entries`);
+        }
+
+        const body = compress ? zlib.deflateRawSync(buffer) : buffer;
+        const nameBuffer = Buffer.from(name, 'utf-8');
+        if (this.offset + 30 + nameBuffer.length + body.length > MAX_OFFSET) {
+            throw new Error('ZIP archive would be larger than 4 GB');
+        }
+
+        const entry = {
+            nameBuffer,
+            method: compress ? 8 : 0,
+            crc: crc32(buffer),
+            compressedSize: body.length,
+            size: buffer.length,
+            offset: this.offset,
+            ...dosDateTime(date)
+        };
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(VERSION, 4);
+        header.writeUInt16LE(UTF8_FLAG, 6);
+        header.writeUInt16LE(entry.method, 8);
+        header.writeUInt16LE(entry.time, 10);
+        header.writeUInt16LE(entry.date, 12);
+        header.writeUInt32LE(entry.crc, 14);
+        header.writeUInt32LE(entry.compressedSize, 18);
+        header.writeUInt32LE(entry.size, 22);
+        header.writeUInt16LE(nameBuffer.length, 26);
+        header.writeUInt16LE(0, 28);
+
+        this.names.add(name);
+        this.entries.push(entry);
+        await this.write(Buffer.concat([header, nameBuffer]));
+        await this.write(body);
+    }
+
+    // Write the central directory and end the output
+    async finish() {
+        const start = this.offset;
+        for (const entry of this.entries) {
+            const record = Buffer.alloc(46);
+            record.writeUInt32LE(0x02014b50, 0);
+            record.writeUInt16LE(VERSION, 4);
+            record.writeUInt16LE(VERSION, 6);
+            record.writeUInt16LE(UTF8_FLAG, 8);
+            record.writeUInt16LE(entry.method, 10);
+            record.writeUInt16LE(entry.time, 12);
+            record.writeUInt16LE(entry.date, 14);
+            record.writeUInt32LE(entry.crc, 16);
+            record.writeUInt32LE(entry.compressedSize, 20);
+            record.writeUInt32LE(entry.size, 24);
+            record.writeUInt16LE(entry.nameBuffer.length, 28);
+            record.writeUInt32LE(entry.offset, 42);
+            await this.write(Buffer.concat([record, entry.nameBuffer]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(this.entries.length, 8);
+        end.writeUInt16LE(this.entries.length, 10);
+        end.writeUInt32LE(this.offset - start, 12);
+        end.writeUInt32LE(start, 16);
+        await this.write(end);
+        this.output.end();
+    }
+}
+
+module.exports = { ZipWriter, crc32 };
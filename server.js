@@ -1,623 +1,1259 @@
 // Complete server.js with webhook endpoint for n8n integration
 const express = require('express');
 const multer = require('multer');
-const sharp = require('sharp');
-const fetch = require('node-fetch');
 const path = require('path');
 const fs = require('fs').promises;
 const cloudinary = require('cloudinary').v2;
-const JSZip = require('jszip');
+const sharp = require('sharp');
+const { DEFAULT_PROFILE_ID, listProfiles, loadProfile, saveProfile, resolveColumns } = require('./lib/column-mapping');
+const jobQueue = require('./lib/job-queue');
+const { pool, limits, mapWithConcurrency } = require('./lib/worker-pool');
+const { getStorage, drivers, buildPublicId } = require('./lib/storage');
+const cropping = require('./lib/cropping');
+const { isValidUrl, cleanClubName, imageLabel, processClub, reprocessImages, reprocessImage, mergeImageOutcome, downloadSource, clubPayload, MAX_GALLERY_IMAGES, UNFETCHABLE_URL_MESSAGE } = require('./lib/pipeline');
+const airtableFields = require('./lib/airtable-fields');
+const airtableClient = require('./lib/airtable-client');
+const needsReview = require('./lib/needs-review');
+const auth = require('./lib/auth');
+const callbacks = require('./lib/callbacks');
+const uploads = require('./lib/uploads');
+const { MAX_LENGTH: MAX_ALT_TEXT_LENGTH, normalizeDetails, normalizeCaptions } = require('./lib/alt-text');
+const imageManifest = require('./lib/image-manifest');
+const jobExport = require('./lib/job-export');
+const runHistory = require('./lib/run-history');
+const renditions = require('./lib/renditions');
+const { parseCSVRows } = require('./lib/csv');
+const { processImage } = require('./api/process-images');
+const { processBatch } = require('./api/process-batch');
+const { uploadFiles, processUploads } = require('./api/process-uploads');
+const { imageUpload, transformImage } = require('./api/transform-image');
+const { readFromAirtable, writeToAirtable } = require('./api/airtable-integrations');
+
+const localDriver = drivers.local;
 
 const app = express();
 const upload = multer({ dest: 'uploads/' });
 
-// Configure Cloudinary
-if (process.env.CLOUDINARY_URL) {
-    const cloudinaryUrl = process.env.CLOUDINARY_URL;
-    const urlParts = cloudinaryUrl.match(/cloudinary:\/\/(\d+):([^@]+)@(.+)/);
-    
-    if (urlParts) {
-        cloudinary.config({
-            cloud_name: urlParts[3],
-            api_key: urlParts[1],
-            api_secret: urlParts[2]
-        });
-    } else {
-        cloudinary.config(process.env.CLOUDINARY_URL);
-    }
-} else {
-    cloudinary.config({
-        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-        api_key: process.env.CLOUDINARY_API_KEY,
-        api_secret: process.env.CLOUDINARY_API_SECRET
-    });
-}
-
-// Serve static files
+// Serve static files. Stored images are mounted first so their headers
+// apply even when the local storage directory sits inside public/.
+app.use(localDriver.URL_PATH, express.static(localDriver.ROOT_DIR, {
+    maxAge: '7d',
+    setHeaders: (res, filePath) => {
+        // Stored SVG logos are sanitized, but never let one run script on our origin
+        if (filePath.endsWith('.svg')) {
+            res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'");
+        }
+    }
+}));
 app.use(express.static('public'));
-app.use(express.json());
-
-// Parse CSV with proper RFC 4180 compliant parsing
-function parseCSV(csvText) {
-    const rows = [];
-    let currentRow = [];
-    let currentField = '';
-    let inQuotes = false;
-    let i = 0;
-    
-    while (i < csvText.length) {
-        const char = csvText[i];
-        const nextChar = csvText[i + 1];
-        
-        if (char === '"') {
-            if (inQuotes && nextChar === '"') {
-                currentField += '"';
-                i += 2;
-                continue;
-            } else {
-                inQuotes = !inQuotes;
-            }
-        } else if (char === ',' && !inQuotes) {
-            currentRow.push(currentField);
-            currentField = '';
-        } else if ((char === '\n' || char === '\r') && !inQuotes) {
-            currentRow.push(currentField);
-            if (currentRow.length > 0 && currentRow.some(field => field.trim() !== '')) {
-                rows.push(currentRow);
-            }
-            currentRow = [];
-            currentField = '';
-            
-            if (char === '\r' && nextChar === '\n') {
-                i++;
-            }
+app.use(express.json({ verify: auth.captureRawBody }));
+
+// Every API route needs an API key or a signed request (lib/auth.js)
+app.use('/api', auth.requireAuth);
+
+// Build a club from one row of values laid out as `columns` describes.
+// Problems are added to `report`; returns null when the row can't be used.
+function rowToClub(values, columns, profile, report) {
+    const valueOf = key => {
+        const column = columns[key];
+        return column && values[column.index] !== undefined ? String(values[column.index]).trim() : '';
+    };
+    
+    const clubName = valueOf('name');
+    const heroImage = valueOf('hero');
+    const logoImage = valueOf('logo');
+    const galleryImages = valueOf('gallery');
+    report.name = clubName;
+    
+    const missingValues = Object.entries(profile.columns)
+        .filter(([key, column]) => column.required && !valueOf(key))
+        .map(([key]) => key);
+    
+    for (const key of missingValues) {
+        report.problems.push(`Missing required value for "${key}" (column "${columns[key].header}")`);
+    }
+    
+    if (heroImage && !isValidUrl(heroImage)) {
+        report.problems.push(`Invalid hero image URL: ${heroImage}`);
+    }
+    if (logoImage && !isValidUrl(logoImage)) {
+        report.problems.push(`Invalid logo image URL: ${logoImage}`);
+    }
+    
+    const club = {
+        name: cleanClubName(clubName),
+        originalName: clubName,
+        heroImage: (heroImage && isValidUrl(heroImage)) ? heroImage : null,
+        logoImage: (logoImage && isValidUrl(logoImage)) ? logoImage : null,
+        galleryImages: [],
+        submissionId: valueOf('submissionId'),
+        email: valueOf('email'),
+        details: normalizeDetails({
+            category: valueOf('category'),
+            neighborhood: valueOf('neighborhood'),
+            description: valueOf('description')
+        }),
+        // Optional alt text captions, gallery ones separated by ";"
+        captions: normalizeCaptions({
+            hero: valueOf('heroCaption'),
+            logo: valueOf('logoCaption'),
+            gallery: valueOf('galleryCaptions').split(';')
+        }),
+        rawData: values
+    };
+    
+    if (galleryImages) {
+        club.galleryImages = galleryImages.split(',').map(url => url.trim()).filter(url => url && isValidUrl(url));
+    }
+    
+    // Optional focal points: "x,y" per image, gallery ones separated by ";"
+    club.focalPoints = {};
+    const focalValues = [
+        ['hero', valueOf('heroFocalPoint')],
+        ['logo', valueOf('logoFocalPoint')],
+        ...valueOf('galleryFocalPoints').split(';').map((value, i) => [`gallery-${i+1}`, value.trim()])
+    ];
+    for (const [imageType, value] of focalValues) {
+        if (!value) continue;
+        const focalPoint = cropping.parseFocalPoint(value);
+        if (focalPoint) {
+            club.focalPoints[imageType] = focalPoint;
         } else {
-            currentField += char;
+            report.problems.push(`Ignoring invalid ${imageType} focal point "${value}" (expected "x,y" between 0 and 1)`);
         }
-        
-        i++;
     }
     
-    if (currentField !== '' || currentRow.length > 0) {
-        currentRow.push(currentField);
-        if (currentRow.length > 0 && currentRow.some(field => field.trim() !== '')) {
-            rows.push(currentRow);
-        }
+    const hasImages = club.heroImage || club.logoImage || club.galleryImages.length > 0;
+    if (!hasImages) {
+        report.problems.push('No valid image URLs');
+    }
+    
+    if (missingValues.length > 0 || !hasImages) {
+        report.status = 'skipped';
+        return null;
     }
     
-    if (rows.length < 1) return [];
+    return club;
+}
+
+// Map CSV rows to clubs by header name using a mapping profile. Returns the
+// clubs plus a per-row report; `missingColumns` is non-empty when a required
+// column could not be found in the header row at all.
+function parseCSV(csvText, profile) {
+    const rows = parseCSVRows(csvText);
+    
+    if (rows.length < 1) {
+        return { clubs: [], columns: {}, missingColumns: [], rowReport: [] };
+    }
     
     const headers = rows[0];
     console.log('CSV Headers found:', headers.length, 'columns');
     
+    const { columns, missing } = resolveColumns(headers, profile);
+    if (missing.length > 0) {
+        return { clubs: [], columns, missingColumns: missing, rowReport: [], headers };
+    }
+    
     const clubs = [];
+    const rowReport = [];
     
     for (let rowIndex = 1; rowIndex < rows.length; rowIndex++) {
-        const values = rows[rowIndex];
+        // Spreadsheet row number, counting the header as row 1
+        const report = { row: rowIndex + 1, name: '', status: 'included', problems: [] };
+        rowReport.push(report);
         
-        if (values.length < 30) {
-            console.log(`Row ${rowIndex} has only ${values.length} columns, skipping`);
-            continue;
+        const club = rowToClub(rows[rowIndex], columns, profile, report);
+        if (club) {
+            clubs.push(club);
+        } else {
+            console.log(`Row ${report.row} skipped: ${report.problems.join('; ')}`);
         }
-        
-        const clubName = values[10];
-        const heroImage = values[27];
-        const logoImage = values[28];
-        const galleryImages = values[29];
-        
-        if ((heroImage && isValidUrl(heroImage)) || 
-            (logoImage && isValidUrl(logoImage)) || 
-            (galleryImages && galleryImages.trim())) {
-            
-            const club = {
-                name: cleanClubName(clubName || 'Unknown Club'),
-                originalName: clubName,
-                heroImage: (heroImage && isValidUrl(heroImage)) ? heroImage : null,
-                logoImage: (logoImage && isValidUrl(logoImage)) ? logoImage : null,
-                galleryImages: [],
-                submissionId: values[0],
-                email: values[8],
-                rawData: values
-            };
-            
-            if (galleryImages && galleryImages.trim()) {
-                const galleryUrls = galleryImages.split(',').map(url => url.trim()).filter(url => url && isValidUrl(url));
-                club.galleryImages = galleryUrls;
-            }
-            
+    }
+    
+    return { clubs, columns, missingColumns: [], rowReport };
+}
+
+// Map Airtable records to clubs with the same mapping profile as CSVs, using
+// the field names as headers. Each club keeps its record ID so results are
+// written straight back to that record.
+function parseAirtableRecords(records, profile) {
+    const headers = [...new Set(records.flatMap(record => Object.keys(record.fields)))];
+    const { columns, missing } = resolveColumns(headers, profile);
+    if (missing.length > 0) {
+        return { clubs: [], columns, missingColumns: missing, rowReport: [], headers };
+    }
+    
+    const clubs = [];
+    const rowReport = [];
+    
+    for (const record of records) {
+        const report = { row: record.id, recordId: record.id, name: '', status: 'included', problems: [] };
+        rowReport.push(report);
+        
+        const values = headers.map(header => airtableClient.cellText(record.fields[header]));
+        const club = rowToClub(values, columns, profile, report);
+        if (club) {
+            club.recordId = record.id;
             clubs.push(club);
         }
     }
     
-    return clubs;
+    return { clubs, columns, missingColumns: [], rowReport };
+}
+
+// CSV column mapping profiles
+app.get('/api/mapping-profiles', async (req, res) => {
+    try {
+        const profiles = await listProfiles();
+        res.json({ success: true, defaultProfile: DEFAULT_PROFILE_ID, profiles });
+    } catch (error) {
+        console.error('Mapping profile list error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/mapping-profiles/:id', async (req, res) => {
+    try {
+        const profile = await loadProfile(req.params.id);
+        res.json({ success: true, profile });
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+app.post('/api/mapping-profiles', async (req, res) => {
+    try {
+        const profile = await saveProfile(req.body);
+        res.json({ success: true, profile });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Background handler for CSV uploads queued by /api/process-images
+// Process a job's clubs, skipping any finished before a restart, then write
+// all of them back to Airtable in batches. Updates are plain field writes,
+// so a job resumed after a restart simply repeats them. With `review`,
+// nothing is written: every image waits for approval on the review screen
+// and POST /api/jobs/:id/airtable writes the approved ones. Only upload jobs
+// pass `allowUploads`, so no other job can read staged files.
+async function processJobClubs(clubs, context, { review = false, allowUploads = false } = {}) {
+    const results = await mapWithConcurrency(clubs, limits.clubs, async (club, index) => {
+        if (context.isClubFinished(index)) {
+            return context.clubResult(index);
+        }
+        
+        await context.clubStarted(index);
+        const clubResult = await processClub(club, { allowUploads });
+        if (review) {
+            clubResult.processed.forEach(image => { image.review = 'pending'; });
+        }
+        await context.clubFinished(index, clubResult);
+        return clubResult;
+    });
+    
+    if (!review) {
+        await updateAirtableRecords(results);
+    }
+    return results;
+}
+
+function countNeedsReview(results) {
+    return results.filter(result => result.airtableUpdate && result.airtableUpdate.needsReview).length;
 }
 
-function isValidUrl(string) {
+// Every queued run goes into the run history (lib/run-history.js), and is
+// stored again whenever its results are edited afterwards
+jobQueue.onJobFinished(job => runHistory.recordJob(job));
+
+jobQueue.registerHandler('csv', async (job, context) => {
+    const { clubs, mappingProfile, columns, rowReport, review } = job.input;
+    const results = await processJobClubs(clubs, context, { review });
+    
+    return {
+        success: true,
+        review: Boolean(review),
+        clubsProcessed: results.length,
+        needsReview: countNeedsReview(results),
+        mappingProfile,
+        columns,
+        rowReport,
+        results
+    };
+});
+
+jobQueue.registerHandler('airtable', async (job, context) => {
+    const { clubs, mappingProfile, columns, rowReport, review } = job.input;
+    const results = await processJobClubs(clubs, context, { review });
+    
+    return {
+        success: true,
+        source: 'airtable',
+        review: Boolean(review),
+        clubsProcessed: results.length,
+        needsReview: countNeedsReview(results),
+        mappingProfile,
+        columns,
+        rowReport,
+        results
+    };
+});
+
+jobQueue.registerHandler('batch', async (job, context) => {
+    const { clubs, rowReport } = job.input;
+    const results = await processJobClubs(clubs, context);
+    
+    return {
+        success: true,
+        source: 'batch',
+        clubsProcessed: results.length,
+        needsReview: countNeedsReview(results),
+        rowReport,
+        results
+    };
+});
+
+// Directly uploaded images (api/process-uploads.js). The staged files are
+// kept until the retention sweep so the job can resume after a restart.
+jobQueue.registerHandler('upload', async (job, context) => {
+    const { clubs, batchId, rowReport, unusedFiles, skippedFiles, review } = job.input;
+    const results = await processJobClubs(clubs, context, { review, allowUploads: true });
+    
+    return {
+        success: true,
+        source: 'upload',
+        review: Boolean(review),
+        batchId,
+        clubsProcessed: results.length,
+        needsReview: countNeedsReview(results),
+        rowReport,
+        unusedFiles,
+        skippedFiles,
+        results
+    };
+});
+
+// Check the Airtable field mapping before any work starts. Returns null when
+// Airtable is not configured or the mapping is fine, otherwise the error
+// response to send.
+async function checkAirtableMapping() {
+    const settings = airtableFields.settingsFromEnv();
+    if (!settings) return null;
+    
     try {
-        new URL(string);
-        return true;
-    } catch (_) {
-        return false;
+        const validation = await airtableFields.ensureValidMapping(settings);
+        if (validation.unverified.length > 0) {
+            console.log('Airtable columns not seen in sampled records (may be empty):', validation.unverified.join(', '));
+        }
+        if (validation.valid) return null;
+        
+        return {
+            status: 422,
+            body: { error: airtableFields.describeValidation(validation), airtableFields: validation }
+        };
+    } catch (error) {
+        return {
+            status: 502,
+            body: { error: `Could not check Airtable fields: ${error.message}` }
+        };
     }
 }
 
-function cleanClubName(name) {
-    return name
-        .replace(/[^\w\s-]/g, '')
-        .replace(/\s+/g, '-')
-        .toLowerCase()
-        .substring(0, 50);
+// checkAirtableMapping as route middleware
+async function requireAirtableMapping(req, res, next) {
+    try {
+        const airtableCheck = await checkAirtableMapping();
+        if (airtableCheck) {
+            return res.status(airtableCheck.status).json(airtableCheck.body);
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
 }
 
-// EXISTING CSV UPLOAD ENDPOINT - unchanged, keeps working
+// CSV upload endpoint - parses the CSV, queues a job and returns its ID;
+// poll GET /api/jobs/:id for progress and results
 app.post('/api/process-images', upload.single('csvFile'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No CSV file uploaded' });
         }
         
+        let profile;
+        try {
+            profile = await loadProfile(req.body.mappingProfile || DEFAULT_PROFILE_ID);
+        } catch (error) {
+            await fs.unlink(req.file.path);
+            return res.status(400).json({ error: error.message });
+        }
+        
         const csvContent = await fs.readFile(req.file.path, 'utf-8');
-        const clubs = parseCSV(csvContent);
+        await fs.unlink(req.file.path);
+        const { clubs, columns, missingColumns, rowReport, headers } = parseCSV(csvContent, profile);
+        
+        if (missingColumns.length > 0) {
+            return res.status(400).json({
+                error: `Required CSV columns not found: ${missingColumns.join(', ')}`,
+                mappingProfile: profile.id,
+                missingColumns,
+                columns,
+                headers
+            });
+        }
         
         console.log(`Found ${clubs.length} clubs with images`);
         
         if (clubs.length === 0) {
-            return res.status(400).json({ error: 'No clubs with images found in CSV' });
+            return res.status(400).json({
+                error: 'No clubs with images found in CSV',
+                mappingProfile: profile.id,
+                columns,
+                rowReport
+            });
         }
         
-        const results = [];
+        const airtableCheck = await checkAirtableMapping();
+        if (airtableCheck) {
+            return res.status(airtableCheck.status).json(airtableCheck.body);
+        }
         
-        for (const club of clubs) {
-            console.log(`Processing club: ${club.name}`);
-            const clubResult = {
-                name: club.originalName,
-                cleanName: club.name,
-                submissionId: club.submissionId,
-                email: club.email,
-                processed: [],
-                errors: [],
-                cloudinaryUrls: [],
-                airtableUpdate: null
-            };
-            
-            if (club.heroImage) {
-                try {
-                    const processed = await processImageToCloudinary(club.heroImage, club.name, 'hero', 1600);
-                    clubResult.processed.push(processed);
-                    clubResult.cloudinaryUrls.push(processed.cloudinaryUrl);
-                } catch (error) {
-                    console.error(`Hero image error for ${club.name}:`, error.message);
-                    clubResult.errors.push(`Hero image: ${error.message}`);
-                }
-            }
-            
-            if (club.logoImage) {
-                try {
-                    const processed = await processImageToCloudinary(club.logoImage, club.name, 'logo', 400);
-                    clubResult.processed.push(processed);
-                    clubResult.cloudinaryUrls.push(processed.cloudinaryUrl);
-                } catch (error) {
-                    console.error(`Logo image error for ${club.name}:`, error.message);
-                    clubResult.errors.push(`Logo image: ${error.message}`);
-                }
-            }
-            
-            for (let i = 0; i < club.galleryImages.length && i < 4; i++) {
-                const galleryUrl = club.galleryImages[i];
-                if (galleryUrl) {
-                    try {
-                        const processed = await processImageToCloudinary(galleryUrl, club.name, `gallery-${i+1}`, 1200);
-                        clubResult.processed.push(processed);
-                        clubResult.cloudinaryUrls.push(processed.cloudinaryUrl);
-                    } catch (error) {
-                        console.error(`Gallery image ${i+1} error for ${club.name}:`, error.message);
-                        clubResult.errors.push(`Gallery image ${i+1}: ${error.message}`);
-                    }
-                }
-            }
+        const job = await jobQueue.enqueue(
+            'csv',
+            { clubs, mappingProfile: profile.id, columns, rowReport, review: req.body.review === 'true', fileName: req.file.originalname },
+            clubs.map(club => club.originalName),
+            { triggeredBy: auth.describeCaller(req) }
+        );
+        
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            clubsQueued: clubs.length,
+            mappingProfile: profile.id,
+            rowReport
+        });
+        
+    } catch (error) {
+        console.error('Processing error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/jobs/:id', async (req, res) => {
+    try {
+        const job = await jobQueue.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json({ success: true, job: jobQueue.describeJob(job) });
+    } catch (error) {
+        console.error('Job lookup error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Save alt text edited in the results UI: { club (index into the results),
+// type, altText }. The job's result is updated, the image manifest keeps the
+// text for later runs of the same source, and a club already written to
+// Airtable has its alt text columns updated in place.
+app.put('/api/jobs/:id/alt-text', async (req, res) => {
+    try {
+        const { club, type } = req.body;
+        const altText = typeof req.body.altText === 'string' ? req.body.altText.replace(/\s+/g, ' ').trim() : '';
+        if (!altText || altText.length > MAX_ALT_TEXT_LENGTH) {
+            return res.status(400).json({ error: `altText must be 1 to ${MAX_ALT_TEXT_LENGTH} characters` });
+        }
+        
+        const job = await jobQueue.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (!job.result) {
+            return res.status(409).json({ error: `Job is ${job.status}; alt text can be edited once it has results` });
+        }
+        
+        const edited = await jobQueue.updateFinishedJob(job.id, stored => {
+            const clubResult = stored.result.results && stored.result.results[club];
+            const image = clubResult && clubResult.processed.find(processed => processed.type === type);
+            if (!image) return { clubResult, image };
             
-            results.push(clubResult);
-        }
-        
-        if (process.env.AIRTABLE_BASE_ID && process.env.AIRTABLE_TABLE_NAME && process.env.AIRTABLE_TOKEN) {
-            console.log('Attempting to update Airtable records...');
-            for (const result of results) {
-                if (result.processed.length > 0) {
-                    try {
-                        const airtableUpdate = await updateAirtableRecord(result);
-                        result.airtableUpdate = airtableUpdate;
-                    } catch (error) {
-                        console.error(`Failed to update Airtable for ${result.name}:`, error.message);
-                        result.errors.push(`Airtable update failed: ${error.message}`);
-                    }
-                }
+            image.altText = altText;
+            image.altTextEdited = true;
+            if (image.renditions) {
+                image.pictureHtml = renditions.buildPictureHtml(image.renditions, altText, image.type, image.vector);
             }
+            return { clubResult, image };
+        });
+        if (!edited.image) {
+            return res.status(404).json({ error: `No processed ${type} image for that club` });
         }
         
-        await fs.unlink(req.file.path);
+        await imageManifest.setEditedAltText(edited.image.publicId, altText);
+        
+        let airtableUpdate = null;
+        const settings = airtableFields.settingsFromEnv();
+        const written = edited.clubResult.airtableUpdate;
+        if (settings && written && written.success) {
+            const [outcome] = await airtableClient.syncRecords(settings, [{
+                recordId: written.recordId,
+                fields: airtableFields.buildFieldUpdates([edited.image], ['altText', 'pictureHtml'])
+            }], airtableFields.mapping.match);
+            airtableUpdate = { success: outcome.success, recordId: outcome.recordId, error: outcome.error };
+        }
+        runHistory.recordEvent(job.id, 'alt-text.edited', auth.describeCaller(req), {
+            club: edited.clubResult.name,
+            type,
+            altText,
+            airtableUpdated: airtableUpdate ? airtableUpdate.success : false
+        });
         
         res.json({
             success: true,
-            clubsProcessed: results.length,
-            results: results
+            image: { type: edited.image.type, altText, pictureHtml: edited.image.pictureHtml },
+            airtableUpdate
+        });
+    } catch (error) {
+        console.error('Alt text update error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+// Longest edge of the source previews shown on the review screen
+const PREVIEW_SIZE = 320;
+
+// Look up a finished job for the review routes, sending the error response
+// and returning null when it can't be reviewed
+async function reviewableJob(req, res) {
+    const job = await jobQueue.getJob(req.params.id);
+    if (!job) {
+        res.status(404).json({ error: 'Job not found' });
+        return null;
+    }
+    if (!job.result || !Array.isArray(job.result.results)) {
+        res.status(409).json({ error: `Job is ${job.status}; it can be reviewed once it has results` });
+        return null;
+    }
+    return job;
+}
+
+// Approve or reject one image of a review-mode job: { club, type, status }
+// with status 'approved', 'rejected' or 'pending'. Nothing is written to
+// Airtable until POST /api/jobs/:id/airtable.
+app.put('/api/jobs/:id/review', async (req, res) => {
+    try {
+        const { club, type, status } = req.body;
+        if (!REVIEW_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of ${REVIEW_STATUSES.join(', ')}` });
+        }
+        
+        const job = await reviewableJob(req, res);
+        if (!job) return;
+        
+        const image = await jobQueue.updateFinishedJob(job.id, stored => {
+            const clubResult = stored.result.results[club];
+            const processed = clubResult && clubResult.processed.find(candidate => candidate.type === type);
+            if (processed) processed.review = status;
+            return processed;
         });
+        if (!image) {
+            return res.status(404).json({ error: `No processed ${type} image for that club` });
+        }
+        runHistory.recordEvent(job.id, 'review.updated', auth.describeCaller(req), { club: job.clubs[club].name, type, status });
         
+        res.json({ success: true, image: { type: image.type, review: image.review } });
     } catch (error) {
-        console.error('Processing error:', error);
+        console.error('Review update error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// NEW: Webhook endpoint for n8n integration - handles cleaned data from n8n Code node
-app.post('/api/process-webhook', async (req, res) => {
+// Process one image of a job again: { club, type, focalPoint, cropStrategy,
+// quality }, all but club and type optional. The new outcome replaces the
+// old one in the job's results and goes back to 'pending' review; the club's
+// Airtable record is not touched.
+app.post('/api/jobs/:id/reprocess', async (req, res) => {
     try {
-        console.log('Received webhook data from n8n:', JSON.stringify(req.body, null, 2));
+        const { club, type } = req.body;
+        const overrides = {};
         
-        // Data comes cleaned from n8n Code node
-        const clubData = req.body;
+        if (req.body.focalPoint) {
+            overrides.focalPoint = cropping.parseFocalPoint(req.body.focalPoint);
+            if (!overrides.focalPoint) {
+                return res.status(400).json({ error: 'focalPoint must be "x,y" between 0 and 1' });
+            }
+        }
+        if (req.body.cropStrategy) {
+            if (!cropping.STRATEGIES.includes(req.body.cropStrategy)) {
+                return res.status(400).json({ error: `cropStrategy must be one of ${cropping.STRATEGIES.join(', ')}` });
+            }
+            overrides.cropStrategy = req.body.cropStrategy;
+        }
+        if (req.body.quality !== undefined && req.body.quality !== null && req.body.quality !== '') {
+            overrides.quality = Number(req.body.quality);
+            if (!Number.isInteger(overrides.quality) || overrides.quality < 1 || overrides.quality > 100) {
+                return res.status(400).json({ error: 'quality must be a whole number from 1 to 100' });
+            }
+        }
         
-        // Validate we have required data
-        if (!clubData.clubName) {
-            return res.status(400).json({ 
-                error: 'Missing required field: clubName',
-                receivedData: clubData 
-            });
+        const job = await reviewableJob(req, res);
+        if (!job) return;
+        
+        const source = job.input && job.input.clubs && job.input.clubs[club];
+        if (!source) {
+            return res.status(404).json({ error: 'No such club in this job' });
         }
         
-        // Validate that we have at least one image
-        if (!clubData.heroImageUrl && !clubData.logoImageUrl && !clubData.galleryImageUrls) {
-            return res.status(400).json({ 
-                error: 'No images found in submission',
-                receivedData: clubData 
-            });
+        const outcome = await reprocessImage(source, type, overrides, { allowUploads: job.type === 'upload' });
+        if (!outcome) {
+            return res.status(404).json({ error: `That club has no ${type} image` });
         }
         
-        console.log('Processing club:', clubData.clubName);
+        const clubResult = await jobQueue.updateFinishedJob(job.id, stored => {
+            const merged = mergeImageOutcome(stored.result.results[club], type, outcome);
+            const image = merged.processed.find(processed => processed.type === type);
+            if (image && stored.result.review) image.review = 'pending';
+            
+            jobQueue.summarizeClub(stored.clubs[club], merged);
+            return merged;
+        });
+        runHistory.recordEvent(job.id, 'image.reprocessed', auth.describeCaller(req), {
+            club: clubResult.name,
+            type,
+            overrides,
+            success: outcome.processed.length > 0,
+            errors: outcome.errors
+        });
         
-        // Create result object
-        const clubResult = {
-            name: clubData.clubName,
-            cleanName: cleanClubName(clubData.clubName),
-            submissionId: clubData.submissionId || '',
-            email: clubData.email || '',
-            processed: [],
-            errors: [],
-            cloudinaryUrls: [],
-            airtableUpdate: null
-        };
+        res.json({
+            success: outcome.processed.length > 0,
+            image: outcome.processed[0] || null,
+            errors: outcome.errors,
+            club: clubPayload(clubResult)
+        });
+    } catch (error) {
+        console.error('Reprocess error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Small preview of an image's source (?club=&type=) for before/after
+// comparison on the review screen
+app.get('/api/jobs/:id/preview', async (req, res) => {
+    try {
+        const job = await reviewableJob(req, res);
+        if (!job) return;
+        
+        const club = job.input && job.input.clubs && job.input.clubs[req.query.club];
+        const type = String(req.query.type || '');
+        const sourceUrl = club && (type === 'hero' ? club.heroImage
+            : type === 'logo' ? club.logoImage
+            : /^gallery-\d+$/.test(type) ? (club.galleryImages || [])[parseInt(type.split('-')[1], 10) - 1]
+            : null);
+        if (!sourceUrl) {
+            return res.status(404).json({ error: 'No source image for that club and type' });
+        }
         
-        // Process hero image
-        if (clubData.heroImageUrl && isValidUrl(clubData.heroImageUrl)) {
-            try {
-                console.log('Processing hero image:', clubData.heroImageUrl);
-                const processed = await processImageToCloudinary(
-                    clubData.heroImageUrl, 
-                    clubResult.cleanName, 
-                    'hero', 
-                    1600
-                );
-                clubResult.processed.push(processed);
-                clubResult.cloudinaryUrls.push(processed.cloudinaryUrl);
-            } catch (error) {
-                console.error(`Hero image error: ${error.message}`);
-                clubResult.errors.push(`Hero image: ${error.message}`);
-            }
+        const { buffer } = await downloadSource(sourceUrl, null, null, { allowUploads: job.type === 'upload' });
+        const preview = await pool.encode(() => sharp(buffer)
+            .rotate()
+            .resize(PREVIEW_SIZE, PREVIEW_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: 70 })
+            .toBuffer());
+        
+        res.type('image/webp').set('Cache-Control', 'private, max-age=3600').send(preview);
+    } catch (error) {
+        console.error('Preview error:', error);
+        res.status(502).json({ error: error.message });
+    }
+});
+
+// Write a review-mode job's approved images to Airtable. Only clubs with
+// newly approved images are updated, and they are sent together with the
+// ones written earlier so multi-image fields (gallery) stay complete. Images
+// written are marked 'written'. The write holds the job's update lock (see
+// jobQueue.updateFinishedJob), so review clicks made meanwhile are applied
+// after it instead of being overwritten.
+app.post('/api/jobs/:id/airtable', async (req, res) => {
+    try {
+        if (!airtableFields.settingsFromEnv()) {
+            return res.status(400).json({ error: 'Airtable is not configured' });
         }
         
-        // Process logo image
-        if (clubData.logoImageUrl && isValidUrl(clubData.logoImageUrl)) {
-            try {
-                console.log('Processing logo image:', clubData.logoImageUrl);
-                const processed = await processImageToCloudinary(
-                    clubData.logoImageUrl, 
-                    clubResult.cleanName, 
-                    'logo', 
-                    400
-                );
-                clubResult.processed.push(processed);
-                clubResult.cloudinaryUrls.push(processed.cloudinaryUrl);
-            } catch (error) {
-                console.error(`Logo image error: ${error.message}`);
-                clubResult.errors.push(`Logo image: ${error.message}`);
-            }
+        const job = await reviewableJob(req, res);
+        if (!job) return;
+        if (!job.result.review) {
+            return res.status(409).json({ error: 'Only jobs run in review mode are written from the review screen' });
         }
         
-        // Process gallery images
-        if (clubData.galleryImageUrls) {
-            let galleryUrls = [];
-            
-            // Handle if it's already an array or if it's a comma-separated string
-            if (Array.isArray(clubData.galleryImageUrls)) {
-                galleryUrls = clubData.galleryImageUrls;
-            } else if (typeof clubData.galleryImageUrls === 'string') {
-                galleryUrls = clubData.galleryImageUrls
-                    .split(',')
-                    .map(url => url.trim())
-                    .filter(url => url && isValidUrl(url));
-            }
-            
-            for (let i = 0; i < galleryUrls.length && i < 4; i++) {
-                if (galleryUrls[i] && isValidUrl(galleryUrls[i])) {
-                    try {
-                        console.log(`Processing gallery image ${i+1}:`, galleryUrls[i]);
-                        const processed = await processImageToCloudinary(
-                            galleryUrls[i], 
-                            clubResult.cleanName, 
-                            `gallery-${i+1}`, 
-                            1200
-                        );
-                        clubResult.processed.push(processed);
-                        clubResult.cloudinaryUrls.push(processed.cloudinaryUrl);
-                    } catch (error) {
-                        console.error(`Gallery image ${i+1} error: ${error.message}`);
-                        clubResult.errors.push(`Gallery image ${i+1}: ${error.message}`);
-                    }
+        const approved = clubResult => clubResult.processed.some(image => image.review === 'approved')
+            ? clubResult.processed.filter(image => image.review === 'approved' || image.review === 'written')
+            : [];
+        const results = await jobQueue.updateFinishedJob(job.id, async stored => {
+            const clubResults = stored.result.results;
+            await updateAirtableRecords(clubResults, approved);
+            for (const clubResult of clubResults) {
+                if (clubResult.airtableUpdate && clubResult.airtableUpdate.success) {
+                    approved(clubResult).forEach(image => { image.review = 'written'; });
                 }
             }
+            stored.result.needsReview = countNeedsReview(clubResults);
+            return clubResults;
+        });
+        runHistory.recordEvent(job.id, 'airtable.written', auth.describeCaller(req), {
+            clubs: results.filter(clubResult => clubResult.airtableUpdate).map(clubResult => ({
+                club: clubResult.name,
+                recordId: clubResult.airtableUpdate.recordId || null,
+                success: clubResult.airtableUpdate.success
+            }))
+        });
+        
+        res.json({
+            success: true,
+            clubs: results.map(clubResult => ({
+                clubName: clubResult.name,
+                airtableUpdate: clubResult.airtableUpdate
+            })),
+            needsReview: countNeedsReview(results)
+        });
+    } catch (error) {
+        console.error('Review Airtable write error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// The image types of a club result that failed, from its structured
+// failures or, for results stored before those existed, its error strings
+function failedImageTypes(clubResult, retryableOnly) {
+    if (clubResult.failures) {
+        return [...new Set(clubResult.failures
+            .filter(failure => failure.image && (!retryableOnly || failure.retryable))
+            .map(failure => failure.image))];
+    }
+    if (retryableOnly) return [];
+    const types = ['hero', 'logo', ...Array.from({ length: MAX_GALLERY_IMAGES }, (_, i) => `gallery-${i + 1}`)];
+    return types.filter(type => clubResult.errors.some(error => error.startsWith(`${imageLabel(type)}:`)));
+}
+
+// Re-run only the failed images of a finished run; { retryableOnly: true }
+// limits it to failures marked retryable (timeouts, dropped connections,
+// server errors). Outcomes are merged into the run's results. Outside review
+// mode, clubs with newly processed images, or whose Airtable write failed
+// for a retryable reason, are written to Airtable again; in review mode the
+// new images wait for approval like any other.
+app.post('/api/jobs/:id/retry-failed', async (req, res) => {
+    try {
+        const retryableOnly = req.body.retryableOnly === true || req.body.retryableOnly === 'true';
+        
+        const job = await reviewableJob(req, res);
+        if (!job) return;
+        
+        const sources = job.input && job.input.clubs;
+        if (!Array.isArray(sources)) {
+            return res.status(409).json({ error: 'This run has no club sources to retry from' });
+        }
+        
+        const review = Boolean(job.result.review);
+        const plan = job.result.results.map((clubResult, index) => ({
+            index,
+            types: failedImageTypes(clubResult, retryableOnly),
+            airtable: !review && (clubResult.failures || []).some(failure => failure.stage === 'airtable' && failure.retryable)
+        })).filter(entry => sources[entry.index] && (entry.types.length > 0 || entry.airtable));
+        if (plan.length === 0) {
+            return res.status(409).json({ error: `This run has no ${retryableOnly ? 'retryable ' : ''}failures to retry` });
         }
         
-        // Update Airtable if configured
-        if (process.env.AIRTABLE_BASE_ID && process.env.AIRTABLE_TABLE_NAME && process.env.AIRTABLE_TOKEN) {
-            if (clubResult.processed.length > 0) {
-                try {
-                    console.log('Updating Airtable record...');
-                    const airtableUpdate = await updateAirtableRecord(clubResult);
-                    clubResult.airtableUpdate = airtableUpdate;
-                } catch (error) {
-                    console.error(`Airtable update failed: ${error.message}`);
-                    clubResult.errors.push(`Airtable update failed: ${error.message}`);
+        const outcomes = await mapWithConcurrency(plan, limits.clubs, entry =>
+            entry.types.length > 0
+                ? reprocessImages(sources[entry.index], entry.types, {}, { allowUploads: job.type === 'upload' })
+                : null);
+        
+        const retried = await jobQueue.updateFinishedJob(job.id, async stored => {
+            const clubResults = stored.result.results;
+            const touched = plan.map((entry, position) => {
+                const clubResult = clubResults[entry.index];
+                const outcome = outcomes[position];
+                if (outcome) {
+                    mergeImageOutcome(clubResult, entry.types, outcome);
+                    if (review) {
+                        clubResult.processed
+                            .filter(image => entry.types.includes(image.type))
+                            .forEach(image => { image.review = 'pending'; });
+                    }
                 }
+                return { entry, clubResult, outcome };
+            });
+            
+            if (!review) {
+                await updateAirtableRecords(touched
+                    .filter(({ entry, outcome }) => entry.airtable || (outcome && outcome.processed.length > 0))
+                    .map(({ clubResult }) => clubResult));
+                stored.result.needsReview = countNeedsReview(clubResults);
             }
-        }
+            touched.forEach(({ entry, clubResult }) => jobQueue.summarizeClub(stored.clubs[entry.index], clubResult));
+            return touched;
+        });
         
-        console.log('Webhook processing complete:', {
+        const clubs = retried.map(({ entry, clubResult, outcome }) => ({
             clubName: clubResult.name,
-            imagesProcessed: clubResult.processed.length,
-            errors: clubResult.errors.length
+            retried: entry.types,
+            recovered: outcome ? outcome.processed.map(image => image.type) : [],
+            failures: clubResult.failures,
+            airtableUpdated: clubResult.airtableUpdate ? clubResult.airtableUpdate.success : false
+        }));
+        runHistory.recordEvent(job.id, 'images.retried', auth.describeCaller(req), {
+            retryableOnly,
+            clubs: clubs.map(club => ({
+                club: club.clubName,
+                retried: club.retried,
+                recovered: club.recovered,
+                stillFailing: club.failures.length
+            }))
         });
         
         res.json({
             success: true,
-            message: 'Images processed successfully via webhook',
-            clubName: clubResult.name,
-            imagesProcessed: clubResult.processed.length,
-            processedImages: clubResult.processed.map(p => ({
-                type: p.type,
-                url: p.cloudinaryUrl,
-                altText: p.altText
+            retried: clubs.reduce((sum, club) => sum + club.retried.length, 0),
+            recovered: clubs.reduce((sum, club) => sum + club.recovered.length, 0),
+            stillFailing: clubs.reduce((sum, club) => sum + club.failures.length, 0),
+            clubs
+        });
+    } catch (error) {
+        console.error('Retry failed images error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Records still needing processing, when no view or formula is given: those
+// whose first mapped URL column (the hero URL by default) is empty
+function defaultPendingFormula() {
+    if (process.env.AIRTABLE_PENDING_FORMULA) return process.env.AIRTABLE_PENDING_FORMULA;
+    const urlField = airtableFields.mapping.fields.find(entry => entry.value === 'url');
+    return urlField ? `NOT({${urlField.field}})` : '';
+}
+
+const AIRTABLE_PENDING_LIMIT = parseInt(process.env.AIRTABLE_PENDING_LIMIT, 10) || 500;
+
+// List Airtable records that need processing, filtered by a view and/or a
+// formula, mapped to clubs with the same profile as CSV uploads
+app.get('/api/airtable/pending', async (req, res) => {
+    try {
+        const settings = airtableFields.settingsFromEnv();
+        if (!settings) {
+            return res.status(400).json({ error: 'Airtable not configured' });
+        }
+        
+        const profile = await loadProfile(req.query.mappingProfile || DEFAULT_PROFILE_ID);
+        const view = req.query.view || process.env.AIRTABLE_PENDING_VIEW || '';
+        const filterByFormula = req.query.formula !== undefined ? req.query.formula : (view ? '' : defaultPendingFormula());
+        
+        const records = await airtableClient.listRecords(settings, {
+            view,
+            filterByFormula,
+            maxRecords: AIRTABLE_PENDING_LIMIT
+        });
+        const { clubs, columns, missingColumns, rowReport, headers } = parseAirtableRecords(records, profile);
+        
+        res.json({
+            success: true,
+            view,
+            filterByFormula,
+            mappingProfile: profile.id,
+            recordCount: records.length,
+            truncated: records.length >= AIRTABLE_PENDING_LIMIT,
+            clubs: clubs.map(club => ({
+                recordId: club.recordId,
+                name: club.originalName,
+                submissionId: club.submissionId,
+                email: club.email,
+                hero: Boolean(club.heroImage),
+                logo: Boolean(club.logoImage),
+                gallery: club.galleryImages.length
             })),
-            errors: clubResult.errors,
-            airtableUpdated: clubResult.airtableUpdate ? clubResult.airtableUpdate.success : false
+            columns,
+            missingColumns,
+            rowReport,
+            headers
         });
         
     } catch (error) {
-        console.error('Webhook processing error:', error);
-        res.status(500).json({ 
-            error: error.message,
-            receivedData: req.body 
-        });
+        console.error('Airtable listing error:', error);
+        res.status(error instanceof airtableClient.AirtableError ? 502 : 500).json({ error: error.message });
     }
 });
 
-// Image processing function using Sharp + Cloudinary
-async function processImageToCloudinary(imageUrl, clubName, imageType, targetWidth) {
+// Queue processing for picked Airtable records; results are written back to
+// the same records. Poll GET /api/jobs/:id like a CSV upload.
+app.post('/api/airtable/process', async (req, res) => {
     try {
-        console.log(`Processing ${imageType} for ${clubName}: ${imageUrl}`);
-        
-        if (!process.env.CLOUDINARY_URL && (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET)) {
-            throw new Error('Cloudinary not configured');
+        const settings = airtableFields.settingsFromEnv();
+        if (!settings) {
+            return res.status(400).json({ error: 'Airtable not configured' });
         }
         
-        const response = await fetch(imageUrl);
-        if (!response.ok) {
-            throw new Error(`Failed to download image: ${response.status}`);
+        const recordIds = Array.isArray(req.body.recordIds) ? req.body.recordIds.filter(id => typeof id === 'string' && id) : [];
+        if (recordIds.length === 0) {
+            return res.status(400).json({ error: 'No records selected' });
         }
         
-        const imageBuffer = await response.buffer();
+        const profile = await loadProfile(req.body.mappingProfile || DEFAULT_PROFILE_ID);
         
-        const processedBuffer = await sharp(imageBuffer)
-            .resize(targetWidth, null, { 
-                withoutEnlargement: true,
-                fit: 'inside'
-            })
-            .webp({ quality: 85 })
-            .toBuffer();
+        const airtableCheck = await checkAirtableMapping();
+        if (airtableCheck) {
+            return res.status(airtableCheck.status).json(airtableCheck.body);
+        }
         
-        const filename = `${clubName}-${imageType}`;
+        // Read the records again so the job works from current values
+        const records = await airtableClient.getRecordsById(settings, recordIds);
+        const { clubs, columns, missingColumns, rowReport } = parseAirtableRecords(records, profile);
+        
+        if (missingColumns.length > 0 || clubs.length === 0) {
+            return res.status(400).json({
+                error: missingColumns.length > 0
+                    ? `Required Airtable fields not found: ${missingColumns.join(', ')}`
+                    : 'None of the selected records have images to process',
+                mappingProfile: profile.id,
+                missingColumns,
+                rowReport
+            });
+        }
         
-        return new Promise((resolve, reject) => {
-            cloudinary.uploader.upload_stream(
-                {
-                    resource_type: 'image',
-                    public_id: `joinphilly/${filename}`,
-                    format: 'webp',
-                    tags: ['joinphilly', 'processed', imageType]
-                },
-                (error, result) => {
-                    if (error) {
-                        console.error('Cloudinary upload error:', error);
-                        reject(new Error(`Cloudinary upload failed: ${error.message}`));
-                    } else {
-                        console.log('Cloudinary upload successful:', result.secure_url);
-                        const altText = generateAltText(clubName, imageType);
-                        
-                        resolve({
-                            originalUrl: imageUrl,
-                            cloudinaryUrl: result.secure_url,
-                            publicId: result.public_id,
-                            filename: `${filename}.webp`,
-                            altText: altText,
-                            width: result.width,
-                            height: result.height,
-                            type: imageType,
-                            format: 'webp'
-                        });
-                    }
-                }
-            ).end(processedBuffer);
+        const job = await jobQueue.enqueue(
+            'airtable',
+            { clubs, mappingProfile: profile.id, columns, rowReport, review: req.body.review === true },
+            clubs.map(club => club.originalName),
+            { triggeredBy: auth.describeCaller(req) }
+        );
+        
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            clubsQueued: clubs.length,
+            mappingProfile: profile.id,
+            rowReport
         });
         
     } catch (error) {
-        console.error(`Image processing failed for ${imageUrl}:`, error);
-        throw error;
+        console.error('Airtable processing error:', error);
+        res.status(error instanceof airtableClient.AirtableError ? 502 : 500).json({ error: error.message });
+    }
+});
+
+// Clubs whose Airtable record could not be matched safely
+app.get('/api/airtable/needs-review', async (req, res) => {
+    try {
+        res.json({ success: true, reviews: await needsReview.listReviews() });
+    } catch (error) {
+        console.error('Needs-review lookup error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/airtable/needs-review/:key', async (req, res) => {
+    try {
+        const removed = await needsReview.removeReview(req.params.key);
+        if (!removed) {
+            return res.status(404).json({ error: 'Review entry not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Needs-review removal error:', error);
+        res.status(500).json({ error: error.message });
     }
+});
+
+// Club from a webhook body: { clubName, submissionId, email, heroImageUrl,
+// logoImageUrl, galleryImageUrls (array or comma-separated), focalPoints,
+// category, neighborhood, description, captions }
+// The first image source of a webhook submission that isn't a public URL,
+// as "<field>: <reason>", or null. Staged uploads can't be named here; only
+// upload jobs read them.
+function invalidWebhookSource(clubData) {
+    const sources = [['heroImageUrl', clubData.heroImageUrl], ['logoImageUrl', clubData.logoImageUrl]];
+    const gallery = Array.isArray(clubData.galleryImageUrls) ? clubData.galleryImageUrls
+        : typeof clubData.galleryImageUrls === 'string' ? clubData.galleryImageUrls.split(',').map(url => url.trim()).filter(Boolean)
+        : [];
+    gallery.forEach((url, index) => sources.push([`galleryImageUrls[${index}]`, url]));
+    
+    const invalid = sources.find(([, url]) => url && !isValidUrl(url));
+    return invalid ? `${invalid[0]}: ${UNFETCHABLE_URL_MESSAGE}` : null;
 }
 
-function generateAltText(clubName, imageType) {
-    const properClubName = clubName.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-    
-    switch (imageType) {
-        case 'hero':
-            return `${properClubName} hero image`;
-        case 'logo':
-            return `${properClubName} logo`;
-        case 'gallery-1':
-        case 'gallery-2':
-        case 'gallery-3':
-        case 'gallery-4':
-            return `${properClubName} group photo`;
-        default:
-            return `${properClubName} image`;
+function clubFromWebhook(clubData) {
+    let galleryImages = [];
+    
+    // Handle if it's already an array or if it's a comma-separated string
+    if (Array.isArray(clubData.galleryImageUrls)) {
+        galleryImages = clubData.galleryImageUrls;
+    } else if (typeof clubData.galleryImageUrls === 'string') {
+        galleryImages = clubData.galleryImageUrls
+            .split(',')
+            .map(url => url.trim())
+            .filter(Boolean);
     }
+    
+    return {
+        name: cleanClubName(clubData.clubName),
+        originalName: clubData.clubName,
+        submissionId: clubData.submissionId || '',
+        email: clubData.email || '',
+        recordId: null,
+        heroImage: clubData.heroImageUrl || null,
+        logoImage: clubData.logoImageUrl || null,
+        galleryImages,
+        // Optional manual crop centres keyed by image type, e.g.
+        // { "hero": { "x": 0.5, "y": 0.3 }, "gallery-2": "0.2,0.8" }
+        focalPoints: clubData.focalPoints && typeof clubData.focalPoints === 'object' ? clubData.focalPoints : {},
+        details: normalizeDetails(clubData),
+        // Alt text captions: { "hero": "...", "gallery": ["...", "..."] }
+        // or keyed by image type
+        captions: normalizeCaptions(clubData.captions)
+    };
+}
+
+// Process one club posted to the webhook and write it back to Airtable
+async function processWebhookClub(clubData) {
+    const clubResult = await processClub(clubFromWebhook(clubData));
+    
+    // Update Airtable if configured
+    await updateAirtableRecords([clubResult]);
+    
+    console.log('Webhook processing complete:', {
+        clubName: clubResult.name,
+        imagesProcessed: clubResult.processed.length,
+        errors: clubResult.errors.length
+    });
+    
+    return clubResult;
+}
+
+// What the webhook returns, and what an async job posts to its callbackUrl
+function webhookPayload(clubResult) {
+    return {
+        success: true,
+        message: 'Images processed successfully via webhook',
+        ...clubPayload(clubResult)
+    };
 }
 
-async function updateAirtableRecord(clubResult) {
+jobQueue.registerHandler('webhook', async (job, context) => {
+    const { clubData, callbackUrl } = job.input;
+    
+    let clubResult = context.clubResult(0);
+    if (!context.isClubFinished(0)) {
+        await context.clubStarted(0);
+        try {
+            clubResult = await processWebhookClub(clubData);
+        } catch (error) {
+            if (callbackUrl) {
+                await callbacks.deliver(job.id, callbackUrl, { success: false, jobId: job.id, status: 'failed', clubName: clubData.clubName, error: error.message });
+            }
+            throw error;
+        }
+        await context.clubFinished(0, clubResult);
+    }
+    
+    const payload = { ...webhookPayload(clubResult), jobId: job.id, status: 'completed' };
+    if (callbackUrl) {
+        await callbacks.deliver(job.id, callbackUrl, payload);
+    }
+    return payload;
+});
+
+// NEW: Webhook endpoint for n8n integration - handles cleaned data from n8n Code node.
+// With `"async": true` or a `callbackUrl` the club is queued instead: the
+// response is a 202 with a job ID, the result is POSTed (signed) to the
+// callbackUrl when done, and GET /api/process-webhook/:jobId reports status.
+app.post('/api/process-webhook', async (req, res) => {
     try {
-        const baseId = process.env.AIRTABLE_BASE_ID;
-        const tableName = process.env.AIRTABLE_TABLE_NAME;
-        const token = process.env.AIRTABLE_TOKEN;
+        console.log('Received webhook for club:', req.body.clubName);
         
-        const searchUrl = `https://api.airtable.com/v0/${baseId}/${encodeURIComponent(tableName)}`;
+        // Data comes cleaned from n8n Code node
+        const clubData = req.body;
         
-        let searchResponse;
-        let searchData;
+        // Validate we have required data
+        if (!clubData.clubName) {
+            return res.status(400).json({ error: 'Missing required field: clubName' });
+        }
+        if (typeof clubData.clubName !== 'string' || !clubData.clubName.trim()) {
+            return res.status(400).json({ error: 'clubName must be a non-empty string' });
+        }
         
-        if (clubResult.submissionId && clubResult.submissionId.trim()) {
-            const submissionIdFilter = `{Submission ID} = "${clubResult.submissionId.replace(/"/g, '\\"')}"`;
-            console.log('Trying Submission ID search:', submissionIdFilter);
-            
-            searchResponse = await fetch(`${searchUrl}?filterByFormula=${encodeURIComponent(submissionIdFilter)}`, {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            });
-            
-            if (searchResponse.ok) {
-                searchData = await searchResponse.json();
-                if (searchData.records.length > 0) {
-                    console.log('Found record by Submission ID');
-                }
-            }
+        // Validate that we have at least one image
+        if (!clubData.heroImageUrl && !clubData.logoImageUrl && !clubData.galleryImageUrls) {
+            return res.status(400).json({ error: 'No images found in submission' });
+        }
+        const invalidSource = invalidWebhookSource(clubData);
+        if (invalidSource) {
+            return res.status(400).json({ error: invalidSource });
         }
         
-        if (!searchData || searchData.records.length === 0) {
-            if (clubResult.name && clubResult.name.trim()) {
-                const names = [clubResult.name, clubResult.cleanName].filter(n => n && n.trim());
-                
-                for (const nameToTry of names) {
-                    const nameFilter = `{Name} = "${nameToTry.replace(/"/g, '\\"')}"`;
-                    console.log('Trying Name search:', nameFilter);
-                    
-                    searchResponse = await fetch(`${searchUrl}?filterByFormula=${encodeURIComponent(nameFilter)}`, {
-                        headers: {
-                            'Authorization': `Bearer ${token}`,
-                            'Content-Type': 'application/json'
-                        }
-                    });
-                    
-                    if (searchResponse.ok) {
-                        searchData = await searchResponse.json();
-                        if (searchData.records.length > 0) {
-                            console.log(`Found record by Name: "${nameToTry}"`);
-                            break;
-                        }
-                    }
-                }
-            }
+        const callbackUrl = clubData.callbackUrl || null;
+        if (callbackUrl && !isValidUrl(callbackUrl)) {
+            return res.status(400).json({ error: `callbackUrl: ${UNFETCHABLE_URL_MESSAGE}` });
+        }
+        if (callbackUrl && !callbacks.isConfigured()) {
+            return res.status(400).json({ error: 'Callbacks are signed with CALLBACK_SECRET or WEBHOOK_SECRET; set one to use callbackUrl' });
         }
         
-        if (!searchResponse.ok) {
-            const errorData = await searchResponse.json().catch(() => ({ error: 'Unknown error' }));
-            throw new Error(`Airtable search failed: ${searchResponse.status}`);
-        }
-        
-        if (!searchData || searchData.records.length === 0) {
-            throw new Error(`No matching Airtable record found for "${clubResult.name}"`);
-        }
-        
-        const recordId = searchData.records[0].id;
-        console.log(`Found Airtable record ${recordId} for ${clubResult.name}`);
-        
-        const updateFields = {};
-        const galleryUrls = [];
-        
-        for (const processed of clubResult.processed) {
-            switch (processed.type) {
-                case 'hero':
-                    updateFields['Hero URL'] = processed.cloudinaryUrl;
-                    updateFields['Hero Alt Text'] = processed.altText;
-                    break;
-                case 'logo':
-                    updateFields['Logo URL'] = processed.cloudinaryUrl;
-                    updateFields['Logo Alt Text'] = processed.altText;
-                    break;
-                case 'gallery-1':
-                    updateFields['Gallery 1 Alt Text'] = processed.altText;
-                    galleryUrls[0] = processed.cloudinaryUrl;
-                    break;
-                case 'gallery-2':
-                    updateFields['Gallery 2 Alt Text'] = processed.altText;
-                    galleryUrls[1] = processed.cloudinaryUrl;
-                    break;
-                case 'gallery-3':
-                    updateFields['Gallery 3 Alt Text'] = processed.altText;
-                    galleryUrls[2] = processed.cloudinaryUrl;
-                    break;
-                case 'gallery-4':
-                    updateFields['Gallery 4 Alt Text'] = processed.altText;
-                    galleryUrls[3] = processed.cloudinaryUrl;
-                    break;
-            }
+        const airtableCheck = await checkAirtableMapping();
+        if (airtableCheck) {
+            return res.status(airtableCheck.status).json(airtableCheck.body);
         }
         
-        if (galleryUrls.length > 0) {
-            updateFields['Photo Gallery Url'] = galleryUrls.filter(url => url).map(url => ({
-                url: url
-            }));
+        if (callbackUrl || clubData.async === true) {
+            const job = await jobQueue.enqueue('webhook', { clubData, callbackUrl }, [clubData.clubName], { triggeredBy: auth.describeCaller(req) });
+            console.log(`Queued webhook job ${job.id} for ${clubData.clubName}`);
+            return res.status(202).json({
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                statusUrl: `/api/process-webhook/${job.id}`,
+                callbackUrl
+            });
         }
         
-        const updateUrl = `${searchUrl}/${recordId}`;
-        const updateResponse = await fetch(updateUrl, {
-            method: 'PATCH',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                fields: updateFields
-            })
-        });
+        console.log('Processing club:', clubData.clubName);
+        const startedAt = new Date().toISOString();
+        let clubResult;
+        try {
+            clubResult = await processWebhookClub(clubData);
+        } catch (error) {
+            runHistory.recordRequestRun({ source: 'webhook', triggeredBy: auth.describeCaller(req), input: { clubData }, startedAt, clubResults: [], error });
+            throw error;
+        }
+        const runId = runHistory.recordRequestRun({ source: 'webhook', triggeredBy: auth.describeCaller(req), input: { clubData }, startedAt, clubResults: [clubResult] });
+        res.json({ ...webhookPayload(clubResult), runId });
         
-        if (!updateResponse.ok) {
-            const errorData = await updateResponse.json();
-            throw new Error(`Airtable update failed: ${errorData.error?.message || updateResponse.status}`);
+    } catch (error) {
+        console.error('Webhook processing error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Status of an async webhook job, in the same shape as its callback
+app.get('/api/process-webhook/:jobId', async (req, res) => {
+    try {
+        const job = await jobQueue.getJob(req.params.jobId);
+        if (!job || job.type !== 'webhook') {
+            return res.status(404).json({ error: 'Job not found' });
         }
         
-        const updateData = await updateResponse.json();
-        console.log(`Successfully updated Airtable record for ${clubResult.name}`);
+        const callback = await callbacks.getDelivery(job.id);
+        if (job.status === 'completed') {
+            return res.json({ ...job.result, callback });
+        }
+        res.json({
+            success: job.status !== 'failed',
+            jobId: job.id,
+            status: job.status,
+            clubName: job.clubs[0].name,
+            error: job.error,
+            callback
+        });
+    } catch (error) {
+        console.error('Webhook job lookup error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Single images and JSON batches, through the same pipeline as CSV uploads
+app.post('/api/process-image', processImage);
+app.post('/api/process-batch', requireAirtableMapping, processBatch);
+
+// Image files uploaded directly, with a manifest mapping them to clubs
+app.post('/api/process-uploads', requireAirtableMapping, uploadFiles, processUploads);
+
+// One-off images with per-request size, format and crop options
+app.post('/api/transform-image', imageUpload, transformImage);
+
+// Airtable records in the batch shape, and writes of batch results to them
+app.get('/api/airtable/records', readFromAirtable);
+app.post('/api/airtable/write', writeToAirtable);
+
+const AIRTABLE_ERROR_PREFIX = 'Airtable update failed:';
+
+// Write processed images back to Airtable, ten records per request (see
+// lib/airtable-client.js). Clubs pulled from Airtable carry their record ID;
+// the rest are matched by Submission ID, email, then name, and clubs that
+// can't be matched safely go on the needs-review list instead of being
+// written. Sets each club's `airtableUpdate` to its own outcome, replacing
+// the errors and failures of any earlier write. `imagesFor` picks the images
+// to write for a club (all of them by default).
+async function updateAirtableRecords(clubResults, imagesFor = clubResult => clubResult.processed) {
+    const settings = airtableFields.settingsFromEnv();
+    const pending = clubResults.filter(clubResult => imagesFor(clubResult).length > 0);
+    if (!settings || pending.length === 0) return;
+    
+    for (const clubResult of pending) {
+        clubResult.errors = clubResult.errors.filter(error => !error.startsWith(AIRTABLE_ERROR_PREFIX));
+        clubResult.failures = (clubResult.failures || []).filter(failure => failure.stage !== 'airtable');
+    }
+    
+    console.log(`Updating ${pending.length} Airtable record(s)...`);
+    const outcomes = await airtableClient.syncRecords(settings, pending.map(clubResult => ({
+        recordId: clubResult.recordId,
+        submissionId: (clubResult.submissionId || '').trim(),
+        email: (clubResult.email || '').trim(),
+        names: [...new Set([clubResult.name, clubResult.cleanName].filter(n => n && n.trim()))],
+        fields: airtableFields.buildFieldUpdates(imagesFor(clubResult))
+    })), airtableFields.mapping.match);
+    
+    const reviews = [];
+    const resolved = [];
+    outcomes.forEach((outcome, index) => {
+        const clubResult = pending[index];
+        if (outcome.success) {
+            clubResult.airtableUpdate = {
+                success: true,
+                recordId: outcome.recordId,
+                strategy: outcome.strategy,
+                confidence: outcome.confidence,
+                fieldsUpdated: outcome.fieldsUpdated,
+                message: `Updated ${outcome.fieldsUpdated} fields in Airtable (matched by ${outcome.strategy})`
+            };
+            resolved.push(clubResult);
+            return;
+        }
         
-        return {
-            success: true,
-            recordId: recordId,
-            fieldsUpdated: Object.keys(updateFields).length,
-            message: `Updated ${Object.keys(updateFields).length} fields in Airtable`
+        console.error(`Failed to update Airtable for ${clubResult.name}:`, outcome.error);
+        clubResult.airtableUpdate = {
+            success: false,
+            recordId: outcome.recordId,
+            strategy: outcome.strategy || null,
+            confidence: outcome.confidence || 0,
+            error: outcome.error,
+            needsReview: outcome.needsReview || null
         };
+        clubResult.errors.push(`${AIRTABLE_ERROR_PREFIX} ${outcome.error}`);
+        // A record that couldn't be matched safely fails the same way
+        // until someone resolves it on the needs-review list
+        clubResult.failures.push({
+            image: null,
+            url: null,
+            stage: 'airtable',
+            code: outcome.needsReview ? 'NEEDS_REVIEW' : 'AIRTABLE_UPDATE_FAILED',
+            message: outcome.error,
+            status: null,
+            retryable: !outcome.needsReview,
+            attempts: 1
+        });
         
-    } catch (error) {
-        console.error('Airtable update error:', error);
-        throw error;
-    }
+        if (outcome.needsReview) {
+            reviews.push({
+                club: clubResult.name,
+                submissionId: clubResult.submissionId,
+                email: clubResult.email,
+                reason: outcome.needsReview.reason,
+                candidates: outcome.needsReview.candidates,
+                images: clubResult.processed.map(image => ({ type: image.type, url: image.url, altText: image.altText }))
+            });
+        }
+    });
+    
+    await needsReview.updateReviews(reviews, resolved);
 }
 
 // Test endpoints
@@ -638,36 +1274,31 @@ app.get('/api/test-airtable', async (req, res) => {
             });
         }
         
-        const testUrl = `https://api.airtable.com/v0/${baseId}/${encodeURIComponent(tableName)}?maxRecords=3`;
-        
-        const response = await fetch(testUrl, {
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            }
-        });
-        
-        if (!response.ok) {
-            const errorText = await response.text();
+        let table;
+        try {
+            table = await airtableFields.fetchTableFields({ baseId, tableName, token });
+        } catch (error) {
             return res.json({
                 error: 'Airtable API failed',
-                status: response.status,
-                message: errorText
+                status: error.status,
+                message: error.body || error.message
             });
         }
         
-        const data = await response.json();
-        const availableFields = data.records.length > 0 ? Object.keys(data.records[0].fields) : [];
+        const availableFields = table.fields.map(field => field.name);
+        const fieldMapping = airtableFields.validateFieldMapping(table);
         
         res.json({
             success: true,
             message: 'Airtable connection working',
-            recordCount: data.records.length,
+            recordCount: table.records.length,
             availableFields: availableFields,
-            sampleRecord: data.records[0] ? {
-                id: data.records[0].id,
+            fieldsSource: table.source,
+            fieldMapping,
+            sampleRecord: table.records[0] ? {
+                id: table.records[0].id,
                 firstFewFields: Object.fromEntries(
-                    Object.entries(data.records[0].fields).slice(0, 5)
+                    Object.entries(table.records[0].fields).slice(0, 5)
                 )
             } : null
         });
@@ -730,48 +1361,157 @@ app.get('/api/test-cloudinary', async (req, res) => {
     }
 });
 
-app.post('/api/download-images', express.json(), async (req, res) => {
+app.get('/api/test-storage', async (req, res) => {
     try {
-        const { results } = req.body;
+        const storage = getStorage();
         
-        if (!results || !Array.isArray(results)) {
-            return res.status(400).json({ error: 'No results provided for download' });
+        if (!storage.isConfigured()) {
+            return res.json({
+                error: `Storage backend "${storage.name}" not configured`,
+                driver: storage.name,
+                config: storage.describe()
+            });
         }
         
-        const zip = new JSZip();
-        
-        for (const club of results) {
-            if (club.cloudinaryUrls && club.cloudinaryUrls.length > 0) {
-                const clubFolder = zip.folder(club.cleanName);
-                
-                for (const processed of club.processed) {
-                    try {
-                        const response = await fetch(processed.cloudinaryUrl);
-                        const buffer = await response.buffer();
-                        clubFolder.file(processed.filename, buffer);
-                    } catch (error) {
-                        console.error(`Failed to download ${processed.filename}:`, error);
-                    }
-                }
-            }
-        }
+        const testImage = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+        const publicId = buildPublicId('storage-test', Date.now());
         
-        const zipBuffer = await zip.generateAsync({ type: 'nodebuffer' });
+        const stored = await storage.upload(testImage, { publicId, format: 'png', tags: ['test'] });
+        const readBack = await storage.read(publicId, 'png');
+        await storage.remove(publicId, 'png');
         
-        res.setHeader('Content-Type', 'application/zip');
-        res.setHeader('Content-Disposition', 'attachment; filename="processed-images.zip"');
-        res.send(zipBuffer);
+        res.json({
+            success: readBack.length === testImage.length,
+            message: `Storage backend "${storage.name}" is working`,
+            driver: storage.name,
+            config: storage.describe(),
+            test_result: stored
+        });
         
     } catch (error) {
+        console.error('Storage test error:', error);
+        res.json({
+            error: 'Storage test failed',
+            message: error.message
+        });
+    }
+});
+
+// Download a job's processed images as a ZIP, streamed as it is built from
+// the job's stored results (lib/job-export.js). manifest.json and
+// manifest.csv inside describe every file and list any that failed.
+app.get('/api/jobs/:id/download', async (req, res) => {
+    let job;
+    try {
+        job = await jobQueue.getJob(req.params.id);
+    } catch (error) {
+        console.error('Job lookup error:', error);
+        return res.status(500).json({ error: error.message });
+    }
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!jobExport.hasExportableResults(job)) {
+        return res.status(409).json({ error: `Job is ${job.status} and has no processed images to download` });
+    }
+    
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="processed-images-${job.id.slice(0, 8)}.zip"`);
+    
+    try {
+        const summary = await jobExport.writeJobExport(job, res);
+        console.log(`Exported job ${job.id}: ${summary.files} file(s), ${summary.failed} failed`);
+    } catch (error) {
+        // Headers and part of the archive are already sent, so the only way
+        // to signal the failure is to cut the download short
         console.error('Download error:', error);
-        res.status(500).json({ error: 'Failed to create download package' });
+        res.destroy(error);
+    }
+});
+
+// The first of `keys` given more than once or as an object (?status=a&status=b,
+// ?status[x]=a) in a run history query, which takes one plain value each
+function repeatedQueryKey(query, keys) {
+    return keys.find(key => query[key] !== undefined && typeof query[key] !== 'string');
+}
+
+// Run history (lib/run-history.js): search past runs with ?q= (club name,
+// submission ID, email, Airtable record ID or run ID), source, status, from,
+// to, limit and offset
+app.get('/api/runs', (req, res) => {
+    try {
+        const repeated = repeatedQueryKey(req.query, ['q', 'source', 'status', 'from', 'to', 'limit', 'offset']);
+        if (repeated) {
+            return res.status(400).json({ error: `${repeated} can only be given once` });
+        }
+        res.json({ success: true, ...runHistory.listRuns(req.query) });
+    } catch (error) {
+        console.error('Run history error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// One run's report: its input, timings, every club's results and its audit
+// events
+app.get('/api/runs/:id', (req, res) => {
+    try {
+        const run = runHistory.getRun(req.params.id);
+        if (!run) {
+            return res.status(404).json({ error: 'Run not found' });
+        }
+        res.json({ success: true, run });
+    } catch (error) {
+        console.error('Run history error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// A past run's results CSV, the same as the results page downloads
+app.get('/api/runs/:id/results.csv', (req, res) => {
+    try {
+        const run = runHistory.getRun(req.params.id);
+        if (!run) {
+            return res.status(404).json({ error: 'Run not found' });
+        }
+        res.type('text/csv')
+            .set('Content-Disposition', `attachment; filename="run-${run.id.slice(0, 8)}-results.csv"`)
+            .send(runHistory.runResultsCsv(run));
+    } catch (error) {
+        console.error('Run export error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Audit events across runs, newest first (?runId=, ?action=, ?limit=)
+app.get('/api/audit-log', (req, res) => {
+    try {
+        const repeated = repeatedQueryKey(req.query, ['runId', 'action', 'limit']);
+        if (repeated) {
+            return res.status(400).json({ error: `${repeated} can only be given once` });
+        }
+        res.json({ success: true, events: runHistory.listEvents(req.query) });
+    } catch (error) {
+        console.error('Audit log error:', error);
+        res.status(500).json({ error: error.message });
     }
 });
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
+    
+    jobQueue.restoreJobs().catch(error => {
+        console.error('Failed to restore jobs:', error);
+    });
+    callbacks.restoreDeliveries().catch(error => {
+        console.error('Failed to restore callbacks:', error);
+    });
+    uploads.sweepUploads().catch(error => {
+        console.error('Failed to sweep staged uploads:', error);
+    });
+
     console.log('Environment check:');
+    console.log('Storage driver:', getStorage().name);
     console.log('CLOUDINARY_URL:', process.env.CLOUDINARY_URL ? 'Set' : 'Missing');
     
     const config = cloudinary.config();
@@ -782,4 +1522,9 @@ app.listen(PORT, () => {
     console.log('Airtable BASE_ID:', process.env.AIRTABLE_BASE_ID ? 'Set' : 'Missing');
     console.log('Airtable TABLE_NAME:', process.env.AIRTABLE_TABLE_NAME ? 'Set' : 'Missing');
     console.log('Airtable TOKEN:', process.env.AIRTABLE_TOKEN ? 'Set' : 'Missing');
+    
+    const authConfig = auth.describe();
+    console.log('API auth:', authConfig.disabled
+        ? 'DISABLED (AUTH_DISABLED=true)'
+        : `${authConfig.apiKeys} API key(s), signatures ${authConfig.signatures ? 'enabled' : 'disabled'}`);
 });
\ No newline at end of file
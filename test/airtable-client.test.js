@@ -0,0 +1,142 @@
+// lib/airtable-client.js against a local mock Airtable server
+process.env.AIRTABLE_REQUESTS_PER_SECOND = '1000';
+process.env.AIRTABLE_BURST = '100';
+process.env.AIRTABLE_BACKOFF_MS = '10';
+process.env.AIRTABLE_MAX_RETRIES = '3';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const airtableClient = require('../lib/airtable-client');
+const { createMockAirtable } = require('./helpers/mock-airtable');
+
+const MATCH = { submissionId: 'Submission ID', email: 'Email', name: 'Name' };
+
+const CLUB_RECORDS = [
+    { id: 'recChess', fields: { 'Name': 'Chess Club', 'Submission ID': 'S1', 'Email': 'chess@example.org' } },
+    { id: 'recBook1', fields: { 'Name': 'Book Club', 'Email': 'books@example.org' } },
+    { id: 'recBook2', fields: { 'Name': 'book club!', 'Email': 'reading@example.org' } },
+    { id: 'recFilm', fields: { 'Name': 'Film Society', 'Submission ID': 'S9', 'Email': 'film@example.org' } },
+    { id: 'recPoetry', fields: { 'Name': 'Poetry Circle', 'Email': 'poems@example.org' } }
+];
+
+function numberedRecords(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: `rec${i + 1}`,
+        fields: { 'Name': `Club ${i + 1}`, 'Submission ID': `S-${i + 1}` }
+    }));
+}
+
+describe('airtable client', () => {
+    let mock;
+    let settings;
+
+    const start = async records => {
+        mock = createMockAirtable(records);
+        settings = { baseId: `app${Math.random().toString(36).slice(2)}`, tableName: 'Clubs', token: 'test', apiUrl: await mock.start() };
+    };
+
+    beforeEach(() => {
+        mock = null;
+    });
+
+    afterEach(async () => {
+        if (mock) await mock.stop();
+    });
+
+    it('writes known records ten per PATCH request', async () => {
+        await start(numberedRecords(23));
+        const items = numberedRecords(23).map(record => ({ recordId: record.id, fields: { 'Hero URL': `https://cdn.example.org/${record.id}.webp` } }));
+
+        const outcomes = await airtableClient.syncRecords(settings, items, MATCH);
+
+        const patches = mock.requests.filter(request => request.method === 'PATCH');
+        assert.deepEqual(patches.map(request => request.body.records.length), [10, 10, 3]);
+        assert.equal(mock.requests.filter(request => request.method === 'GET').length, 0);
+        assert.ok(outcomes.every(outcome => outcome.success && outcome.fieldsUpdated === 1 && outcome.strategy === 'recordId'));
+        assert.equal(mock.records[22].fields['Hero URL'], 'https://cdn.example.org/rec23.webp');
+    });
+
+    it('finds the records of each batch with one OR() query', async () => {
+        await start(numberedRecords(12));
+        const items = numberedRecords(12).map(record => ({
+            submissionId: record.fields['Submission ID'],
+            names: [record.fields.Name],
+            fields: { 'Hero URL': 'https://cdn.example.org/hero.webp' }
+        }));
+
+        const outcomes = await airtableClient.syncRecords(settings, items, MATCH);
+
+        const lookups = mock.requests.filter(request => request.method === 'GET');
+        assert.equal(lookups.length, 2);
+        for (const lookup of lookups) {
+            assert.match(lookup.query.filterByFormula, /^OR\(/);
+        }
+        assert.match(lookups[0].query.filterByFormula, /\{Submission ID\} = "S-10"/);
+        assert.doesNotMatch(lookups[0].query.filterByFormula, /"S-11"/);
+        assert.deepEqual(outcomes.map(outcome => outcome.recordId), numberedRecords(12).map(record => record.id));
+        assert.ok(outcomes.every(outcome => outcome.strategy === 'submissionId'));
+    });
+
+    it('waits out a 429 for as long as Retry-After asks', async () => {
+        await start(CLUB_RECORDS);
+        mock.failNext(429, { 'Retry-After': '1' });
+
+        const started = Date.now();
+        const records = await airtableClient.listRecords(settings);
+
+        assert.equal(records.length, CLUB_RECORDS.length);
+        assert.equal(mock.requests.length, 2);
+        assert.ok(mock.requests[1].at - mock.requests[0].at >= 950, `retried after ${Date.now() - started}ms`);
+    });
+
+    it('retries server errors with backoff and gives up after the retry limit', async () => {
+        await start(CLUB_RECORDS);
+        mock.failNext(503);
+        assert.equal((await airtableClient.listRecords(settings)).length, CLUB_RECORDS.length);
+        assert.equal(mock.requests.length, 2);
+
+        for (let i = 0; i < 4; i++) mock.failNext(500);
+        await assert.rejects(airtableClient.listRecords(settings), error => error instanceof airtableClient.AirtableError && error.status === 500);
+        assert.equal(mock.requests.length, 6);
+    });
+
+    it('retries a rejected batch one record at a time', async () => {
+        await start(numberedRecords(3));
+        const items = numberedRecords(3).map(record => ({ recordId: record.id, fields: { 'Hero URL': 'https://cdn.example.org/hero.webp' } }));
+        items[1].fields.Invalid = 'not a url';
+
+        const outcomes = await airtableClient.syncRecords(settings, items, MATCH);
+
+        const patches = mock.requests.filter(request => request.method === 'PATCH');
+        assert.equal(patches.length, 4);
+        assert.equal(patches[0].body.records.length, 3);
+        assert.deepEqual(patches.slice(1).map(request => request.path.split('/').pop()), ['rec1', 'rec2', 'rec3']);
+        assert.deepEqual(outcomes.map(outcome => outcome.success), [true, false, true]);
+        assert.match(outcomes[1].error, /422/);
+        assert.equal(mock.records[2].fields['Hero URL'], 'https://cdn.example.org/hero.webp');
+    });
+
+    it('refuses matches that are missing, ambiguous or contradicted', async () => {
+        await start(CLUB_RECORDS);
+        const items = [
+            { submissionId: 'S1', names: ['Chess Club'], fields: { 'Hero URL': 'a' } },
+            { names: ['Book Club'], fields: { 'Hero URL': 'b' } },
+            { submissionId: 'S2', names: ['Film Society'], fields: { 'Hero URL': 'c' } },
+            { email: 'someone@example.org', names: ['Poetry Circle'], fields: { 'Hero URL': 'd' } },
+            { names: ['Nobody Club'], fields: { 'Hero URL': 'e' } },
+            { email: 'chess@example.org', names: ['Chess Club'], fields: { 'Hero URL': 'f' } }
+        ];
+
+        const outcomes = await airtableClient.syncRecords(settings, items, MATCH);
+
+        assert.equal(outcomes[0].success, true);
+        assert.equal(outcomes[0].recordId, 'recChess');
+        assert.deepEqual(outcomes.slice(1).map(outcome => outcome.needsReview && outcome.needsReview.reason),
+            ['ambiguous', 'conflict', 'conflict', 'not-found', 'duplicate-target']);
+        assert.deepEqual(outcomes[1].needsReview.candidates.map(candidate => candidate.recordId).sort(), ['recBook1', 'recBook2']);
+        assert.ok(outcomes.slice(1).every(outcome => !outcome.success));
+
+        const written = mock.requests.filter(request => request.method === 'PATCH').flatMap(request => request.body.records.map(record => record.id));
+        assert.deepEqual(written, ['recChess']);
+    });
+});
@@ -0,0 +1,133 @@
+// lib/auth.js signed requests: a signature covers the method and path as
+// well as the body, so it is only good for the route it was made for.
+// Callbacks (lib/callbacks.js) are signed the same way.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+process.env.WEBHOOK_SECRET = 'test-secret';
+process.env.API_KEYS = 'test-key';
+process.env.FETCH_ALLOW_PRIVATE_NETWORKS = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const auth = require('../lib/auth');
+const callbacks = require('../lib/callbacks');
+const { startServer } = require('./helpers/server');
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+
+describe('signed requests', () => {
+    let server;
+    let url;
+    const handled = [];
+
+    before(async () => {
+        const app = express();
+        app.use(express.json({ verify: auth.captureRawBody }));
+        app.use('/api', auth.requireAuth);
+        app.all('/api/*', (req, res) => {
+            handled.push(`${req.method} ${req.originalUrl}`);
+            res.json({ ok: true });
+        });
+        server = http.createServer(app);
+        url = await listen(server);
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    const signed = (method, signedPath, body, { sentPath = signedPath, sentMethod = method } = {}) => {
+        const timestamp = Math.floor(Date.now() / 1000);
+        return fetch(`${url}${sentPath}`, {
+            method: sentMethod,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Timestamp': String(timestamp),
+                'X-Signature': `sha256=${auth.sign(timestamp, method, signedPath, body)}`
+            },
+            body
+        });
+    };
+
+    it('accepts a request signed for its method, path and body', async () => {
+        const response = await signed('POST', '/api/process-webhook?async=true', '{"clubName":"Chess Club"}');
+
+        assert.equal(response.status, 200);
+        assert.equal(handled.at(-1), 'POST /api/process-webhook?async=true');
+    });
+
+    it('refuses a signed body sent to another route or with another method', async () => {
+        const body = JSON.stringify({ clubs: [{ clubName: 'Chess Club' }] });
+        const count = handled.length;
+
+        for (const options of [
+            { sentPath: '/api/process-batch' },
+            { sentPath: '/api/process-webhook?async=false' },
+            { sentMethod: 'PUT' }
+        ]) {
+            const response = await signed('POST', '/api/process-webhook', body, options);
+            assert.equal(response.status, 401);
+            assert.equal((await response.json()).code, 'SIGNATURE_INVALID');
+        }
+        assert.equal(handled.length, count);
+    });
+
+    it('signs callbacks with their method and the callback path', async () => {
+        let received;
+        const receiver = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received = { method: req.method, url: req.url, headers: req.headers, body };
+                res.end('ok');
+            });
+        });
+        const receiverUrl = await listen(receiver);
+
+        try {
+            await callbacks.deliver('job-1', `${receiverUrl}/hooks/clubs?source=test`, { success: true });
+            for (let waited = 0; !received && waited < 5000; waited += 20) {
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+
+            assert.ok(received, 'callback was not delivered');
+            const timestamp = received.headers['x-timestamp'];
+            assert.equal(received.headers['x-signature'], `sha256=${auth.sign(timestamp, 'POST', '/hooks/clubs?source=test', received.body)}`);
+        } finally {
+            receiver.closeAllConnections();
+            await new Promise(resolve => receiver.close(resolve));
+        }
+    });
+});
+
+describe('webhook errors', () => {
+    let server;
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    it('do not echo the submission back', async () => {
+        server = await startServer();
+        const submission = { heroImageUrl: 'https://example.org/hero.jpg', email: 'lead@example.org' };
+
+        const missingName = await fetch(`${server.url}/api/process-webhook`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(submission)
+        });
+        const missingImages = await fetch(`${server.url}/api/process-webhook`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ clubName: 'Chess Club', email: 'lead@example.org' })
+        });
+
+        assert.equal(missingName.status, 400);
+        assert.deepEqual(await missingName.json(), { error: 'Missing required field: clubName' });
+        assert.equal(missingImages.status, 400);
+        assert.deepEqual(await missingImages.json(), { error: 'No images found in submission' });
+    });
+});
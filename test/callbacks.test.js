@@ -0,0 +1,169 @@
+// lib/callbacks.js deliveries against a local receiver that checks every
+// signature: which responses are retried, Retry-After, and deliveries left
+// pending when the process stopped
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'callbacks-test-'));
+process.env.CALLBACK_SECRET = 'callback-secret';
+process.env.CALLBACK_MAX_ATTEMPTS = '4';
+process.env.CALLBACK_BACKOFF_MS = '20';
+process.env.FETCH_ALLOW_PRIVATE_NETWORKS = 'true';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const auth = require('../lib/auth');
+
+// callbacks.js reads DATA_DIR when it loads; a fresh copy on another data
+// directory stands in for the process after a restart
+function loadCallbacks(dataDir) {
+    process.env.DATA_DIR = dataDir;
+    for (const name of ['../lib/json-store', '../lib/callbacks']) {
+        delete require.cache[require.resolve(name)];
+    }
+    return require('../lib/callbacks');
+}
+
+async function settled(callbacks, jobId) {
+    for (let waited = 0; waited < 10000; waited += 20) {
+        const delivery = await callbacks.getDelivery(jobId);
+        if (delivery && delivery.status !== 'pending') return delivery;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Callback for ${jobId} still pending`);
+}
+
+describe('callback deliveries', () => {
+    let receiver;
+    let origin;
+    let callbacks;
+    // Responses to send, per path, as [status, headers]; the last one repeats
+    const scripts = {};
+    // Attempts received, per path, with when they came and whether the
+    // signature matched
+    const attempts = {};
+
+    before(async () => {
+        callbacks = loadCallbacks(process.env.DATA_DIR);
+        receiver = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                const expected = auth.sign(req.headers['x-timestamp'], 'POST', req.url, body, 'callback-secret');
+                const received = attempts[req.url] = attempts[req.url] || [];
+                received.push({
+                    at: Date.now(),
+                    signed: req.headers['x-signature'] === `sha256=${expected}`,
+                    attempt: req.headers['x-delivery-attempt'],
+                    payload: JSON.parse(body)
+                });
+                const script = scripts[req.url] || [[200]];
+                const [status, headers] = script[Math.min(received.length, script.length) - 1];
+                res.writeHead(status, headers);
+                res.end();
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        origin = `http://127.0.0.1:${receiver.address().port}`;
+    });
+
+    after(async () => {
+        receiver.closeAllConnections();
+        await new Promise(resolve => receiver.close(resolve));
+    });
+
+    it('retries 408, 429 and 5xx responses until one succeeds', async () => {
+        scripts['/retried?job=1'] = [[408], [429], [503], [200]];
+
+        await callbacks.deliver('job-retried', `${origin}/retried?job=1`, { jobId: 'job-retried', status: 'completed' });
+        const delivery = await settled(callbacks, 'job-retried');
+
+        assert.equal(delivery.status, 'delivered');
+        assert.equal(delivery.attempts, 4);
+        assert.equal(delivery.lastStatus, 200);
+        const received = attempts['/retried?job=1'];
+        assert.deepEqual(received.map(entry => entry.attempt), ['1', '2', '3', '4']);
+        assert.ok(received.every(entry => entry.signed));
+        assert.deepEqual(received[3].payload, { jobId: 'job-retried', status: 'completed' });
+    });
+
+    it('gives up on 5xx after CALLBACK_MAX_ATTEMPTS', async () => {
+        scripts['/down'] = [[502]];
+
+        await callbacks.deliver('job-down', `${origin}/down`, { jobId: 'job-down' });
+        const delivery = await settled(callbacks, 'job-down');
+
+        assert.equal(delivery.status, 'failed');
+        assert.equal(delivery.attempts, 4);
+        assert.equal(delivery.error, 'Callback URL returned 502');
+        assert.equal(attempts['/down'].length, 4);
+    });
+
+    it('treats other 4xx responses as final', async () => {
+        for (const status of [400, 401, 404, 410]) {
+            scripts[`/refused-${status}`] = [[status], [200]];
+
+            await callbacks.deliver(`job-${status}`, `${origin}/refused-${status}`, { jobId: `job-${status}` });
+            const delivery = await settled(callbacks, `job-${status}`);
+
+            assert.equal(delivery.status, 'failed');
+            assert.equal(delivery.attempts, 1);
+            assert.equal(delivery.lastStatus, status);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 200));
+        for (const status of [400, 401, 404, 410]) {
+            assert.equal(attempts[`/refused-${status}`].length, 1);
+        }
+    });
+
+    it('waits as long as Retry-After asks', async () => {
+        scripts['/busy'] = [[429, { 'Retry-After': '1' }], [200]];
+
+        await callbacks.deliver('job-busy', `${origin}/busy`, { jobId: 'job-busy' });
+        const delivery = await settled(callbacks, 'job-busy');
+
+        assert.equal(delivery.status, 'delivered');
+        const [first, second] = attempts['/busy'];
+        assert.ok(second.at - first.at >= 1000, `retried after ${second.at - first.at}ms`);
+    });
+
+    it('resumes deliveries that were pending when the process stopped', async () => {
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'callbacks-restart-'));
+        const now = new Date().toISOString();
+        const stored = (jobId, status, attemptsMade) => ({
+            jobId,
+            url: `${origin}/restarted?job=${jobId}`,
+            status,
+            attempts: attemptsMade,
+            lastStatus: 503,
+            error: 'Callback URL returned 503',
+            createdAt: now,
+            lastAttemptAt: now,
+            nextAttemptAt: status === 'pending' ? now : null,
+            ...(status === 'pending' ? { payload: { jobId } } : {})
+        });
+        fs.writeFileSync(path.join(dataDir, 'callbacks.json'), JSON.stringify({
+            deliveries: { 'job-pending': stored('job-pending', 'pending', 2), 'job-done': stored('job-done', 'delivered', 1) }
+        }));
+
+        const restarted = loadCallbacks(dataDir);
+        await restarted.restoreDeliveries();
+        const delivery = await settled(restarted, 'job-pending');
+
+        assert.equal(delivery.status, 'delivered');
+        assert.equal(delivery.attempts, 3);
+        const received = attempts['/restarted?job=job-pending'];
+        assert.equal(received.length, 1);
+        assert.equal(received[0].attempt, '3');
+        assert.ok(received[0].signed);
+        assert.deepEqual(received[0].payload, { jobId: 'job-pending' });
+        assert.equal(attempts['/restarted?job=job-done'], undefined);
+
+        const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'callbacks.json'), 'utf8'));
+        assert.equal(saved.deliveries['job-pending'].status, 'delivered');
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+});
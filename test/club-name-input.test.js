@@ -0,0 +1,58 @@
+// Club names that aren't strings are refused with a 400 by every route that
+// takes them as JSON, instead of failing inside cleanClubName
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('club name checks', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    const post = (route, body) => fetch(`${server.url}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const badNames = [42, { name: 'Chess Club' }, ['Chess Club'], '   '];
+    const imageUrl = 'https://example.org/hero.jpg';
+
+    it('refuses webhook submissions, sync or async, before anything is queued', async () => {
+        for (const clubName of badNames) {
+            for (const async of [false, true]) {
+                const response = await post('/api/process-webhook', { clubName, async, heroImageUrl: imageUrl });
+                assert.equal(response.status, 400);
+                assert.deepEqual(await response.json(), { error: 'clubName must be a non-empty string' });
+            }
+        }
+
+        const jobsDir = path.join(server.dataDir, 'jobs');
+        assert.deepEqual(fs.existsSync(jobsDir) ? fs.readdirSync(jobsDir) : [], []);
+    });
+
+    it('refuses single images', async () => {
+        for (const clubName of badNames) {
+            const response = await post('/api/process-image', { clubName, type: 'hero', imageUrl });
+            assert.equal(response.status, 400);
+            assert.deepEqual(await response.json(), { success: false, error: 'clubName must be a non-empty string' });
+        }
+    });
+
+    it('leaves batch clubs out with a row problem', async () => {
+        const response = await post('/api/process-batch', {
+            clubs: badNames.map(name => ({ name, heroUrl: imageUrl }))
+        });
+
+        assert.equal(response.status, 400);
+        const body = await response.json();
+        assert.deepEqual(body.rowReport.map(row => row.problems), badNames.map(() => ['Missing club name']));
+    });
+});
@@ -0,0 +1,83 @@
+// lib/column-mapping.js against header rows exported from the Fillout form
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const columnMapping = require('../lib/column-mapping');
+
+// A Fillout CSV export: metadata columns, the long question headers, and the
+// submitter's own details next to the club's
+const FILLOUT_EXPORT = [
+    'Submission ID',
+    'Last updated',
+    'Submission started',
+    'Status',
+    'Current step',
+    'Your name',
+    'What’s your email?',
+    'What’s the name of your club/community/group?',
+    'Upload a hero image:',
+    'Upload your community’s logo:',
+    'Upload up to 4 images for your photo gallery:',
+    'Neighborhood',
+    'Club Description',
+    'Errors',
+    'Url'
+];
+
+function headerFor(resolved, key) {
+    return resolved.columns[key] ? resolved.columns[key].header : null;
+}
+
+describe('resolveColumns with the fillout profile', () => {
+    it('maps a standard Fillout export', async () => {
+        const resolved = columnMapping.resolveColumns(FILLOUT_EXPORT, await columnMapping.loadProfile('fillout'));
+
+        assert.deepEqual(resolved.missing, []);
+        assert.equal(headerFor(resolved, 'submissionId'), 'Submission ID');
+        assert.equal(headerFor(resolved, 'email'), 'What’s your email?');
+        assert.equal(headerFor(resolved, 'name'), 'What’s the name of your club/community/group?');
+        assert.equal(headerFor(resolved, 'hero'), 'Upload a hero image:');
+        assert.equal(headerFor(resolved, 'logo'), 'Upload your community’s logo:');
+        assert.equal(headerFor(resolved, 'gallery'), 'Upload up to 4 images for your photo gallery:');
+        assert.equal(headerFor(resolved, 'neighborhood'), 'Neighborhood');
+        assert.equal(headerFor(resolved, 'description'), 'Club Description');
+    });
+
+    it('does not map the submitter’s name when the club question is reworded', async () => {
+        const headers = FILLOUT_EXPORT.map(header => header.startsWith('What’s the name')
+            ? 'What do you call your group?'
+            : header);
+
+        const resolved = columnMapping.resolveColumns(headers, await columnMapping.loadProfile('fillout'));
+
+        assert.equal(headerFor(resolved, 'name'), null);
+        assert.deepEqual(resolved.missing, ['name']);
+    });
+
+    it('leaves unrelated questions that mention a short alias alone', async () => {
+        const headers = [
+            'Submission ID',
+            'Club Name',
+            'Who is your community hero?',
+            'Do you have a logo?',
+            'Email me a copy of my answers',
+            'Hero Image URL'
+        ];
+
+        const resolved = columnMapping.resolveColumns(headers, await columnMapping.loadProfile('fillout'));
+
+        assert.equal(headerFor(resolved, 'name'), 'Club Name');
+        assert.equal(headerFor(resolved, 'hero'), 'Hero Image URL');
+        assert.equal(headerFor(resolved, 'logo'), null);
+        assert.equal(headerFor(resolved, 'email'), null);
+    });
+});
+
+describe('headerSimilarity', () => {
+    it('scores multi-word containment but not single-word containment', () => {
+        assert.equal(columnMapping.headerSimilarity('Hero Image (landscape)', 'Hero Image'), 0.9);
+        assert.equal(columnMapping.headerSimilarity('Club Name (as shown)', 'club name'), 0.9);
+        assert.ok(columnMapping.headerSimilarity('Your name', 'Name') < 0.75);
+        assert.ok(columnMapping.headerSimilarity('Logo URL', 'Logo') < 0.75);
+        assert.equal(columnMapping.headerSimilarity('\uFEFFName', 'name'), 1);
+    });
+});
@@ -0,0 +1,145 @@
+// A local stand-in for the Airtable REST API, enough for lib/airtable-client.js:
+// list records (with the filterByFormula conditions lib/record-matching.js
+// builds), PATCH single records and batches of up to ten. Every request is
+// logged in `requests`; `failNext(status, headers)` queues error responses,
+// and records whose fields include `rejectField` fail validation the way
+// Airtable rejects a bad value (one bad record fails its whole batch).
+// `patchDelayMs` holds every PATCH response back, like a slow network.
+const http = require('http');
+
+function normalizeName(value) {
+    return String(value).toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Split "a, b, c" at the top level of a formula, respecting quotes and parens
+function splitArguments(formula) {
+    const parts = [];
+    let depth = 0;
+    let quoted = false;
+    let current = '';
+    for (let i = 0; i < formula.length; i++) {
+        const char = formula[i];
+        if (quoted) {
+            current += char;
+            if (char === '\\') current += formula[++i];
+            else if (char === '"') quoted = false;
+            continue;
+        }
+        if (char === '"') quoted = true;
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+}
+
+// One condition of the forms the client sends, as a record predicate
+function parseCondition(condition) {
+    const match = /^(.*) = "((?:[^"\\]|\\.)*)"$/.exec(condition);
+    if (!match) throw new Error(`Unsupported condition: ${condition}`);
+    const value = match[2].replace(/\\(.)/g, '$1');
+    const left = match[1];
+    const column = (/\{([^}]+)\}/.exec(left) || [])[1];
+
+    if (left === 'RECORD_ID()') return record => record.id === value;
+    if (left.startsWith('LOWER(TRIM(')) return record => String(record.fields[column] || '').trim().toLowerCase() === value;
+    if (left.startsWith('TRIM(REGEX_REPLACE(')) return record => normalizeName(record.fields[column] || '') === value;
+    return record => String(record.fields[column] === undefined ? '' : record.fields[column]) === value;
+}
+
+function matchesFormula(formula) {
+    if (!formula) return () => true;
+    const inner = formula.startsWith('OR(') && formula.endsWith(')') ? formula.slice(3, -1) : formula;
+    const predicates = splitArguments(inner).map(parseCondition);
+    return record => predicates.some(predicate => predicate(record));
+}
+
+function createMockAirtable(records = [], { rejectField = 'Invalid', patchDelayMs = 0 } = {}) {
+    const state = {
+        records: records.map(record => ({ id: record.id, fields: { ...record.fields } })),
+        requests: [],
+        failures: []
+    };
+
+    const send = (res, status, body, headers = {}) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(body));
+    };
+
+    const applyUpdate = ({ id, fields }) => {
+        const record = state.records.find(candidate => candidate.id === id);
+        if (!record) return { status: 404, error: { type: 'NOT_FOUND', message: `Record ${id} not found` } };
+        if (rejectField in fields) {
+            return { status: 422, error: { type: 'INVALID_VALUE_FOR_COLUMN', message: `Field "${rejectField}" cannot accept the provided value` } };
+        }
+        return { record };
+    };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => setTimeout(respond, req.method === 'PATCH' ? patchDelayMs : 0));
+
+        function respond() {
+            const url = new URL(req.url, 'http://localhost');
+            const parsed = body ? JSON.parse(body) : null;
+            state.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body: parsed, at: Date.now() });
+
+            const failure = state.failures.shift();
+            if (failure) {
+                return send(res, failure.status, { error: { type: 'MOCK_FAILURE', message: `Mock ${failure.status}` } }, failure.headers);
+            }
+
+            const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+            if (req.method === 'GET') {
+                const records = state.records.filter(matchesFormula(url.searchParams.get('filterByFormula')));
+                return send(res, 200, { records });
+            }
+            if (req.method === 'PATCH' && segments.length === 4) {
+                const outcome = applyUpdate({ id: segments[3], fields: parsed.fields });
+                if (outcome.error) return send(res, outcome.status, { error: outcome.error });
+                Object.assign(outcome.record.fields, parsed.fields);
+                return send(res, 200, outcome.record);
+            }
+            if (req.method === 'PATCH') {
+                if (parsed.records.length > 10) {
+                    return send(res, 422, { error: { type: 'INVALID_RECORDS', message: 'At most 10 records per request' } });
+                }
+                const outcomes = parsed.records.map(applyUpdate);
+                const failed = outcomes.find(outcome => outcome.error);
+                if (failed) return send(res, failed.status, { error: failed.error });
+                parsed.records.forEach((update, index) => Object.assign(outcomes[index].record.fields, update.fields));
+                return send(res, 200, { records: outcomes.map(outcome => outcome.record) });
+            }
+            send(res, 405, { error: { type: 'METHOD_NOT_ALLOWED' } });
+        }
+    });
+
+    return {
+        get records() {
+            return state.records;
+        },
+        get requests() {
+            return state.requests;
+        },
+        failNext(status, headers = {}) {
+            state.failures.push({ status, headers });
+        },
+        async start() {
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            return `http://127.0.0.1:${server.address().port}/v0`;
+        },
+        stop() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = { createMockAirtable };
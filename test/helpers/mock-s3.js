@@ -0,0 +1,73 @@
+// A local MinIO-style S3 server for lib/storage/s3.js: path-style
+// /<bucket>/<key> URLs, PUT, GET and DELETE of objects kept in memory.
+// Requests are logged in `requests` with their headers; `failNext(status,
+// code)` queues S3 XML error responses.
+const http = require('http');
+
+function createMockS3() {
+    const state = { objects: new Map(), requests: [], failures: [] };
+
+    const sendError = (res, status, code) => {
+        res.writeHead(status, { 'Content-Type': 'application/xml' });
+        res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>Mock ${code}</Message></Error>`);
+    };
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const [bucket, ...key] = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+            const body = Buffer.concat(chunks);
+            state.requests.push({ method: req.method, bucket, key: key.join('/'), headers: req.headers, body });
+
+            const failure = state.failures.shift();
+            if (failure) return sendError(res, failure.status, failure.code);
+
+            const path = `${bucket}/${key.join('/')}`;
+            if (req.method === 'PUT') {
+                state.objects.set(path, { body, headers: req.headers });
+                res.writeHead(200, { ETag: `"${body.length}"` });
+                return res.end();
+            }
+            if (req.method === 'GET') {
+                const object = state.objects.get(path);
+                if (!object) return sendError(res, 404, 'NoSuchKey');
+                res.writeHead(200, {
+                    'Content-Type': object.headers['content-type'],
+                    'Cache-Control': object.headers['cache-control'],
+                    'Content-Length': object.body.length
+                });
+                return res.end(object.body);
+            }
+            if (req.method === 'DELETE') {
+                state.objects.delete(path);
+                res.writeHead(204);
+                return res.end();
+            }
+            sendError(res, 405, 'MethodNotAllowed');
+        });
+    });
+
+    return {
+        get objects() {
+            return state.objects;
+        },
+        get requests() {
+            return state.requests;
+        },
+        failNext(status, code) {
+            state.failures.push({ status, code });
+        },
+        async start() {
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            return `http://127.0.0.1:${server.address().port}`;
+        },
+        stop() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = { createMockS3 };
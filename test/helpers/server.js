@@ -0,0 +1,69 @@
+// Start server.js in a child process on a free port, with its own data
+// directory, for tests that go through the HTTP routes
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Returns { url, dataDir, stop() }. `env` is added to the server's
+// environment; auth is disabled unless `env` says otherwise.
+async function startServer(env = {}) {
+    const port = await freePort();
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT,
+        env: { ...process.env, AUTH_DISABLED: 'true', STORAGE_DRIVER: 'local', ...env, PORT: String(port), DATA_DIR: dataDir },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 15000);
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('Server running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.stderr.on('data', chunk => { output += chunk; });
+        child.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with ${code}:\n${output}`));
+        });
+    });
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        dataDir,
+        get output() {
+            return output;
+        },
+        async stop() {
+            child.removeAllListeners('exit');
+            if (child.exitCode === null) {
+                await new Promise(resolve => {
+                    child.once('exit', resolve);
+                    child.kill();
+                });
+            }
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,100 @@
+// lib/image-errors.js: transient failures are retried up to
+// IMAGE_MAX_RETRIES times, anything else fails on the first try
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'image-errors-test-'));
+process.env.IMAGE_MAX_RETRIES = '3';
+process.env.IMAGE_BACKOFF_MS = '1';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_RETRIES, isRetryable, withRetries, describeFailure } = require('../lib/image-errors');
+const { FetchError } = require('../lib/safe-fetch');
+const { ImageValidationError } = require('../lib/image-validation');
+const { UploadError } = require('../lib/uploads');
+const { StorageError } = require('../lib/storage');
+
+const httpError = status => new FetchError('HTTP_ERROR', `Failed to download image: ${status}`, { status });
+
+// An operation that throws the next of `errors` on each call, then returns 'ok'
+function failing(errors) {
+    const operation = async () => {
+        operation.calls++;
+        if (operation.calls <= errors.length) throw errors[operation.calls - 1];
+        return 'ok';
+    };
+    operation.calls = 0;
+    return operation;
+}
+
+describe('isRetryable', () => {
+    it('retries timeouts, dropped connections and 408, 429 and 5xx responses', () => {
+        for (const error of [
+            httpError(503), httpError(429), httpError(408),
+            new FetchError('READ_TIMEOUT', 'No data'),
+            new StorageError('UPLOAD_FAILED', 'S3 upload failed', { status: 500 }),
+            Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })
+        ]) {
+            assert.equal(isRetryable(error), true, error.message);
+        }
+    });
+
+    it('does not retry failures that would happen again', () => {
+        for (const error of [
+            httpError(404), httpError(403),
+            new FetchError('ADDRESS_BLOCKED', 'Refusing to fetch'),
+            new FetchError('TOO_LARGE', 'Too large'),
+            new ImageValidationError('FILE_TOO_LARGE', 'Image is too large'),
+            new UploadError('UPLOAD_NOT_FOUND', 'Upload not found'),
+            new StorageError('UPLOAD_FAILED', 'S3 upload failed', { status: 403 }),
+            new Error('Input buffer contains unsupported image format')
+        ]) {
+            assert.equal(isRetryable(error), false, error.message);
+        }
+    });
+});
+
+describe('withRetries', () => {
+    it('retries a retryable failure until the operation succeeds', async () => {
+        const operation = failing([httpError(503), new FetchError('READ_TIMEOUT', 'No data')]);
+
+        assert.equal(await withRetries('download', 'Download of test', operation), 'ok');
+        assert.equal(operation.calls, 3);
+    });
+
+    it('gives up after IMAGE_MAX_RETRIES retries, tagging the error', async () => {
+        assert.equal(MAX_RETRIES, 3);
+        const errors = Array.from({ length: 10 }, () => httpError(503));
+        const operation = failing(errors);
+
+        await assert.rejects(withRetries('download', 'Download of test', operation), error => {
+            assert.equal(error, errors[3]);
+            assert.equal(error.stage, 'download');
+            assert.equal(error.attempts, 4);
+            return true;
+        });
+        assert.equal(operation.calls, 4);
+        assert.deepEqual(describeFailure(errors[3], 'hero', 'https://example.org/hero.jpg'), {
+            image: 'hero',
+            url: 'https://example.org/hero.jpg',
+            stage: 'download',
+            code: 'HTTP_ERROR',
+            message: 'Failed to download image: 503',
+            status: 503,
+            retryable: true,
+            attempts: 4
+        });
+    });
+
+    it('fails on the first try for a failure that is not retryable', async () => {
+        for (const error of [httpError(404), new ImageValidationError('FILE_TOO_LARGE', 'Image is too large')]) {
+            const operation = failing([error, error]);
+
+            await assert.rejects(withRetries('upload', 'Upload of test', operation), thrown =>
+                thrown === error && thrown.attempts === 1);
+            assert.equal(operation.calls, 1);
+        }
+    });
+});
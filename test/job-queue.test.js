@@ -0,0 +1,67 @@
+// lib/job-queue.js, with job files in a temporary data directory
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-test-'));
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jobQueue = require('../lib/job-queue');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Queue a job whose handler returns `result` and wait until it is only on
+// disk, as finished jobs are once the queue lets go of them
+async function finishedJob(result) {
+    jobQueue.registerHandler('test', async () => result);
+    const job = await jobQueue.enqueue('test', {}, ['Chess Club']);
+    for (let i = 0; i < 100; i++) {
+        const stored = await jobQueue.getJob(job.id);
+        if (stored.status === 'completed' && stored !== job) return stored;
+        await sleep(10);
+    }
+    throw new Error('Job did not finish');
+}
+
+describe('updateFinishedJob', () => {
+    after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+    it('applies concurrent updates one after another so none is lost', async () => {
+        const job = await finishedJob({ marker: 'alt-text', results: [{ processed: ['hero', 'logo', 'gallery-1', 'gallery-2'].map(type => ({ type })) }] });
+
+        const edits = ['hero', 'logo', 'gallery-1', 'gallery-2'].map((type, index) =>
+            jobQueue.updateFinishedJob(job.id, async stored => {
+                const image = stored.result.results[0].processed.find(processed => processed.type === type);
+                // Later updates finish sooner, as a slow network call would make them
+                await sleep(40 - index * 10);
+                image.altText = `Edited ${type}`;
+                return image;
+            }));
+        await Promise.all(edits);
+
+        const stored = await jobQueue.getJob(job.id);
+        assert.deepEqual(stored.result.results[0].processed.map(image => image.altText),
+            ['Edited hero', 'Edited logo', 'Edited gallery-1', 'Edited gallery-2']);
+    });
+
+    it('keeps going after an update throws', async () => {
+        const job = await finishedJob({ marker: 'errors', results: [] });
+
+        const failing = jobQueue.updateFinishedJob(job.id, () => {
+            throw new Error('update failed');
+        });
+        const next = jobQueue.updateFinishedJob(job.id, stored => {
+            stored.result.note = 'saved';
+            return 'done';
+        });
+
+        await assert.rejects(failing, /update failed/);
+        assert.equal(await next, 'done');
+        assert.equal((await jobQueue.getJob(job.id)).result.note, 'saved');
+    });
+
+    it('returns null for an unknown job', async () => {
+        assert.equal(await jobQueue.updateFinishedJob('00000000-0000-0000-0000-000000000000', () => 'changed'), null);
+    });
+});
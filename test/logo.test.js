@@ -0,0 +1,82 @@
+// lib/logo.js: SVG logos are rebuilt through an allowlist before being kept
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeSvg, prepareLogo } = require('../lib/logo');
+
+const svg = body => `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">${body}</svg>`;
+
+describe('sanitizeSvg', () => {
+    it('keeps the shapes, gradients and internal references of a plain logo', () => {
+        const logo = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd">
+<!-- Generator: Adobe Illustrator -->
+${svg(`<defs><linearGradient id="g"><stop offset="0" stop-color="#f00"/></linearGradient></defs>
+<g transform="translate(10 10)"><circle cx="40" cy="40" r="30" fill="url(#g)"/><use xlink:href="#c"/></g>
+<text x="5" y="95" font-size="12">Chess &amp; Go</text>`)}`;
+
+        const cleaned = sanitizeSvg(logo);
+
+        assert.match(cleaned, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" xmlns:xlink="http:\/\/www.w3.org\/1999\/xlink" viewBox="0 0 100 100">/);
+        assert.match(cleaned, /<circle cx="40" cy="40" r="30" fill="url\(#g\)"\/>/);
+        assert.match(cleaned, /<use xlink:href="#c"\/>/);
+        assert.match(cleaned, /<stop offset="0" stop-color="#f00"\/>/);
+        assert.match(cleaned, />Chess &amp; Go<\/text>/);
+        assert.doesNotMatch(cleaned, /DOCTYPE|Illustrator|<\?xml/);
+    });
+
+    it('drops an unquoted javascript: link but keeps what it wraps', () => {
+        const cleaned = sanitizeSvg(svg('<a href=javascript:alert(1)><rect width="10" height="10"/></a>'));
+
+        assert.doesNotMatch(cleaned, /javascript|<a/);
+        assert.match(cleaned, /<rect width="10" height="10"\/>/);
+    });
+
+    it('rejects a script tag split around another one', () => {
+        assert.throws(() => sanitizeSvg(svg('<scr<script>x</script>ipt>alert(2)</script>')), /malformed/);
+    });
+
+    it('drops scripts, styles, foreign objects and animations with everything inside them', () => {
+        const cleaned = sanitizeSvg(svg(`<script>alert(1)</script><style>@import url(//evil.example)</style>
+<foreignObject><div xmlns="http://www.w3.org/1999/xhtml"><img src="x" onerror="alert(2)"/></div></foreignObject>
+<set attributeName="href" to="javascript:alert(3)"/><rect width="1" height="1"/>`));
+
+        assert.doesNotMatch(cleaned, /alert|evil|script|style|foreignObject|<set|<div|<img/);
+        assert.match(cleaned, /<rect width="1" height="1"\/>/);
+    });
+
+    it('drops event handlers, outside references and entity-encoded javascript: URLs', () => {
+        const cleaned = sanitizeSvg(svg(`<rect onload="alert(1)" ONCLICK='alert(2)' width="1" style="fill:url(https://evil.example/x)"/>
+<use href="&#106;avascript:alert(3)"/><use xlink:href="https://evil.example/sprite.svg#a"/>
+<image href="data:image/svg+xml;base64,PHN2Zz4="/><image href="data:image/png;base64,iVBORw0KGgo="/>`));
+
+        assert.doesNotMatch(cleaned, /alert|evil|onload|ONCLICK|style|svg\+xml/);
+        assert.match(cleaned, /<rect width="1"\/>/);
+        assert.match(cleaned, /<image href="data:image\/png;base64,iVBORw0KGgo="\/>/);
+    });
+
+    it('does not let the SVG redeclare its namespace', () => {
+        const cleaned = sanitizeSvg('<svg xmlns="http://www.w3.org/1999/xhtml"><svg:script xmlns:svg="http://www.w3.org/2000/svg">alert(1)</svg:script></svg>');
+
+        assert.equal(cleaned, '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"></svg>');
+    });
+
+    it('rejects markup that is not a single well-formed <svg> element', () => {
+        assert.throws(() => sanitizeSvg('<html><svg></svg></html>'), /root/);
+        assert.throws(() => sanitizeSvg(svg('<g><rect/>')), /unclosed <svg>|mismatched/);
+        assert.throws(() => sanitizeSvg(`${svg('')}<script>alert(1)</script>`), /after its <svg>/);
+        assert.throws(() => sanitizeSvg(svg('<!-- never closed')), /unterminated/);
+    });
+});
+
+describe('prepareLogo', () => {
+    it('rasterizes the sanitized vector and returns it for storage', async () => {
+        const upload = Buffer.from(svg('<script>alert(1)</script><rect x="20" y="20" width="60" height="60" fill="#06c"/>'));
+
+        const prepared = await prepareLogo(upload);
+
+        assert.equal(prepared.details.vector, true);
+        assert.doesNotMatch(prepared.svg, /script/);
+        assert.ok(prepared.buffer.length > 0);
+        assert.equal(prepared.buffer.subarray(1, 4).toString(), 'PNG');
+    });
+});
@@ -0,0 +1,70 @@
+// Duplicate detection across clubs processed in parallel, with the hash
+// index in a temporary data directory
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'perceptual-hash-test-'));
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const perceptualHash = require('../lib/perceptual-hash');
+
+const PHOTO = { dhash: 'f0f0f0f0f0f0f0f0', phash: '0123456789abcdef' };
+const OTHER = { dhash: '0f0f0f0f0f0f0f0f', phash: 'fedcba9876543210' };
+
+// One club's submission of a single hero image: check, then store or fail
+function heroOf(name) {
+    const submission = perceptualHash.createSubmissionContext(1, { key: name, name, submissionId: '' });
+    const publicId = `joinphilly/${name}-hero`;
+    return {
+        check: hashes => submission.check(0, 'hero', hashes, { publicId, sourceUrl: `https://example.org/${name}.jpg` }),
+        async store() {
+            await submission.stored(0, 'hero', `https://cdn.example.org/${publicId}.webp`);
+            await submission.settle(0);
+        },
+        fail: () => submission.settle(0)
+    };
+}
+
+describe('duplicate detection across clubs', () => {
+    after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+    it('flags a photo shared by two clubs processed at the same time', async () => {
+        const chess = heroOf('chess-club');
+        const go = heroOf('go-club');
+
+        const [chessDuplicate, goDuplicate] = await Promise.all([chess.check(PHOTO), go.check(PHOTO)]);
+        await Promise.all([chess.store(), go.store()]);
+
+        assert.equal(chessDuplicate, null);
+        assert.equal(goDuplicate.scope, 'previous-club');
+        assert.equal(goDuplicate.club, 'chess-club');
+    });
+
+    it('flags only the later club when the same clubs run again', async () => {
+        for (const order of [['chess-club', 'go-club'], ['go-club', 'chess-club']]) {
+            const clubs = order.map(heroOf);
+            const duplicates = await Promise.all(clubs.map(club => club.check(PHOTO)));
+            await Promise.all(clubs.map(club => club.store()));
+
+            const byClub = Object.fromEntries(order.map((name, i) => [name, duplicates[i]]));
+            assert.equal(byClub['chess-club'], null, `chess club flagged when run as ${order.join(', ')}`);
+            assert.equal(byClub['go-club'].club, 'chess-club');
+            assert.equal(byClub['go-club'].url, 'https://cdn.example.org/joinphilly/chess-club-hero.webp');
+        }
+    });
+
+    it('gives the slot back when the image fails after the check', async () => {
+        const failing = heroOf('film-society');
+        assert.equal(await failing.check(OTHER), null);
+        await failing.fail();
+
+        const later = heroOf('poetry-circle');
+        assert.equal(await later.check(OTHER), null);
+        await later.store();
+
+        const index = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'hash-index.json'), 'utf-8'));
+        assert.deepEqual(index.entries.map(entry => entry.clubKey), ['chess-club', 'go-club', 'poetry-circle']);
+    });
+});
@@ -0,0 +1,58 @@
+// lib/record-matching.js ranking, and the cross-club overwrite it guards
+// against end to end through lib/airtable-client.js
+process.env.AIRTABLE_REQUESTS_PER_SECOND = '1000';
+process.env.AIRTABLE_BURST = '100';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const recordMatching = require('../lib/record-matching');
+const airtableClient = require('../lib/airtable-client');
+const { createMockAirtable } = require('./helpers/mock-airtable');
+
+const MATCH = { submissionId: 'Submission ID', email: 'Email', name: 'Name' };
+
+const chessRecord = { id: 'recA', fields: { 'Name': 'Chess Club', 'Submission ID': 'S1', 'Email': 'lead@x.org' } };
+
+describe('rankCandidates', () => {
+    it('accepts an email match when the names agree or the record has no name', () => {
+        const byEmailAndName = recordMatching.rankCandidates({ email: 'LEAD@x.org', names: ['chess club'] }, [chessRecord], MATCH);
+        assert.equal(byEmailAndName.recordId, 'recA');
+        assert.equal(byEmailAndName.strategy, 'email+name');
+
+        const unnamed = { id: 'recB', fields: { 'Email': 'lead@x.org' } };
+        const byEmail = recordMatching.rankCandidates({ email: 'lead@x.org', names: ['Go Club'] }, [unnamed], MATCH);
+        assert.equal(byEmail.recordId, 'recB');
+        assert.equal(byEmail.strategy, 'email');
+    });
+
+    it('refuses an email match whose name disagrees', () => {
+        const ranking = recordMatching.rankCandidates({ email: 'lead@x.org', names: ['Go Club', 'go-club'] }, [chessRecord], MATCH);
+        assert.equal(ranking.recordId, null);
+        assert.equal(ranking.reason, 'conflict');
+        assert.deepEqual(ranking.candidates.map(candidate => candidate.recordId), ['recA']);
+    });
+
+    it('refuses a name match whose email disagrees', () => {
+        const ranking = recordMatching.rankCandidates({ email: 'other@x.org', names: ['Chess Club'] }, [chessRecord], MATCH);
+        assert.equal(ranking.reason, 'conflict');
+    });
+
+    it('never lets a club sharing an email take another club\'s record', async () => {
+        const mock = createMockAirtable([chessRecord]);
+        const settings = { baseId: 'appMatching', tableName: 'Clubs', token: 'test', apiUrl: await mock.start() };
+        try {
+            const outcomes = await airtableClient.syncRecords(settings, [
+                { email: 'lead@x.org', names: ['Go Club'], fields: { 'Hero URL': 'https://cdn.example.org/go.webp' } },
+                { submissionId: 'S1', email: 'lead@x.org', names: ['Chess Club'], fields: { 'Hero URL': 'https://cdn.example.org/chess.webp' } }
+            ], MATCH);
+
+            assert.equal(outcomes[0].success, false);
+            assert.equal(outcomes[0].needsReview.reason, 'conflict');
+            assert.equal(outcomes[1].success, true);
+            assert.equal(outcomes[1].recordId, 'recA');
+            assert.equal(mock.records[0].fields['Hero URL'], 'https://cdn.example.org/chess.webp');
+        } finally {
+            await mock.stop();
+        }
+    });
+});
@@ -0,0 +1,134 @@
+// The review routes of server.js: review clicks made while an Airtable
+// write is waiting on the network must survive that write
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { v4: uuidv4 } = require('uuid');
+const { createMockAirtable } = require('./helpers/mock-airtable');
+const { startServer } = require('./helpers/server');
+
+function image(type, review) {
+    return {
+        type,
+        url: `https://cdn.example.org/${type}.webp`,
+        altText: `${type} image`,
+        filename: `${type}.webp`,
+        review
+    };
+}
+
+function clubResult(name, recordId, processed) {
+    return {
+        name,
+        cleanName: name.toLowerCase().replace(/\s+/g, '-'),
+        submissionId: '',
+        email: '',
+        recordId,
+        processed,
+        errors: [],
+        failures: [],
+        rejections: [],
+        warnings: [],
+        duplicates: [],
+        airtableUpdate: null
+    };
+}
+
+// A finished review-mode CSV job, written straight to the server's job store
+function writeReviewJob(dataDir) {
+    const now = new Date().toISOString();
+    const results = [
+        clubResult('Chess Club', 'recChess', [image('hero', 'approved'), image('logo', 'pending')]),
+        clubResult('Go Club', 'recGo', [image('hero', 'pending'), image('logo', 'pending')])
+    ];
+    const job = {
+        id: uuidv4(),
+        type: 'csv',
+        status: 'completed',
+        triggeredBy: 'test',
+        createdAt: now,
+        updatedAt: now,
+        startedAt: now,
+        finishedAt: now,
+        progress: { total: 2, completed: 2 },
+        clubs: results.map(result => ({ name: result.name, status: 'completed', imagesProcessed: 2, errors: 0 })),
+        input: { clubs: [] },
+        clubResults: [],
+        result: { success: true, review: true, clubsProcessed: 2, needsReview: 0, results },
+        error: null
+    };
+    fs.mkdirSync(path.join(dataDir, 'jobs'), { recursive: true });
+    fs.writeFileSync(path.join(dataDir, 'jobs', `${job.id}.json`), JSON.stringify(job));
+    return job;
+}
+
+describe('review routes', () => {
+    let airtable;
+    let server;
+
+    before(async () => {
+        airtable = createMockAirtable([
+            { id: 'recChess', fields: { Name: 'Chess Club' } },
+            { id: 'recGo', fields: { Name: 'Go Club' } }
+        ], { patchDelayMs: 400 });
+        server = await startServer({
+            AIRTABLE_API_URL: await airtable.start(),
+            AIRTABLE_BASE_ID: 'appReview',
+            AIRTABLE_TABLE_NAME: 'Clubs',
+            AIRTABLE_TOKEN: 'test'
+        });
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+        if (airtable) await airtable.stop();
+    });
+
+    it('keeps approve/reject clicks made during an Airtable write', async () => {
+        const job = writeReviewJob(server.dataDir);
+        const jobUrl = `${server.url}/api/jobs/${job.id}`;
+        const review = (club, type, status) => fetch(`${jobUrl}/review`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ club, type, status })
+        });
+
+        const write = fetch(`${jobUrl}/airtable`, { method: 'POST' });
+        // Let the write reach Airtable before reviewing
+        while (!server.output.includes('Updating 1 Airtable record(s)')) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        const clicks = await Promise.all([
+            review(0, 'logo', 'rejected'),
+            review(1, 'hero', 'approved'),
+            review(1, 'logo', 'rejected')
+        ]);
+
+        assert.deepEqual(clicks.map(response => response.status), [200, 200, 200]);
+        assert.equal((await write).status, 200);
+
+        const stored = (await (await fetch(jobUrl)).json()).job.result.results;
+        assert.deepEqual(stored.map(result => result.processed.map(processed => processed.review)),
+            [['written', 'rejected'], ['approved', 'rejected']]);
+        assert.equal(airtable.records[0].fields['Hero URL'], 'https://cdn.example.org/hero.webp');
+        assert.equal(airtable.records[1].fields['Hero URL'], undefined);
+    });
+
+    it('applies concurrent review clicks on one job', async () => {
+        const job = writeReviewJob(server.dataDir);
+        const jobUrl = `${server.url}/api/jobs/${job.id}`;
+        const clicks = [[0, 'hero', 'rejected'], [0, 'logo', 'approved'], [1, 'hero', 'approved'], [1, 'logo', 'rejected']];
+
+        const responses = await Promise.all(clicks.map(([club, type, status]) => fetch(`${jobUrl}/review`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ club, type, status })
+        })));
+
+        assert.ok(responses.every(response => response.status === 200));
+        const stored = (await (await fetch(jobUrl)).json()).job.result.results;
+        assert.deepEqual(stored.map(result => result.processed.map(processed => processed.review)),
+            [['rejected', 'approved'], ['approved', 'rejected']]);
+    });
+});
@@ -0,0 +1,53 @@
+// GET /api/runs and /api/audit-log: repeated query parameters are refused
+// with a 400 rather than reaching SQLite, and paging values are kept in range
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('run history routes', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    const get = async route => {
+        const response = await fetch(`${server.url}${route}`);
+        return { status: response.status, body: await response.json() };
+    };
+
+    it('refuses filters given more than once or as objects', async () => {
+        for (const [route, key] of [
+            ['/api/runs?status=completed&status=failed', 'status'],
+            ['/api/runs?source[x]=csv', 'source'],
+            ['/api/runs?limit=10&limit=20', 'limit'],
+            ['/api/audit-log?action=a&action=b', 'action'],
+            ['/api/audit-log?runId=1&runId=2', 'runId']
+        ]) {
+            const response = await get(route);
+            assert.equal(response.status, 400, route);
+            assert.deepEqual(response.body, { error: `${key} can only be given once` });
+        }
+    });
+
+    it('keeps limit and offset to bounded whole numbers', async () => {
+        for (const [query, limit, offset] of [
+            ['limit=abc&offset=-3', 50, 0],
+            ['limit=5000&offset=99999999999999999999999', 200, 1000000],
+            ['limit=0&offset=1.5', 1, 0],
+            ['limit=25&offset=10', 25, 10]
+        ]) {
+            const response = await get(`/api/runs?${query}`);
+            assert.equal(response.status, 200, query);
+            assert.deepEqual([response.body.limit, response.body.offset], [limit, offset], query);
+        }
+
+        const events = await get('/api/audit-log?limit=1e9');
+        assert.equal(events.status, 200);
+        assert.deepEqual(events.body.events, []);
+    });
+});
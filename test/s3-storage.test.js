@@ -0,0 +1,68 @@
+// lib/storage/s3.js against a local MinIO-style server (path-style URLs,
+// S3_ENDPOINT and S3_FORCE_PATH_STYLE, fake credentials)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockS3 } = require('./helpers/mock-s3');
+
+describe('s3 storage driver', () => {
+    const mock = createMockS3();
+    let endpoint;
+    let s3;
+    let StorageError;
+
+    before(async () => {
+        endpoint = await mock.start();
+        Object.assign(process.env, {
+            S3_BUCKET: 'club-images',
+            S3_ENDPOINT: `${endpoint}/`,
+            S3_FORCE_PATH_STYLE: 'true',
+            S3_ACCESS_KEY_ID: 'minioadmin',
+            S3_SECRET_ACCESS_KEY: 'minioadmin',
+            AWS_MAX_ATTEMPTS: '1'
+        });
+        s3 = require('../lib/storage/s3');
+        ({ StorageError } = require('../lib/storage/errors'));
+    });
+
+    after(() => mock.stop());
+
+    it('uploads, reads and removes objects under path-style URLs', async () => {
+        const image = Buffer.from('fake webp bytes');
+
+        const stored = await s3.upload(image, { publicId: 'joinphilly/chess-club-hero', format: 'webp' });
+
+        assert.deepEqual(stored, {
+            url: `${endpoint}/club-images/joinphilly/chess-club-hero.webp`,
+            publicId: 'joinphilly/chess-club-hero',
+            bytes: image.length
+        });
+        const put = mock.requests[0];
+        assert.equal(put.method, 'PUT');
+        assert.equal(put.bucket, 'club-images');
+        assert.equal(put.key, 'joinphilly/chess-club-hero.webp');
+        assert.equal(put.headers['content-type'], 'image/webp');
+        assert.match(put.headers.authorization, /Credential=minioadmin\//);
+        assert.ok(put.body.equals(image));
+
+        assert.ok((await s3.read('joinphilly/chess-club-hero', 'webp')).equals(image));
+
+        await s3.remove('joinphilly/chess-club-hero', 'webp');
+        assert.equal(mock.objects.size, 0);
+    });
+
+    it('caches overwritten keys briefly and revalidates instead of for a year', async () => {
+        await s3.upload(Buffer.from('first'), { publicId: 'joinphilly/go-club-logo', format: 'png' });
+        await s3.upload(Buffer.from('second'), { publicId: 'joinphilly/go-club-logo', format: 'png' });
+
+        const cacheControl = mock.objects.get('club-images/joinphilly/go-club-logo.png').headers['cache-control'];
+        assert.equal(cacheControl, 'public, max-age=300, must-revalidate');
+        assert.equal((await s3.read('joinphilly/go-club-logo', 'png')).toString(), 'second');
+    });
+
+    it('reports a refused upload as a StorageError with its status', async () => {
+        mock.failNext(403, 'AccessDenied');
+
+        await assert.rejects(s3.upload(Buffer.from('x'), { publicId: 'joinphilly/film-society-hero', format: 'webp' }), error =>
+            error instanceof StorageError && error.code === 'UPLOAD_FAILED' && error.details.status === 403 && !error.details.retryable);
+    });
+});
@@ -0,0 +1,186 @@
+// lib/safe-fetch.js: private addresses are refused however they are reached
+// (an IP literal, a hostname or a redirect), and responses are held to the
+// byte cap and timeouts. Tests that need a reachable "outside" server treat
+// 127.0.0.1 as public; every other address keeps the real check.
+process.env.FETCH_CONNECT_TIMEOUT_MS = '200';
+process.env.FETCH_READ_TIMEOUT_MS = '400';
+process.env.FETCH_TOTAL_TIMEOUT_MS = '1500';
+delete process.env.FETCH_ALLOW_PRIVATE_NETWORKS;
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const dns = require('dns');
+const net = require('net');
+const { FetchError, safeFetch, isFetchableUrl, isBlockedAddress } = require('../lib/safe-fetch');
+
+const isFetchError = code => error => error instanceof FetchError && error.code === code;
+
+// Let safe-fetch reach the test server on 127.0.0.1 for one test
+function treatLoopbackAsPublic(t) {
+    const check = net.BlockList.prototype.check;
+    t.mock.method(net.BlockList.prototype, 'check', function (address, type) {
+        return address === '127.0.0.1' ? false : check.call(this, address, type);
+    });
+}
+
+// Resolve every hostname to `addresses` for one test
+function resolveTo(t, addresses) {
+    t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+        callback(null, addresses.map(address => ({ address, family: net.isIP(address) })));
+    });
+}
+
+describe('isBlockedAddress', () => {
+    it('blocks private, loopback, link-local and reserved addresses', () => {
+        for (const address of ['127.0.0.1', '10.1.2.3', '172.16.5.4', '192.168.1.1', '169.254.169.254',
+            '100.64.0.1', '0.0.0.0', '::1', '::', 'fe80::1', 'fc00::1', '::ffff:127.0.0.1', '::ffff:169.254.169.254',
+            'not-an-address']) {
+            assert.equal(isBlockedAddress(address), true, address);
+        }
+    });
+
+    it('allows public addresses', () => {
+        for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111', '::ffff:93.184.216.34']) {
+            assert.equal(isBlockedAddress(address), false, address);
+        }
+    });
+
+    it('refuses non-http URLs and private IP literals before any request', () => {
+        assert.equal(isFetchableUrl('https://example.org/hero.jpg'), true);
+        for (const url of ['file:///etc/passwd', 'ftp://example.org/a.jpg', 'http://127.0.0.1/', 'http://[::1]/',
+            'http://169.254.169.254/latest/meta-data/', 'not a url', 42]) {
+            assert.equal(isFetchableUrl(url), false, String(url));
+        }
+    });
+});
+
+describe('safeFetch', () => {
+    let server;
+    let origin;
+    const hits = [];
+    const routes = {};
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            hits.push(req.url);
+            const route = routes[req.url];
+            if (!route) {
+                res.writeHead(404);
+                return res.end();
+            }
+            route(req, res);
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        origin = `http://127.0.0.1:${server.address().port}`;
+
+        routes['/image.png'] = (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'image/png' });
+            res.end(Buffer.alloc(100, 1));
+        };
+    });
+
+    after(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('refuses a server on 127.0.0.1 without connecting', async () => {
+        hits.length = 0;
+
+        await assert.rejects(safeFetch(`${origin}/image.png`), isFetchError('ADDRESS_BLOCKED'));
+        assert.equal(hits.length, 0);
+    });
+
+    it('checks the addresses a hostname resolves to when connecting', async t => {
+        hits.length = 0;
+        const port = server.address().port;
+
+        // A name that passes the URL check but resolves to loopback, the
+        // way a rebinding DNS server answers once the URL has been accepted
+        assert.equal(isFetchableUrl(`http://images.example.test:${port}/image.png`), true);
+        resolveTo(t, ['127.0.0.1']);
+        await assert.rejects(safeFetch(`http://images.example.test:${port}/image.png`), error =>
+            isFetchError('ADDRESS_BLOCKED')(error) && error.details.address === '127.0.0.1');
+
+        // One private address among public ones is enough to refuse
+        resolveTo(t, ['93.184.216.34', '10.0.0.7']);
+        await assert.rejects(safeFetch(`http://images.example.test:${port}/image.png`), error =>
+            isFetchError('ADDRESS_BLOCKED')(error) && error.details.address === '10.0.0.7');
+
+        assert.equal(hits.length, 0);
+    });
+
+    it('follows redirects, checking every hop', async t => {
+        treatLoopbackAsPublic(t);
+        routes['/moved'] = (req, res) => {
+            res.writeHead(302, { Location: '/image.png' });
+            res.end();
+        };
+        routes['/to-metadata'] = (req, res) => {
+            res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+            res.end();
+        };
+        routes['/to-internal'] = (req, res) => {
+            res.writeHead(307, { Location: 'http://internal.example.test/image.png' });
+            res.end();
+        };
+
+        const response = await safeFetch(`${origin}/moved`);
+        assert.equal(response.status, 200);
+        assert.equal(response.url, `${origin}/image.png`);
+        assert.equal(response.buffer.length, 100);
+
+        await assert.rejects(safeFetch(`${origin}/to-metadata`), error =>
+            isFetchError('ADDRESS_BLOCKED')(error) && error.details.address === '169.254.169.254');
+
+        const lookup = dns.lookup;
+        t.mock.method(dns, 'lookup', (hostname, options, callback) => hostname === 'internal.example.test'
+            ? callback(null, [{ address: '192.168.0.10', family: 4 }])
+            : lookup(hostname, options, callback));
+        await assert.rejects(safeFetch(`${origin}/to-internal`), error =>
+            isFetchError('ADDRESS_BLOCKED')(error) && error.details.address === '192.168.0.10');
+    });
+
+    it('stops reading past the byte cap, with or without Content-Length', async t => {
+        treatLoopbackAsPublic(t);
+        routes['/declared'] = (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': 4096 });
+            res.end(Buffer.alloc(4096));
+        };
+        // Never ends, so only the cap can finish the download
+        routes['/endless'] = (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'image/png' });
+            const timer = setInterval(() => res.write(Buffer.alloc(1024)), 5);
+            res.on('close', () => clearInterval(timer));
+        };
+
+        await assert.rejects(safeFetch(`${origin}/declared`, { maxBytes: 1024 }), error =>
+            isFetchError('TOO_LARGE')(error) && error.details.bytes === 4096);
+        await assert.rejects(safeFetch(`${origin}/endless`, { maxBytes: 64 * 1024 }), error =>
+            isFetchError('TOO_LARGE')(error) && error.details.maxBytes === 64 * 1024);
+    });
+
+    it('times out connecting, going quiet and taking too long overall', async t => {
+        treatLoopbackAsPublic(t);
+        routes['/silent'] = (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'image/png' });
+            res.write(Buffer.alloc(10));
+        };
+        // A byte every 100ms: never idle for the read timeout, but endless
+        routes['/trickle'] = (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'image/png' });
+            const timer = setInterval(() => res.write(Buffer.alloc(1)), 100);
+            res.on('close', () => clearInterval(timer));
+        };
+
+        await assert.rejects(safeFetch(`${origin}/silent`), error =>
+            isFetchError('READ_TIMEOUT')(error) && /No data .* for 400ms/.test(error.message));
+        await assert.rejects(safeFetch(`${origin}/trickle`), error =>
+            isFetchError('READ_TIMEOUT')(error) && /longer than 1500ms/.test(error.message));
+
+        // A lookup that never answers
+        t.mock.method(dns, 'lookup', () => {});
+        await assert.rejects(safeFetch('http://slow.example.test/image.png'), isFetchError('CONNECT_TIMEOUT'));
+    });
+});
@@ -0,0 +1,86 @@
+// Staged uploads (upload:<batch>/<file>) are read only by upload jobs; every
+// other route takes public URLs and names the field it refuses
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'source-urls-test-'));
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const pipeline = require('../lib/pipeline');
+const { startServer } = require('./helpers/server');
+
+const UPLOAD_REF = 'upload:0b7c5a52-1a0e-4d1c-9f3e-2f4f3b8d6a10/hero.png';
+
+describe('pipeline upload sources', () => {
+    const club = { name: 'chess-club', heroImage: UPLOAD_REF, logoImage: null, galleryImages: [] };
+
+    it('turns an upload ref into a task only with allowUploads', () => {
+        const refused = pipeline.createClubResult(club);
+        assert.deepEqual(pipeline.buildImageTasks(club, refused), []);
+        assert.equal(refused.failures[0].code, 'URL_NOT_FETCHABLE');
+
+        const allowed = pipeline.createClubResult(club);
+        const tasks = pipeline.buildImageTasks(club, allowed, { allowUploads: true });
+        assert.equal(tasks.length, 1);
+        assert.equal(tasks[0].url, UPLOAD_REF);
+        assert.equal(allowed.failures.length, 0);
+    });
+
+    it('does not read an upload ref without allowUploads', async () => {
+        await assert.rejects(pipeline.downloadSource(UPLOAD_REF),
+            error => error.code === 'URL_NOT_FETCHABLE');
+    });
+});
+
+describe('source URL checks at input', () => {
+    let server;
+
+    before(async () => {
+        server = await startServer();
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    const post = (route, body) => fetch(`${server.url}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    it('refuses webhook sources that are not public URLs, naming the field', async () => {
+        const cases = [
+            [{ heroImageUrl: UPLOAD_REF }, 'heroImageUrl'],
+            [{ logoImageUrl: 'file:///etc/passwd' }, 'logoImageUrl'],
+            [{ galleryImageUrls: ['https://example.org/a.jpg', UPLOAD_REF] }, 'galleryImageUrls[1]'],
+            [{ galleryImageUrls: `https://example.org/a.jpg, ${UPLOAD_REF}` }, 'galleryImageUrls[1]']
+        ];
+        for (const [sources, field] of cases) {
+            const response = await post('/api/process-webhook', { clubName: 'Chess Club', async: true, ...sources });
+            assert.equal(response.status, 400);
+            assert.deepEqual(await response.json(), { error: `${field}: ${pipeline.UNFETCHABLE_URL_MESSAGE}` });
+        }
+    });
+
+    it('refuses a single image whose source is not a public URL', async () => {
+        const response = await post('/api/process-image', { clubName: 'Chess Club', type: 'hero', imageUrl: UPLOAD_REF });
+
+        assert.equal(response.status, 400);
+        assert.deepEqual(await response.json(), { success: false, error: `imageUrl: ${pipeline.UNFETCHABLE_URL_MESSAGE}` });
+    });
+
+    it('leaves batch clubs with such sources out, naming the field', async () => {
+        const response = await post('/api/process-batch', {
+            clubs: [{ name: 'Chess Club', heroUrl: 'https://example.org/a.jpg', galleryUrls: [UPLOAD_REF] }]
+        });
+
+        assert.equal(response.status, 400);
+        const body = await response.json();
+        assert.deepEqual(body.rowReport, [
+            { row: 1, name: 'Chess Club', problems: [`galleryUrls[0]: ${pipeline.UNFETCHABLE_URL_MESSAGE}`] }
+        ]);
+    });
+});
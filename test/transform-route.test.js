@@ -0,0 +1,68 @@
+// POST /api/transform-image: URL sources are downloaded the way club images
+// are, retries included, and bad option types are refused with a 400
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const sharp = require('sharp');
+const { startServer } = require('./helpers/server');
+
+describe('transform route', () => {
+    let server;
+    let images;
+    let imageUrl;
+    const hits = [];
+    let failures = 0;
+
+    before(async () => {
+        const pixels = Buffer.from(Array.from({ length: 400 * 300 * 3 }, (_, i) => (i * 7) % 256));
+        const png = await sharp(pixels, { raw: { width: 400, height: 300, channels: 3 } }).png().toBuffer();
+        images = http.createServer((req, res) => {
+            hits.push(req.url);
+            if (failures > 0) {
+                failures--;
+                res.writeHead(503);
+                return res.end();
+            }
+            res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': png.length });
+            res.end(png);
+        });
+        await new Promise(resolve => images.listen(0, '127.0.0.1', resolve));
+        imageUrl = `http://127.0.0.1:${images.address().port}/banner.png`;
+        server = await startServer({ FETCH_ALLOW_PRIVATE_NETWORKS: 'true', IMAGE_BACKOFF_MS: '10' });
+    });
+
+    after(async () => {
+        if (server) await server.stop();
+        images.closeAllConnections();
+        await new Promise(resolve => images.close(resolve));
+    });
+
+    const post = body => fetch(`${server.url}/api/transform-image`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+
+    it('retries a source that fails with a 503', async () => {
+        hits.length = 0;
+        failures = 1;
+
+        const response = await post({ imageUrl, width: 200, format: 'png', output: 'image' });
+
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-type'), 'image/png');
+        assert.equal(response.headers.get('x-image-width'), '200');
+        assert.equal(hits.length, 2);
+    });
+
+    it('refuses a name that is not a string', async () => {
+        hits.length = 0;
+
+        for (const name of [1, { club: 'Chess' }, ['Chess']]) {
+            const response = await post({ imageUrl, name });
+            assert.equal(response.status, 400);
+            assert.deepEqual(await response.json(), { success: false, error: 'name must be a string' });
+        }
+        assert.equal(hits.length, 0);
+    });
+});
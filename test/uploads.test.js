@@ -0,0 +1,136 @@
+// lib/uploads.js manifests and ZIPs, and the size limits of POST
+// /api/process-uploads
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-test-'));
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const JSZip = require('jszip');
+const uploads = require('../lib/uploads');
+const imageValidation = require('../lib/image-validation');
+const { startServer } = require('./helpers/server');
+
+const json = entries => ({ name: 'manifest.json', text: JSON.stringify(entries) });
+
+describe('parseManifest', () => {
+    it('reads JSON entries as text, keeping { x, y } focal points', () => {
+        const rows = uploads.parseManifest(json([
+            { club: ' Chess Club ', role: 'hero', file: 'chess.jpg', submissionId: 42, focalPoint: { x: 0.5, y: 0.25 } }
+        ]));
+
+        assert.equal(rows[0].club, 'Chess Club');
+        assert.equal(rows[0].submissionId, '42');
+        assert.deepEqual(rows[0].focalPoint, { x: 0.5, y: 0.25 });
+        assert.equal(rows[0].email, '');
+    });
+
+    it('refuses entries whose values are objects or lists', () => {
+        for (const entry of [
+            { club: { name: 'Chess Club' }, role: 'hero', file: 'chess.jpg' },
+            { club: 'Chess Club', role: ['hero'], file: 'chess.jpg' },
+            { club: 'Chess Club', role: 'hero', file: 'chess.jpg', focalPoint: [0.5, 0.5] }
+        ]) {
+            assert.throws(() => uploads.parseManifest(json([{ club: 'Go Club', role: 'logo', file: 'go.png' }, entry])),
+                error => error instanceof uploads.UploadError && error.code === 'MANIFEST_INVALID' && error.details.row === 2);
+        }
+    });
+});
+
+describe('collectFiles', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-zip-'));
+
+    after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+    it('stops inflating a ZIP entry past the size limit and closes its stream', async t => {
+        const zip = new JSZip();
+        zip.file('small.png', Buffer.alloc(100));
+        zip.file('huge.png', Buffer.alloc(2 * 1024 * 1024));
+        const zipPath = path.join(tmp, 'images.zip');
+        fs.writeFileSync(zipPath, await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+
+        const maxBytes = imageValidation.config.maxBytes;
+        imageValidation.config.maxBytes = 64 * 1024;
+        t.after(() => { imageValidation.config.maxBytes = maxBytes; });
+        const entryPrototype = Object.getPrototypeOf(zip.file('small.png'));
+        const nodeStream = entryPrototype.nodeStream;
+        const streams = [];
+        t.mock.method(entryPrototype, 'nodeStream', function (...args) {
+            const stream = nodeStream.apply(this, args);
+            streams.push(stream);
+            return stream;
+        });
+
+        await assert.rejects(uploads.collectFiles([{ originalname: 'images.zip', path: zipPath }], null),
+            error => error.code === 'FILE_TOO_LARGE' && error.details.file === 'huge.png');
+        assert.equal(streams.length, 2);
+        assert.equal(streams[1].destroyed, true);
+    });
+});
+
+describe('upload route limits', () => {
+    const LIMIT = 64 * 1024;
+    let server;
+
+    after(async () => {
+        if (server) await server.stop();
+    });
+
+    const uploadsOnDisk = () => fs.existsSync('uploads') ? fs.readdirSync('uploads').length : 0;
+
+    // A multipart body of one `size`-byte image, sent with or without a
+    // Content-Length header
+    function send(size, { chunked }) {
+        const boundary = 'test-boundary';
+        const head = Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="files"; filename="hero.png"\r\nContent-Type: image/png\r\n\r\n`);
+        const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+        const body = Buffer.concat([head, Buffer.alloc(size, 1), tail]);
+
+        return new Promise((resolve, reject) => {
+            const request = http.request(`${server.url}/api/process-uploads`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': `multipart/form-data; boundary=${boundary}`,
+                    ...(chunked ? { 'Transfer-Encoding': 'chunked' } : { 'Content-Length': body.length })
+                }
+            }, response => {
+                let text = '';
+                response.on('data', chunk => { text += chunk; });
+                response.on('end', () => resolve({ status: response.statusCode, body: JSON.parse(text) }));
+            });
+            // The server may answer and close before it has read everything
+            request.on('error', error => error.code === 'EPIPE' || error.code === 'ECONNRESET' ? null : reject(error));
+            for (let offset = 0; offset < body.length; offset += 16 * 1024) {
+                request.write(body.subarray(offset, offset + 16 * 1024));
+            }
+            request.end();
+        });
+    }
+
+    it('refuses requests larger than UPLOAD_MAX_REQUEST_BYTES, with or without Content-Length', async () => {
+        server = await startServer({ UPLOAD_MAX_REQUEST_BYTES: String(LIMIT) });
+        const before = uploadsOnDisk();
+
+        for (const chunked of [false, true]) {
+            const response = await send(LIMIT * 4, { chunked });
+            assert.equal(response.status, 413, `chunked: ${chunked}`);
+            assert.equal(response.body.code, 'UPLOAD_TOO_LARGE');
+            assert.equal(response.body.details.maxBytes, LIMIT);
+        }
+
+        assert.equal(uploadsOnDisk(), before);
+
+        const small = await send(1024, { chunked: true });
+        assert.equal(small.status, 400);
+        assert.match(small.body.error, /manifest/);
+
+        // Files are removed just after the response is sent
+        for (let waited = 0; uploadsOnDisk() > before && waited < 2000; waited += 50) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+        assert.equal(uploadsOnDisk(), before);
+    });
+});
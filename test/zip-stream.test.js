@@ -0,0 +1,117 @@
+// lib/zip-stream.js: archives it writes open with JSZip, and a client that
+// disconnects mid-download ends the export instead of stalling it. Also job
+// exports (lib/job-export.js) built on it.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { PassThrough } = require('stream');
+const JSZip = require('jszip');
+const { ZipWriter } = require('../lib/zip-stream');
+const { writeJobExport } = require('../lib/job-export');
+const storedFiles = require('../lib/stored-files');
+
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+describe('ZipWriter', () => {
+    it('writes stored and deflated entries that JSZip reads back', async () => {
+        const output = new PassThrough();
+        const archive = collect(output);
+        const zip = new ZipWriter(output);
+        const image = Buffer.from(Array.from({ length: 5000 }, (_, i) => i % 251));
+
+        await zip.addFile('Chess Club/hero.webp', image);
+        await zip.addFile('Chess Club/picture-snippets.html', '<picture>\n</picture>\n'.repeat(20), { compress: true });
+        await zip.addFile('Café Club/logo.png', 'logo');
+        await zip.finish();
+
+        const read = await JSZip.loadAsync(await archive, { checkCRC32: true });
+        assert.deepEqual(Object.keys(read.files).sort(), ['Café Club/logo.png', 'Chess Club/hero.webp', 'Chess Club/picture-snippets.html']);
+        assert.ok((await read.file('Chess Club/hero.webp').async('nodebuffer')).equals(image));
+        assert.equal(await read.file('Chess Club/picture-snippets.html').async('string'), '<picture>\n</picture>\n'.repeat(20));
+        await assert.rejects(zip.addFile('Café Club/logo.png', 'again'), /Duplicate ZIP entry/);
+    });
+
+    it('stops writing when the client disconnects while the response is full', async () => {
+        let exported;
+        const server = http.createServer((req, res) => {
+            const zip = new ZipWriter(res);
+            exported = (async () => {
+                for (let i = 0; i < 200; i++) {
+                    await zip.addFile(`club/${i}.webp`, Buffer.alloc(1024 * 1024, i));
+                }
+                await zip.finish();
+            })();
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            await new Promise((resolve, reject) => {
+                const request = http.get(`http://127.0.0.1:${server.address().port}/`, response => {
+                    // Read nothing, so the server's buffers fill, then hang up
+                    response.pause();
+                    setTimeout(() => {
+                        request.destroy();
+                        resolve();
+                    }, 200);
+                });
+                request.on('error', reject);
+            });
+
+            let timer;
+            const stalled = new Promise(resolve => { timer = setTimeout(resolve, 5000, 'stalled'); });
+            const outcome = await Promise.race([exported.then(() => 'finished', error => error), stalled]);
+            clearTimeout(timer);
+
+            assert.ok(outcome instanceof Error, `export ${outcome}`);
+            assert.match(outcome.message, /Output closed before the archive was finished/);
+        } finally {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
+
+describe('writeJobExport', () => {
+    // A club with one hero image, held in the stored-file cache
+    function clubResult(name, cleanName) {
+        const publicId = `test-export/${name}-hero`;
+        storedFiles.remember('local', publicId, 'webp', Buffer.from(`${name} hero`));
+        return {
+            name,
+            cleanName,
+            errors: [],
+            processed: [{
+                type: 'hero',
+                storage: 'local',
+                publicId,
+                filename: `${cleanName}-hero.webp`,
+                format: 'webp',
+                url: `https://cdn.example.org/${publicId}.webp`,
+                pictureHtml: '<picture></picture>'
+            }]
+        };
+    }
+
+    it('gives every club its own folder when a suffixed name is another club\'s slug', async () => {
+        const job = {
+            id: 'job-1',
+            type: 'batch',
+            result: { results: [clubResult('Foo', 'foo'), clubResult('Foo!', 'foo'), clubResult('Foo 2', 'foo-2')] }
+        };
+        const output = new PassThrough();
+        const archive = collect(output);
+
+        assert.deepEqual(await writeJobExport(job, output), { files: 3, failed: 0 });
+
+        const read = await JSZip.loadAsync(await archive);
+        const folders = new Set(Object.keys(read.files).filter(name => name.includes('/')).map(name => name.split('/')[0]));
+        assert.deepEqual([...folders].sort(), ['foo', 'foo-2', 'foo-2-2']);
+        const manifest = JSON.parse(await read.file('manifest.json').async('string'));
+        assert.deepEqual(manifest.files.map(file => [file.club, file.path.split('/')[0]]),
+            [['Foo', 'foo'], ['Foo!', 'foo-2'], ['Foo 2', 'foo-2-2']]);
+    });
+});